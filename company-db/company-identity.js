@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Company identity resolution across docs.
+ * A company usually has several note docs, and the extracted `company_name` varies between them
+ * ("Acme", "Acme Inc.", "acme.ai"). Before a record is saved, its domain, company subfolder name
+ * and company name are looked up in the "Company Aliases" sheet to find the company's canonical ID,
+ * which becomes the record's `id`, so all of a company's docs update one Companies row.
+ *
+ * Exact domain, folder and name matches are merged as confirmed. Fuzzy name matches, and matches
+ * against a company known under a different domain, are merged as "pending" for review:
+ * set a pending alias row's status to "confirmed" to accept the merge, or to "split" to undo it,
+ * then run `applyCompanyAliasReviews` so split docs get their own company on the next batch run.
+ */
+
+// === CONFIGURATION ===
+const ALIASES_SHEET_NAME = "Company Aliases";
+const ALIAS_HEADERS = [
+  "company_id", "alias_type", "alias", "status", "method", "score", "source_doc_id", "date_added", "date_reviewed"
+];
+
+const ALIAS_TYPE = {
+  DOMAIN: "domain",
+  FOLDER: "folder",
+  NAME: "name"
+};
+
+// Values of the `status` column; reviewers change "pending" to "confirmed" or "split"
+const ALIAS_STATUS = {
+  CONFIRMED: "confirmed",
+  PENDING: "pending",
+  SPLIT: "split"
+};
+
+// Names at least this similar (0-1, see `companyNameSimilarity`) are merged pending review
+const FUZZY_NAME_THRESHOLD = 0.75;
+
+// Legal suffixes and filler words dropped before names are compared
+const COMPANY_NAME_STOPWORDS = [
+  "inc", "incorporated", "llc", "ltd", "limited", "corp", "corporation", "co", "company",
+  "gmbh", "sa", "sas", "bv", "plc", "pbc", "the"
+];
+
+// === ALIAS TABLE ===
+
+/**
+ * Loads the company alias table from its sheet into memory.
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, rows: object[], pending: object[]}}
+ *          The alias sheet, its rows keyed by header, and the rows added but not yet saved
+ *          (see `saveCompanyAliases`). Each saved row also carries its `rowIndex`.
+ */
+function loadCompanyAliases() {
+  const sheet = getReportSheet(ALIASES_SHEET_NAME, ALIAS_HEADERS);
+  // Sheets reads alias cells such as "42" back as numbers
+  const rows = getReportRows(ALIASES_SHEET_NAME, ALIAS_HEADERS)
+    .map((row, i) => Object.assign(row, { alias: String(row.alias), rowIndex: i + 2 }));
+  return { sheet, rows, pending: [] };
+}
+
+/**
+ * Writes the alias rows added since the last save to the sheet in one range write.
+ * @param {object} aliasTable - The table returned by `loadCompanyAliases`.
+ */
+function saveCompanyAliases(aliasTable) {
+  const pending = aliasTable.pending;
+  if (pending.length === 0) {
+    return;
+  }
+
+  const firstRow = aliasTable.sheet.getLastRow() + 1;
+  aliasTable.sheet.getRange(firstRow, 1, pending.length, ALIAS_HEADERS.length)
+    .setValues(pending.map(row => ALIAS_HEADERS.map(header => row[header])));
+  pending.forEach((row, i) => row.rowIndex = firstRow + i);
+  pending.length = 0;
+}
+
+/**
+ * Adds alias rows for a company, skipping aliases it already has. The rows are held in memory
+ * until `saveCompanyAliases` writes them.
+ * @param {object} aliasTable - The table returned by `loadCompanyAliases`.
+ * @param {string} companyId - The canonical company ID.
+ * @param {Array<{alias_type: string, alias: string}>} aliases - The aliases to record.
+ * @param {object} resolution - The resolution the aliases came from (status, method, score, source doc).
+ */
+function addCompanyAliases(aliasTable, companyId, aliases, resolution) {
+  aliases
+    .filter(alias => !aliasTable.rows.some(row =>
+      row.company_id === companyId && row.alias_type === alias.alias_type && row.alias === alias.alias))
+    .forEach(alias => {
+      const row = {
+        company_id: companyId, alias_type: alias.alias_type, alias: alias.alias,
+        status: resolution.status, method: resolution.method, score: resolution.score,
+        source_doc_id: resolution.docId, date_added: new Date().toISOString(), date_reviewed: null
+      };
+      aliasTable.rows.push(row);
+      aliasTable.pending.push(row);
+    });
+}
+
+// === RESOLUTION ===
+
+/**
+ * Finds the canonical ID of the company a record belongs to and records the record's aliases.
+ * Matches, in order: domain, company subfolder name, exact normalized name, fuzzy name.
+ * A record that matches nothing starts a new company under its own `id`.
+ *
+ * @param {object} aliasTable - The table returned by `loadCompanyAliases`.
+ * @param {object} record - The parsed company record.
+ * @param {string} [folderName] - Name of the company subfolder the doc is in.
+ * @returns {{companyId: string, status: string, method: string, score: number}}
+ *          The canonical ID, whether the match needs review, how it was made and its similarity score.
+ */
+function resolveCompanyId(aliasTable, record, folderName) {
+  const aliases = getRecordAliases(record, folderName);
+  const excluded = getSplitCompanyIds(aliasTable, record.doc_id, aliases);
+  const candidates = aliasTable.rows.filter(row => row.status !== ALIAS_STATUS.SPLIT && excluded.indexOf(row.company_id) === -1);
+  // Folders are named after their company, so folder and name aliases are matched against each other
+  const isNameLike = type => type === ALIAS_TYPE.FOLDER || type === ALIAS_TYPE.NAME;
+  const findExact = type => {
+    const alias = aliases.find(entry => entry.alias_type === type);
+    return alias ? candidates.find(row => row.alias === alias.alias &&
+      (row.alias_type === type || (isNameLike(type) && isNameLike(row.alias_type)))) : null;
+  };
+
+  let resolution = null;
+  const domainMatch = findExact(ALIAS_TYPE.DOMAIN);
+  const folderMatch = findExact(ALIAS_TYPE.FOLDER);
+  const nameMatch = findExact(ALIAS_TYPE.NAME);
+
+  if (domainMatch) {
+    resolution = { companyId: domainMatch.company_id, status: ALIAS_STATUS.CONFIRMED, method: "domain", score: 1 };
+  } else if (folderMatch || nameMatch) {
+    const match = folderMatch || nameMatch;
+    resolution = { companyId: match.company_id, status: ALIAS_STATUS.CONFIRMED, method: folderMatch ? "folder" : "name", score: 1 };
+  } else {
+    const fuzzyMatch = findFuzzyNameMatch(candidates, aliases);
+    if (fuzzyMatch) {
+      resolution = { companyId: fuzzyMatch.row.company_id, status: ALIAS_STATUS.PENDING, method: "fuzzy_name", score: fuzzyMatch.score };
+    }
+  }
+
+  // A company already known under another domain is probably a different company with a similar name
+  if (resolution && resolution.method !== "domain" && record.company_domain &&
+      hasOtherDomain(candidates, resolution.companyId, record.company_domain)) {
+    resolution.status = ALIAS_STATUS.PENDING;
+    resolution.method += " (domain differs)";
+  }
+
+  if (!resolution) {
+    resolution = { companyId: record.id, status: ALIAS_STATUS.CONFIRMED, method: "new", score: 1 };
+  }
+
+  resolution.docId = record.doc_id;
+  addCompanyAliases(aliasTable, resolution.companyId, aliases, resolution);
+
+  if (resolution.status === ALIAS_STATUS.PENDING) {
+    Logger.log(`Merged ${record.company_name} into ${resolution.companyId} by ${resolution.method} ` +
+      `(score ${resolution.score.toFixed(2)}); pending review on the "${ALIASES_SHEET_NAME}" sheet.`);
+  }
+  return resolution;
+}
+
+/**
+ * Lists the normalized aliases a record can be matched on.
+ * @param {object} record - The parsed company record.
+ * @param {string} [folderName] - Name of the company subfolder the doc is in.
+ * @returns {Array<{alias_type: string, alias: string}>} Domain, folder and name aliases that are not empty.
+ */
+function getRecordAliases(record, folderName) {
+  return [
+    { alias_type: ALIAS_TYPE.DOMAIN, alias: record.company_domain },
+    { alias_type: ALIAS_TYPE.FOLDER, alias: normalizeCompanyName(folderName) },
+    { alias_type: ALIAS_TYPE.NAME, alias: normalizeCompanyName(record.company_name) }
+  ].filter(alias => alias.alias);
+}
+
+/**
+ * Finds the companies a record must not be merged into because a reviewer split them apart:
+ * those whose merge of this doc was split, and those split from any of the record's aliases.
+ * @param {object} aliasTable - The alias table.
+ * @param {string} docId - The record's source doc ID.
+ * @param {Array<{alias_type: string, alias: string}>} aliases - The record's aliases.
+ * @returns {string[]} Company IDs to leave out of matching.
+ */
+function getSplitCompanyIds(aliasTable, docId, aliases) {
+  return aliasTable.rows
+    .filter(row => row.status === ALIAS_STATUS.SPLIT && (row.source_doc_id === docId ||
+      aliases.some(alias => alias.alias_type === row.alias_type && alias.alias === row.alias)))
+    .map(row => row.company_id);
+}
+
+/**
+ * Finds the most similar name or folder alias to the record's name and folder.
+ * @param {object[]} candidates - Alias rows that may be matched.
+ * @param {Array<{alias_type: string, alias: string}>} aliases - The record's aliases.
+ * @returns {{row: object, score: number}|null} The best match at or above `FUZZY_NAME_THRESHOLD`, if any.
+ */
+function findFuzzyNameMatch(candidates, aliases) {
+  const names = aliases.filter(alias => alias.alias_type !== ALIAS_TYPE.DOMAIN).map(alias => alias.alias);
+  let best = null;
+
+  candidates
+    .filter(row => row.alias_type !== ALIAS_TYPE.DOMAIN)
+    .forEach(row => names.forEach(name => {
+      const score = companyNameSimilarity(name, row.alias);
+      if (score >= FUZZY_NAME_THRESHOLD && (!best || score > best.score)) {
+        best = { row, score };
+      }
+    }));
+
+  return best;
+}
+
+/**
+ * Checks whether a company has a confirmed domain other than the given one.
+ * @param {object[]} candidates - Alias rows that may be matched.
+ * @param {string} companyId - The company ID.
+ * @param {string} domain - The record's domain.
+ * @returns {boolean} True if the company is known under a different domain.
+ */
+function hasOtherDomain(candidates, companyId, domain) {
+  return candidates.some(row => row.company_id === companyId && row.alias_type === ALIAS_TYPE.DOMAIN &&
+    row.status === ALIAS_STATUS.CONFIRMED && row.alias !== domain);
+}
+
+// === NAME MATCHING ===
+
+/**
+ * Normalizes a company or folder name for matching.
+ * "Acme, Inc." → "acme", "acme.ai" → "acme", "The Acme Company" → "acme"
+ * @param {string|null} name - The name as written.
+ * @returns {string} The normalized name, or "" if nothing is left.
+ */
+function normalizeCompanyName(name) {
+  if (!name) {
+    return "";
+  }
+
+  return String(name)
+    .toLowerCase()
+    .replace(/\.(com|ai|io|co|app|dev|net|org|xyz|tech)\b/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(word => word && COMPANY_NAME_STOPWORDS.indexOf(word) === -1)
+    .join(" ");
+}
+
+/**
+ * Scores how similar two normalized names are, as the Dice coefficient of their
+ * character bigrams (spaces ignored). "acme robotics" vs "acme robotic" → 0.95
+ * @param {string} a - A normalized name.
+ * @param {string} b - Another normalized name.
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (identical).
+ */
+function companyNameSimilarity(a, b) {
+  const bigrams = text => {
+    const compact = text.replace(/ /g, "");
+    const result = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+      result.push(compact.substring(i, i + 2));
+    }
+    return result;
+  };
+
+  if (a === b) {
+    return 1;
+  }
+  const aBigrams = bigrams(a);
+  const bBigrams = bigrams(b);
+  if (aBigrams.length === 0 || bBigrams.length === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  const remaining = bBigrams.slice();
+  aBigrams.forEach(bigram => {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return 2 * shared / (aBigrams.length + bBigrams.length);
+}
+
+// === REVIEW ===
+
+/**
+ * Applies reviewers' decisions on the "Company Aliases" sheet.
+ * For each newly split alias, the other aliases the same doc added to that company are split too,
+ * and the doc is marked changed in the processing ledger so the next batch run re-parses it into
+ * its own company. Confirmed aliases need no action. Applied splits are stamped with `date_reviewed`.
+ */
+function applyCompanyAliasReviews() {
+  const aliasTable = loadCompanyAliases();
+  const ledger = loadProcessingLedger();
+  const now = new Date().toISOString();
+  const column = header => ALIAS_HEADERS.indexOf(header) + 1;
+
+  const newSplits = aliasTable.rows.filter(row => row.status === ALIAS_STATUS.SPLIT && !row.date_reviewed);
+  newSplits.forEach(split => {
+    aliasTable.rows
+      .filter(row => row.company_id === split.company_id && row.source_doc_id === split.source_doc_id)
+      .forEach(row => {
+        aliasTable.sheet.getRange(row.rowIndex, column("status"), 1, 1).setValue(ALIAS_STATUS.SPLIT);
+        aliasTable.sheet.getRange(row.rowIndex, column("date_reviewed"), 1, 1).setValue(now);
+        row.status = ALIAS_STATUS.SPLIT;
+        row.date_reviewed = now;
+      });
+    invalidateLedgerEntry(ledger, split.source_doc_id);
+    Logger.log(`Split doc ${split.source_doc_id} from company ${split.company_id}; it will be re-parsed on the next batch run.`);
+  });
+
+  Logger.log(`Applied ${newSplits.length} split(s). Companies rows keep merged values until their docs are re-parsed.`);
+}
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Compares extraction modes (e.g. "split" vs. "combined") on real company docs.
+ * Each doc is parsed in both modes and the run records cost (requests and tokens), latency,
+ * and which fields the two modes agree on. One row per doc is written to the
+ * "Mode Comparison" sheet, and a per-field agreement summary is logged.
+ */
+
+// === CONFIGURATION ===
+const MODE_COMPARISON_SHEET_NAME = "Mode Comparison";
+const MODE_COMPARISON_SAMPLE_SIZE = 5;
+// Relative difference under which two numbers count as the same value
+const NUMERIC_AGREEMENT_TOLERANCE = 0.01;
+// Record fields that are stamped rather than extracted, so never compared
+const UNCOMPARED_FIELDS = ["id", "doc_id", "doc_url", "field_sources", "date_created", "date_updated"];
+
+const MODE_COMPARISON_HEADERS = [
+  "timestamp", "doc_id", "doc_name", "baseline_mode", "candidate_mode",
+  "baseline_ms", "candidate_ms", "baseline_requests", "candidate_requests",
+  "baseline_tokens", "candidate_tokens", "fields_compared", "fields_agreed",
+  "agreement_rate", "disagreements"
+];
+
+// === ENTRY POINTS ===
+
+/**
+ * Compares "split" and "combined" extraction on the first few source files in the master folder:
+ * any type a batch run parses (see `isSupportedSourceFile`), not only Google Docs.
+ */
+function compareExtractionModesOnSampleDocs() {
+  if (!MASTER_FOLDER_ID) {
+    throw new Error("MASTER_FOLDER_ID is not set in Script Properties. Please configure the ID of the master Google Drive folder.");
+  }
+
+  const docIds = [];
+  const subfolders = DriveApp.getFolderById(MASTER_FOLDER_ID).getFolders();
+
+  while (subfolders.hasNext() && docIds.length < MODE_COMPARISON_SAMPLE_SIZE) {
+    const files = subfolders.next().getFiles();
+    while (files.hasNext() && docIds.length < MODE_COMPARISON_SAMPLE_SIZE) {
+      const file = files.next();
+      if (isSupportedSourceFile(file)) {
+        docIds.push(file.getId());
+      }
+    }
+  }
+
+  compareExtractionModes(docIds, "split", "combined");
+}
+
+/**
+ * Parses each doc in two extraction modes and reports cost, latency and field agreement.
+ *
+ * @param {string[]} docIds - IDs of the Google Docs or other source files to compare on.
+ * @param {string|Array<Array<string>>} baselineMode - Extraction mode to compare against (see `getExtractionGroups`).
+ * @param {string|Array<Array<string>>} candidateMode - Extraction mode being evaluated.
+ * @returns {object[]} One comparison result per doc.
+ */
+function compareExtractionModes(docIds, baselineMode, candidateMode) {
+  const results = [];
+
+  docIds.forEach(docId => {
+    try {
+      const doc = DriveApp.getFileById(docId);
+      const docText = readSourceFileText(doc);
+      Logger.log(`Comparing extraction modes on: ${doc.getName()}`);
+
+      const baseline = parseWithMetrics(docId, docText, baselineMode);
+      const candidate = parseWithMetrics(docId, docText, candidateMode);
+      const agreement = compareRecordFields(baseline.record, candidate.record);
+
+      results.push({ docId, docName: doc.getName(), baseline, candidate, agreement });
+    } catch (e) {
+      Logger.log(`---- ERROR comparing modes on document ${docId}: ${e.toString()}`);
+    }
+  });
+
+  writeModeComparisonRows(results, baselineMode, candidateMode);
+  logModeComparisonSummary(results, baselineMode, candidateMode);
+  return results;
+}
+
+// === MEASUREMENT ===
+
+/**
+ * Parses a doc in the given mode, measuring wall-clock time and OpenAI usage.
+ * @param {string} docId - Google Doc ID.
+ * @param {string} docText - Document text.
+ * @param {string|Array<Array<string>>} mode - Extraction mode.
+ * @returns {{record: object, ms: number, usage: object}} The record and its cost.
+ */
+function parseWithMetrics(docId, docText, mode) {
+  const usageBefore = Object.assign({}, OPENAI_USAGE);
+  const startMs = Date.now();
+  const record = parseCompanyFromDoc(docId, docText, { extractionMode: mode });
+
+  return {
+    record,
+    ms: Date.now() - startMs,
+    usage: diffOpenAIUsage(usageBefore, OPENAI_USAGE)
+  };
+}
+
+/**
+ * Compares the extracted fields of two records.
+ * @param {object} baselineRecord - Record parsed in the baseline mode.
+ * @param {object} candidateRecord - Record parsed in the candidate mode.
+ * @returns {{agreed: string[], disagreed: Array<{field: string, baseline: *, candidate: *}>}}
+ */
+function compareRecordFields(baselineRecord, candidateRecord) {
+  const agreed = [];
+  const disagreed = [];
+
+  Object.keys(baselineRecord)
+    .filter(field => UNCOMPARED_FIELDS.indexOf(field) === -1)
+    .forEach(field => {
+      const baseline = baselineRecord[field];
+      const candidate = candidateRecord[field];
+      if (valuesAgree(baseline, candidate)) {
+        agreed.push(field);
+      } else {
+        disagreed.push({ field, baseline, candidate });
+      }
+    });
+
+  return { agreed, disagreed };
+}
+
+/**
+ * Checks whether two extracted values are the same for comparison purposes.
+ * Numbers match within `NUMERIC_AGREEMENT_TOLERANCE`; strings match ignoring case and whitespace.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @param {number} [tolerance] - Relative difference under which numbers match, instead of the default.
+ * @returns {boolean} True if the values agree.
+ */
+function valuesAgree(a, b, tolerance) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+
+  if (typeof a === "number" && typeof b === "number") {
+    const scale = Math.max(Math.abs(a), Math.abs(b));
+    return scale === 0 || Math.abs(a - b) / scale <= (tolerance === undefined ? NUMERIC_AGREEMENT_TOLERANCE : tolerance);
+  }
+
+  const normalize = value => String(value).toLowerCase().replace(/\s+/g, " ").trim();
+  return normalize(a) === normalize(b);
+}
+
+// === REPORTING ===
+
+/**
+ * Writes one "Mode Comparison" row per compared doc.
+ * @param {object[]} results - Results from `compareExtractionModes`.
+ * @param {string|Array<Array<string>>} baselineMode - Baseline extraction mode.
+ * @param {string|Array<Array<string>>} candidateMode - Candidate extraction mode.
+ */
+function writeModeComparisonRows(results, baselineMode, candidateMode) {
+  if (results.length === 0) {
+    return;
+  }
+
+  const sheet = getReportSheet(MODE_COMPARISON_SHEET_NAME, MODE_COMPARISON_HEADERS);
+  const timestamp = new Date().toISOString();
+  const modeLabel = mode => typeof mode === "string" ? mode : JSON.stringify(mode);
+  const tokens = usage => usage.input_tokens + usage.output_tokens;
+
+  const rows = results.map(result => {
+    const compared = result.agreement.agreed.length + result.agreement.disagreed.length;
+    return [
+      timestamp, result.docId, result.docName, modeLabel(baselineMode), modeLabel(candidateMode),
+      result.baseline.ms, result.candidate.ms, result.baseline.usage.requests, result.candidate.usage.requests,
+      tokens(result.baseline.usage), tokens(result.candidate.usage), compared, result.agreement.agreed.length,
+      compared > 0 ? result.agreement.agreed.length / compared : null,
+      result.agreement.disagreed
+        .map(d => `${d.field}: ${JSON.stringify(d.baseline)} | ${JSON.stringify(d.candidate)}`)
+        .join("\n")
+    ];
+  });
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, MODE_COMPARISON_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Logs totals for cost and latency, and the agreement rate of every field that ever disagreed.
+ * @param {object[]} results - Results from `compareExtractionModes`.
+ * @param {string|Array<Array<string>>} baselineMode - Baseline extraction mode.
+ * @param {string|Array<Array<string>>} candidateMode - Candidate extraction mode.
+ */
+function logModeComparisonSummary(results, baselineMode, candidateMode) {
+  const totals = { baselineMs: 0, candidateMs: 0, baselineTokens: 0, candidateTokens: 0 };
+  const disagreementsByField = {};
+
+  results.forEach(result => {
+    totals.baselineMs += result.baseline.ms;
+    totals.candidateMs += result.candidate.ms;
+    totals.baselineTokens += result.baseline.usage.input_tokens + result.baseline.usage.output_tokens;
+    totals.candidateTokens += result.candidate.usage.input_tokens + result.candidate.usage.output_tokens;
+    result.agreement.disagreed.forEach(d => disagreementsByField[d.field] = (disagreementsByField[d.field] || 0) + 1);
+  });
+
+  Logger.log("========================================");
+  Logger.log(`Extraction mode comparison over ${results.length} doc(s): ${JSON.stringify(baselineMode)} vs ${JSON.stringify(candidateMode)}`);
+  Logger.log(`Latency: ${totals.baselineMs}ms vs ${totals.candidateMs}ms`);
+  Logger.log(`Tokens: ${totals.baselineTokens} vs ${totals.candidateTokens}`);
+  Object.keys(disagreementsByField).forEach(field => {
+    const agreementRate = 1 - disagreementsByField[field] / results.length;
+    Logger.log(`Field ${field}: ${(agreementRate * 100).toFixed(0)}% agreement`);
+  });
+  Logger.log("========================================");
+}
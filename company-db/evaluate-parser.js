@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Measures parser accuracy against a hand-labeled golden set, so prompt and schema
+ * changes can be judged by numbers instead of spot checks.
+ *
+ * The "Golden Set" sheet has one row per labeled doc: a `doc_id` column, an optional `doc_name`
+ * column, and one column per labeled field, headed like the Companies sheet and holding the correct
+ * value in database units (e.g. 0.62 for a 62% gross margin). A blank cell means the field should
+ * come back empty; fields without a column are not evaluated.
+ *
+ * Each evaluation run parses every labeled doc and writes:
+ * - "Evaluation": one row per field with precision, recall and their change since the previous run
+ * - "Evaluation Details": one row per doc and field with the expected and parsed values
+ * and logs which doc fields went from right to wrong (regressions) or wrong to right (fixes).
+ *
+ * Numbers match within EVALUATION_NUMERIC_TOLERANCE (a Script Property; defaults to the mode
+ * comparison tolerance), text ignoring case and whitespace (see `valuesAgree`).
+ */
+
+// === CONFIGURATION ===
+const GOLDEN_SET_SHEET_NAME = "Golden Set";
+const EVALUATION_SHEET_NAME = "Evaluation";
+const EVALUATION_DETAILS_SHEET_NAME = "Evaluation Details";
+
+const EVALUATION_HEADERS = [
+  "run_id", "timestamp", "extraction_mode", "field", "docs", "true_positives", "false_positives", "false_negatives",
+  "precision", "recall", "previous_precision", "previous_recall", "precision_change", "recall_change"
+];
+const EVALUATION_DETAILS_HEADERS = [
+  "run_id", "timestamp", "doc_id", "doc_name", "field", "expected", "actual", "outcome"
+];
+
+// How a parsed value compares with its label
+const EVAL_OUTCOME = {
+  // Labeled and parsed to the same value (a true positive)
+  CORRECT: "correct",
+  // Labeled empty and parsed empty (a true negative)
+  CORRECT_EMPTY: "correct_empty",
+  // Labeled and parsed to a different value (a false positive and a false negative)
+  WRONG: "wrong",
+  // Labeled but parsed empty (a false negative)
+  MISSED: "missed",
+  // Labeled empty but parsed to a value (a false positive)
+  SPURIOUS: "spurious"
+};
+
+// === ENTRY POINTS ===
+
+/**
+ * Evaluates the parser on every doc in the "Golden Set" sheet with the configured extraction mode.
+ */
+function evaluateParserOnGoldenSet() {
+  evaluateParser(loadGoldenSet());
+}
+
+/**
+ * Parses each labeled doc, scores every labeled field, and records the run and its diff
+ * against the previous run.
+ *
+ * @param {Array<{docId: string, docName: string, labels: object}>} goldenSet - Labeled docs (see `loadGoldenSet`).
+ * @param {object} [options] - Evaluation options.
+ * @param {string|Array<Array<string>>} [options.extractionMode] - Extraction mode to evaluate (see `getExtractionGroups`).
+ * @returns {{runId: string, metrics: object[], regressions: object[], fixes: object[]}} Per-field metrics
+ *          and the doc fields that changed outcome since the previous run.
+ */
+function evaluateParser(goldenSet, options) {
+  const extractionMode = options && options.extractionMode;
+  const tolerance = getEvaluationTolerance();
+  const previous = loadPreviousEvaluation();
+  const runId = Utilities.getUuid();
+  const details = [];
+
+  goldenSet.forEach(entry => {
+    let record = {};
+    try {
+      Logger.log(`Evaluating parser on: ${entry.docName || entry.docId}`);
+      record = parseCompanyFromDoc(entry.docId, undefined, { extractionMode: extractionMode });
+    } catch (e) {
+      // Scored as an empty record, so every labeled value counts as missed
+      Logger.log(`---- ERROR parsing document ${entry.docId}: ${e.toString()}`);
+    }
+
+    scoreGoldenRecord(entry.labels, record, tolerance).forEach(score => {
+      details.push(Object.assign({ docId: entry.docId, docName: entry.docName }, score));
+    });
+  });
+
+  const metrics = summarizeFieldMetrics(details, previous.metrics);
+  const changes = diffEvaluationDetails(details, previous.details);
+
+  writeEvaluationRows(runId, extractionMode, metrics, details);
+  logEvaluationSummary(goldenSet.length, metrics, changes);
+  return { runId: runId, metrics: metrics, regressions: changes.regressions, fixes: changes.fixes };
+}
+
+// === GOLDEN SET ===
+
+/**
+ * Reads the labeled docs from the "Golden Set" sheet. Only extracted fields are evaluated;
+ * system columns such as `as_of_date` are ignored.
+ * @returns {Array<{docId: string, docName: string, labels: object}>} One entry per labeled doc.
+ */
+function loadGoldenSet() {
+  const sheet = getOrCreateSheet(SPREADSHEET_ID, GOLDEN_SET_SHEET_NAME);
+  const headers = getHeaders(sheet);
+  const docIdColumn = headers.indexOf("doc_id");
+  if (docIdColumn === -1) {
+    throw new Error(`The "${GOLDEN_SET_SHEET_NAME}" sheet needs a doc_id column and one column per labeled field.`);
+  }
+
+  const extractedFields = getExtractedFieldNames();
+  const labeledColumns = headers
+    .map((header, i) => ({ field: getFieldNameForColumn(header), index: i }))
+    .filter(column => extractedFields.indexOf(column.field) !== -1);
+
+  return readSheetTable(sheet, headers).rows
+    .filter(row => row[docIdColumn])
+    .map(row => {
+      const labels = {};
+      labeledColumns.forEach(column => labels[column.field] = row[column.index] === "" ? null : row[column.index]);
+      return { docId: String(row[docIdColumn]), docName: row[headers.indexOf("doc_name")] || "", labels: labels };
+    });
+}
+
+/**
+ * Reads the numeric tolerance from the EVALUATION_NUMERIC_TOLERANCE Script Property.
+ * @returns {number} Relative difference under which two numbers match.
+ */
+function getEvaluationTolerance() {
+  const value = PropertiesService.getScriptProperties().getProperty("EVALUATION_NUMERIC_TOLERANCE");
+  return value ? Number(value) : NUMERIC_AGREEMENT_TOLERANCE;
+}
+
+// === SCORING ===
+
+/**
+ * Compares a parsed record's values with a doc's labels.
+ * @param {object} labels - Expected values keyed by field name; null means the field should be empty.
+ * @param {object} record - The parsed record.
+ * @param {number} tolerance - Relative tolerance for numbers.
+ * @returns {Array<{field: string, expected: *, actual: *, outcome: string}>} One score per labeled field.
+ */
+function scoreGoldenRecord(labels, record, tolerance) {
+  const isEmpty = value => value === null || value === undefined || value === "";
+
+  return Object.keys(labels).map(field => {
+    const expected = isEmpty(labels[field]) ? null : labels[field];
+    const actual = isEmpty(record[field]) ? null : record[field];
+    let outcome;
+
+    if (expected === null) {
+      outcome = actual === null ? EVAL_OUTCOME.CORRECT_EMPTY : EVAL_OUTCOME.SPURIOUS;
+    } else if (actual === null) {
+      outcome = EVAL_OUTCOME.MISSED;
+    } else {
+      outcome = valuesAgree(expected, actual, tolerance) ? EVAL_OUTCOME.CORRECT : EVAL_OUTCOME.WRONG;
+    }
+
+    return { field: field, expected: expected, actual: actual, outcome: outcome };
+  });
+}
+
+/**
+ * Computes precision and recall per field. Precision is the share of parsed values that are
+ * correct; recall is the share of labeled values that were parsed correctly.
+ * @param {object[]} details - Scores from `scoreGoldenRecord`.
+ * @param {Object<string, object>} [previousMetrics] - The previous run's metrics keyed by field.
+ * @returns {object[]} One metrics entry per field, in registry order.
+ */
+function summarizeFieldMetrics(details, previousMetrics) {
+  const byField = {};
+  details.forEach(score => {
+    const counts = byField[score.field] = byField[score.field] || { docs: 0, truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+    counts.docs++;
+    if (score.outcome === EVAL_OUTCOME.CORRECT) {
+      counts.truePositives++;
+    }
+    if (score.outcome === EVAL_OUTCOME.WRONG || score.outcome === EVAL_OUTCOME.SPURIOUS) {
+      counts.falsePositives++;
+    }
+    if (score.outcome === EVAL_OUTCOME.WRONG || score.outcome === EVAL_OUTCOME.MISSED) {
+      counts.falseNegatives++;
+    }
+  });
+
+  const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+  const change = (current, before) => current !== null && before !== null && before !== undefined ? current - before : null;
+  const fieldOrder = FIELD_REGISTRY.map(field => field.name);
+
+  return Object.keys(byField)
+    .sort((a, b) => fieldOrder.indexOf(a) - fieldOrder.indexOf(b))
+    .map(field => {
+      const counts = byField[field];
+      const previous = (previousMetrics && previousMetrics[field]) || {};
+      const precision = ratio(counts.truePositives, counts.truePositives + counts.falsePositives);
+      const recall = ratio(counts.truePositives, counts.truePositives + counts.falseNegatives);
+
+      return Object.assign({ field: field }, counts, {
+        precision: precision,
+        recall: recall,
+        previousPrecision: previous.precision !== undefined ? previous.precision : null,
+        previousRecall: previous.recall !== undefined ? previous.recall : null,
+        precisionChange: change(precision, previous.precision),
+        recallChange: change(recall, previous.recall)
+      });
+    });
+}
+
+/**
+ * Finds the doc fields whose outcome changed between runs. Doc fields the previous run did not
+ * evaluate (new labels or docs) are not reported.
+ * @param {object[]} details - This run's scores, with `docId`.
+ * @param {object[]} previousDetails - The previous run's scores, with `docId`.
+ * @returns {{regressions: object[], fixes: object[]}} Doc fields that became wrong, and that became right.
+ */
+function diffEvaluationDetails(details, previousDetails) {
+  const isRight = outcome => outcome === EVAL_OUTCOME.CORRECT || outcome === EVAL_OUTCOME.CORRECT_EMPTY;
+  const previousByKey = {};
+  previousDetails.forEach(score => previousByKey[`${score.docId}|${score.field}`] = score);
+
+  const changes = { regressions: [], fixes: [] };
+  details.forEach(score => {
+    const previous = previousByKey[`${score.docId}|${score.field}`];
+    if (!previous || isRight(previous.outcome) === isRight(score.outcome)) {
+      return;
+    }
+    const change = Object.assign({}, score, { previousActual: previous.actual, previousOutcome: previous.outcome });
+    (isRight(score.outcome) ? changes.fixes : changes.regressions).push(change);
+  });
+
+  return changes;
+}
+
+// === REPORTING ===
+
+/**
+ * Reads the most recent evaluation run's metrics and details.
+ * @returns {{metrics: Object<string, object>, details: object[]}} Metrics keyed by field, and the
+ *          run's scores; both empty if there has been no run.
+ */
+function loadPreviousEvaluation() {
+  const rows = getReportRows(EVALUATION_SHEET_NAME, EVALUATION_HEADERS);
+  if (rows.length === 0) {
+    return { metrics: {}, details: [] };
+  }
+
+  const runId = rows[rows.length - 1].run_id;
+  const metrics = {};
+  const value = cell => cell === "" ? null : cell;
+  rows.filter(row => row.run_id === runId)
+    .forEach(row => metrics[row.field] = { precision: value(row.precision), recall: value(row.recall) });
+
+  const details = getReportRows(EVALUATION_DETAILS_SHEET_NAME, EVALUATION_DETAILS_HEADERS)
+    .filter(row => row.run_id === runId)
+    .map(row => ({ docId: String(row.doc_id), field: row.field, actual: row.actual, outcome: row.outcome }));
+
+  return { metrics: metrics, details: details };
+}
+
+/**
+ * Appends the run's per-field metrics and per-doc details to the evaluation sheets.
+ * @param {string} runId - The evaluation run ID.
+ * @param {string|Array<Array<string>>|undefined} extractionMode - The evaluated extraction mode.
+ * @param {object[]} metrics - From `summarizeFieldMetrics`.
+ * @param {object[]} details - Scores with `docId` and `docName`.
+ */
+function writeEvaluationRows(runId, extractionMode, metrics, details) {
+  const timestamp = new Date().toISOString();
+  const modeLabel = extractionMode
+    ? (typeof extractionMode === "string" ? extractionMode : JSON.stringify(extractionMode))
+    : (PropertiesService.getScriptProperties().getProperty("EXTRACTION_MODE") || "split");
+  const cell = value => value === null || value === undefined ? "" : value;
+
+  if (metrics.length > 0) {
+    const sheet = getReportSheet(EVALUATION_SHEET_NAME, EVALUATION_HEADERS);
+    const rows = metrics.map(m => [
+      runId, timestamp, modeLabel, m.field, m.docs, m.truePositives, m.falsePositives, m.falseNegatives,
+      cell(m.precision), cell(m.recall), cell(m.previousPrecision), cell(m.previousRecall),
+      cell(m.precisionChange), cell(m.recallChange)
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, EVALUATION_HEADERS.length).setValues(rows);
+  }
+
+  if (details.length > 0) {
+    const sheet = getReportSheet(EVALUATION_DETAILS_SHEET_NAME, EVALUATION_DETAILS_HEADERS);
+    const rows = details.map(d => [runId, timestamp, d.docId, d.docName, d.field, cell(d.expected), cell(d.actual), d.outcome]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, EVALUATION_DETAILS_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Logs precision and recall per field, with changes since the previous run, and the doc fields
+ * that regressed or were fixed.
+ * @param {number} docCount - Number of labeled docs.
+ * @param {object[]} metrics - From `summarizeFieldMetrics`.
+ * @param {{regressions: object[], fixes: object[]}} changes - From `diffEvaluationDetails`.
+ */
+function logEvaluationSummary(docCount, metrics, changes) {
+  const percent = value => value === null ? "n/a" : `${(value * 100).toFixed(0)}%`;
+  const delta = value => value === null || value === 0 ? "" : ` (${value > 0 ? "+" : ""}${(value * 100).toFixed(0)})`;
+  const describe = change => `${change.docName || change.docId} ${change.field}: expected ${JSON.stringify(change.expected)}, ` +
+    `was ${JSON.stringify(change.previousActual)}, now ${JSON.stringify(change.actual)}`;
+
+  Logger.log("========================================");
+  Logger.log(`Parser evaluation over ${docCount} labeled doc(s)`);
+  metrics.forEach(m => Logger.log(`Field ${m.field}: precision ${percent(m.precision)}${delta(m.precisionChange)}, ` +
+    `recall ${percent(m.recall)}${delta(m.recallChange)}`));
+  Logger.log(`Regressions since the previous run: ${changes.regressions.length}`);
+  changes.regressions.forEach(change => Logger.log(`  ${describe(change)}`));
+  Logger.log(`Fixes since the previous run: ${changes.fixes.length}`);
+  changes.fixes.forEach(change => Logger.log(`  ${describe(change)}`));
+  Logger.log("========================================");
+}
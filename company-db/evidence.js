@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Stores the evidence behind extracted metrics.
+ * Each row on the "Evidence" sheet links a Companies row (by record ID) and a source doc to one
+ * field, with the value, the verbatim quote it came from and the model's confidence, so a number
+ * can be audited without reopening the doc.
+ */
+
+// === CONFIGURATION ===
+const EVIDENCE_SHEET_NAME = "Evidence";
+const EVIDENCE_HEADERS = ["record_id", "company_name", "doc_id", "doc_url", "field", "value", "quote", "confidence", "date_updated"];
+
+// === MAIN SAVE FUNCTION ===
+
+/**
+ * Replaces the evidence stored for saved records' source docs, in one range write.
+ * Rows from earlier parses of the same docs are removed first, so the sheet always holds
+ * the evidence of each doc's latest parse.
+ *
+ * @param {Array<{record: object, evidence: Array<{field: string, quote: string, confidence: number}>}>} saves
+ *        The saved company records, each with its evidence from `parseCompanyWithEvidence`.
+ */
+function saveFieldEvidence(saves) {
+  if (saves.length === 0) {
+    return;
+  }
+  const sheet = getReportSheet(EVIDENCE_SHEET_NAME, EVIDENCE_HEADERS);
+
+  deleteEvidenceRowsForDocs(sheet, saves.map(save => save.record.doc_id));
+
+  const rows = [];
+  saves.forEach(save => {
+    const companyRecord = save.record;
+    save.evidence
+      .filter(entry => companyRecord[entry.field] !== null && companyRecord[entry.field] !== undefined)
+      .forEach(entry => rows.push([
+        companyRecord.id, companyRecord.company_name, companyRecord.doc_id, companyRecord.doc_url,
+        entry.field, companyRecord[entry.field], entry.quote, entry.confidence, companyRecord.date_updated
+      ]));
+  });
+
+  if (rows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, EVIDENCE_HEADERS.length).setValues(rows);
+  }
+  Logger.log(`Saved ${rows.length} evidence row(s) for ${saves.length} record(s).`);
+}
+
+/**
+ * Deletes all evidence rows for some source docs, one contiguous block at a time.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Evidence sheet.
+ * @param {string[]} docIds - The source doc IDs.
+ */
+function deleteEvidenceRowsForDocs(sheet, docIds) {
+  const rowDocIds = getColumnValues(sheet, EVIDENCE_HEADERS.indexOf("doc_id") + 1);
+
+  // Walk bottom-up so deleting a block never shifts the rows still to be checked
+  let blockEnd = -1;
+  for (let i = rowDocIds.length - 1; i >= -1; i--) {
+    const matches = i >= 0 && docIds.indexOf(rowDocIds[i]) !== -1;
+    if (matches && blockEnd === -1) {
+      blockEnd = i;
+    } else if (!matches && blockEnd !== -1) {
+      sheet.deleteRows(i + 3, blockEnd - i); // +2 for 1-based index and header row, +1 for the row after i
+      blockEnd = -1;
+    }
+  }
+}
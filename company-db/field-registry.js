@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Field registry - the single definition of every company record field.
+ *
+ * Each entry drives:
+ * - the FIELD DEFINITIONS list in extraction prompts (description, unit, normalization)
+ * - the strict JSON schema of its extraction step (type, group, period)
+ * - local normalization of the raw extracted value (unit, period, compounding; see normalize.js)
+ * - record assembly and sheet column order (registry order, column)
+ *
+ * Adding a field extracted with the simple fields (e.g. `burn_multiple`) is a one-entry change here.
+ * Fields in other groups are also added to their step's schema automatically, but that step's
+ * prompt should be updated to explain how to find them.
+ *
+ * Entry properties:
+ * - name: Record key
+ * - type: "string" | "number" | "integer"
+ * - unit: Key of FIELD_UNIT_PHRASES, or omitted
+ * - period: For flows and rates, the period the stored value is expressed in ("monthly", "annual");
+ *   the model then also reports the period the notes state the value for
+ * - compounding: "rate" for compounding rates such as churn; flows such as burn convert linearly
+ * - description: What the field means, used in prompts
+ * - normalization: Extra extraction rule for the prompt, if any
+ * - group: Extraction step key (see EXTRACTION_STEPS), or "system" for fields stamped during assembly
+ * - column: Sheet column header; defaults to `name`
+ * - merge: How a newer parse is merged into the company's Companies row, a MERGE_RULE value
+ *   (see merge-policy.js); defaults to "latest" for system fields and "latest_non_null" otherwise
+ */
+
+// Bump when fields are added, removed or renamed so existing sheets are reconciled (see sheet-schema.js)
+const FIELD_REGISTRY_VERSION = 5;
+
+// Phrases appended to field descriptions in prompts, describing the raw value to look for
+const FIELD_UNIT_PHRASES = {
+  usd: "a dollar amount",
+  months: "a duration",
+  decimal: "a percentage or rate",
+  ratio: "a multiple or ratio",
+  count: "a count",
+  year: "a year"
+};
+
+const FIELD_REGISTRY = [
+  // === CORE IDENTIFICATION ===
+  { name: "id", type: "string", group: "system", description: "Stable record ID (domain- or doc-based)" },
+  { name: "company_name", type: "string", group: "simple_fields", description: "The name of the company" },
+  { name: "company_domain", type: "string", group: "system", description: "Normalized company website domain" },
+  { name: "doc_id", type: "string", group: "system", description: "Source Google Doc (or other file) ID" },
+  { name: "doc_url", type: "string", group: "system", description: "Source Google Doc (or other file) URL" },
+  { name: "as_of_date", type: "string", group: "system", description: "Date of the source doc (yyyy-MM-dd), from its title" },
+  { name: "field_sources", type: "string", group: "system",
+    description: "Source file name of each extracted value, as a JSON object keyed by field (merged per field)" },
+  { name: "date_created", type: "string", group: "system", merge: "keep_first", description: "When the record was first saved" },
+  { name: "date_updated", type: "string", group: "system", description: "When the record was last parsed" },
+  { name: "validation_warnings", type: "string", group: "system", description: "Issues found by post-parse validation" },
+
+  // === FINANCIAL METRICS ===
+  { name: "arr_run_rate", type: "number", unit: "usd", period: "annual", group: "simple_fields",
+    description: "Annual Recurring Revenue run rate", normalization: "(an MRR figure is stated for a monthly period)" },
+  { name: "carr", type: "number", unit: "usd", group: "simple_fields", description: "Contracted Annual Recurring Revenue",
+    normalization: "(only if explicitly mentioned as \"contracted ARR\" or \"CARR\")" },
+  { name: "revenue_2024", type: "number", unit: "usd", group: "simple_fields", description: "Historical revenue for 2024" },
+  { name: "revenue_2023", type: "number", unit: "usd", group: "simple_fields", description: "Historical revenue for 2023" },
+  { name: "revenue_2022", type: "number", unit: "usd", group: "simple_fields", description: "Historical revenue for 2022" },
+  { name: "monthly_burn", type: "number", unit: "usd", period: "monthly", group: "burn", description: "Net burn" },
+  { name: "cash", type: "number", unit: "usd", group: "simple_fields", description: "Current cash position" },
+  { name: "runway", type: "number", unit: "months", group: "simple_fields", description: "Runway" },
+  { name: "raising", type: "number", unit: "usd", group: "simple_fields", description: "Amount currently raising" },
+  { name: "raised", type: "number", unit: "usd", group: "simple_fields", description: "Amount previously raised" },
+  { name: "last_round_valuation", type: "number", unit: "usd", group: "valuation", description: "Most recent round's post-money valuation" },
+
+  // === CUSTOMER METRICS ===
+  { name: "acv", type: "number", unit: "usd", group: "acv", description: "Annual Contract Value (primary segment)" },
+  { name: "acv_2", type: "number", unit: "usd", group: "acv", description: "Annual Contract Value of a distinct secondary segment" },
+  { name: "customer_count", type: "integer", unit: "count", group: "customers", description: "Number of customers (primary segment)" },
+  { name: "customer_count_2", type: "integer", unit: "count", group: "customers", description: "Number of customers in a distinct secondary segment" },
+  { name: "logo_churn_annual", type: "number", unit: "decimal", period: "annual", compounding: "rate", group: "churn",
+    description: "Logo churn rate" },
+
+  // === OTHER METRICS ===
+  { name: "cac", type: "number", unit: "usd", group: "simple_fields", description: "Customer Acquisition Cost" },
+  { name: "payback_period", type: "number", unit: "months", group: "simple_fields", description: "Payback period" },
+  { name: "ltv_to_cac", type: "number", unit: "ratio", group: "simple_fields", description: "LTV to CAC ratio" },
+  { name: "gross_margin", type: "number", unit: "decimal", group: "simple_fields", description: "Gross margin" },
+  { name: "saas_recurring_percent", type: "number", unit: "decimal", group: "simple_fields", description: "Percentage of revenue that is SaaS recurring" },
+  { name: "nrr", type: "number", unit: "decimal", group: "simple_fields", description: "Net Revenue Retention" },
+
+  // === COMPANY INFO ===
+  { name: "team_size", type: "integer", unit: "count", group: "simple_fields", description: "Number of full-time employees" },
+  { name: "year_founded", type: "integer", unit: "year", group: "simple_fields", description: "Year founded" },
+  { name: "location", type: "string", group: "simple_fields", description: "Location string, cleaned up" },
+  { name: "description", type: "string", group: "simple_fields", description: "Company description, cleaned up" },
+  { name: "url", type: "string", group: "simple_fields", description: "The company's website URL" },
+  { name: "competition", type: "string", group: "simple_fields", description: "Competition notes, cleaned up" },
+  { name: "revenue_notes", type: "string", group: "simple_fields", description: "Revenue-related notes, cleaned up" },
+  { name: "funding_notes", type: "string", group: "simple_fields", description: "Funding-related notes",
+    normalization: "(combine \"Active round\" and \"Other Funding\" notes)" },
+  { name: "good", type: "string", group: "simple_fields", merge: "append", description: "Positive notes, cleaned up" },
+  { name: "challenges", type: "string", group: "simple_fields", merge: "append", description: "Challenge notes, cleaned up" },
+  { name: "needs_action", type: "string", group: "simple_fields", description: "Action items, cleaned up" }
+];
+
+// === REGISTRY LOOKUPS ===
+
+/**
+ * Get the registry entries extracted by an extraction step.
+ * @param {string} group - Extraction step key, e.g. "simple_fields".
+ * @returns {object[]} Registry entries in registry order.
+ */
+function getFieldsInGroup(group) {
+  return FIELD_REGISTRY.filter(field => field.group === group);
+}
+
+/**
+ * Get the names of all fields the parser extracts (everything but system fields).
+ * @returns {string[]} Field names in registry order.
+ */
+function getExtractedFieldNames() {
+  return FIELD_REGISTRY.filter(field => field.group !== "system").map(field => field.name);
+}
+
+/**
+ * Get the sheet column header for a record field.
+ * @param {string} name - Field name.
+ * @returns {string} Column header.
+ */
+function getFieldColumn(name) {
+  const field = FIELD_REGISTRY.find(entry => entry.name === name);
+  return (field && field.column) || name;
+}
+
+/**
+ * Get the record field stored in a sheet column.
+ * Columns that are not in the registry map to a field of the same name.
+ * @param {string} column - Column header.
+ * @returns {string} Field name.
+ */
+function getFieldNameForColumn(column) {
+  const field = FIELD_REGISTRY.find(entry => (entry.column || entry.name) === column);
+  return field ? field.name : column;
+}
+
+/**
+ * Get the sheet column headers for a company record, in registry order.
+ * @returns {string[]} Column headers.
+ */
+function getRecordHeaders() {
+  return FIELD_REGISTRY.map(field => field.column || field.name);
+}
+
+// === GENERATION ===
+
+/**
+ * Build the strict JSON schema for an extraction step's fields.
+ * Every field is nullable so the model can report missing data. Numeric fields are requested as
+ * raw strings, as written in the notes, and normalized locally; fields with a `period` are
+ * requested as `{ raw, period }`.
+ * @param {string} group - Extraction step key.
+ * @returns {object} JSON schema.
+ */
+function buildGroupSchema(group) {
+  const fields = getFieldsInGroup(group);
+  const properties = {};
+  fields.forEach(field => properties[field.name] = buildFieldSchema(field));
+
+  return {
+    type: "object",
+    properties: properties,
+    required: fields.map(field => field.name),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the schema of a single field as the model should return it.
+ * @param {object} field - Registry entry.
+ * @returns {object} JSON schema for the field.
+ */
+function buildFieldSchema(field) {
+  if (field.type !== "number" && field.type !== "integer") {
+    return { type: [field.type, "null"] };
+  }
+  if (!field.period) {
+    return { type: ["string", "null"] };
+  }
+
+  return {
+    type: "object",
+    properties: {
+      raw: { type: ["string", "null"] },
+      period: { type: ["string", "null"], enum: ["monthly", "quarterly", "annual", null] }
+    },
+    required: ["raw", "period"],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the FIELD DEFINITIONS prompt lines for an extraction step's fields.
+ * @param {string} group - Extraction step key.
+ * @returns {string} One "- name: definition" line per field.
+ */
+function buildFieldDefinitions(group) {
+  return getFieldsInGroup(group).map(field => {
+    const unit = field.unit ? `, ${FIELD_UNIT_PHRASES[field.unit]}` : "";
+    const period = field.period ? ", with the period it is stated for" : "";
+    const normalization = field.normalization ? ` ${field.normalization}` : "";
+    return `- ${field.name}: ${field.description}${unit}${period}${normalization}.`;
+  }).join("\n");
+}
+
+/**
+ * Assemble a record from system values and extracted fields, in registry order.
+ * Fields missing from both inputs are set to null.
+ * @param {object} systemValues - Values for "system" fields.
+ * @param {object} fields - Extracted field values.
+ * @returns {object} Record with every registry field.
+ */
+function buildRecordFromRegistry(systemValues, fields) {
+  const record = {};
+  FIELD_REGISTRY.forEach(field => {
+    const source = field.group === "system" ? systemValues : fields;
+    record[field.name] = source[field.name] !== undefined ? source[field.name] : null;
+  });
+  return record;
+}
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Processing ledger for batch runs.
+ * Remembers, per Google Doc, when it was last modified, a hash of its content and how its
+ * last parse went, so batch runs can skip documents that have not changed since then.
+ */
+
+// === CONFIGURATION ===
+const LEDGER_SHEET_NAME = "Processing Ledger";
+const LEDGER_HEADERS = ["doc_id", "doc_name", "last_modified", "content_hash", "last_status", "last_parsed", "last_error"];
+
+// Parse outcomes recorded in the `last_status` column
+const LEDGER_STATUS = {
+  SUCCESS: "success",
+  NO_RECORD: "no_record",
+  INVALID: "invalid",
+  ERROR: "error"
+};
+
+// === LEDGER ACCESS ===
+
+/**
+ * Loads the processing ledger from its sheet into memory.
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, entries: Object<string, object>}}
+ *          The ledger sheet and its entries keyed by doc ID. Each entry also carries its `rowIndex`.
+ */
+function loadProcessingLedger() {
+  if (!SPREADSHEET_ID) {
+    throw new Error("SPREADSHEET_ID is not set in Script Properties. Please configure the target Google Sheet ID.");
+  }
+
+  const sheet = getOrCreateSheet(SPREADSHEET_ID, LEDGER_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    setHeaders(sheet, LEDGER_HEADERS);
+  }
+
+  const entries = {};
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow > 1) {
+    const rows = sheet.getRange(2, 1, lastRow - 1, LEDGER_HEADERS.length).getValues();
+    rows.forEach((row, i) => {
+      const entry = { rowIndex: i + 2 };
+      LEDGER_HEADERS.forEach((header, col) => entry[header] = row[col]);
+      if (entry.doc_id) {
+        entries[entry.doc_id] = entry;
+      }
+    });
+  }
+
+  return { sheet, entries };
+}
+
+/**
+ * Writes a ledger entry, updating the document's existing row or appending a new one.
+ * @param {object} ledger - The ledger returned by `loadProcessingLedger`.
+ * @param {object} entry - Ledger fields to store; must include `doc_id`.
+ */
+function recordLedgerEntry(ledger, entry) {
+  const existing = ledger.entries[entry.doc_id];
+  const merged = Object.assign({}, existing, entry, { last_parsed: new Date().toISOString() });
+  const row = LEDGER_HEADERS.map(header => merged[header] !== undefined ? merged[header] : null);
+
+  if (existing) {
+    ledger.sheet.getRange(existing.rowIndex, 1, 1, row.length).setValues([row]);
+  } else {
+    ledger.sheet.appendRow(row);
+    merged.rowIndex = ledger.sheet.getLastRow();
+  }
+
+  ledger.entries[entry.doc_id] = merged;
+}
+
+/**
+ * Marks a document as changed so the next batch run re-parses it.
+ * @param {object} ledger - The ledger returned by `loadProcessingLedger`.
+ * @param {string} docId - The document's ID.
+ */
+function invalidateLedgerEntry(ledger, docId) {
+  if (ledger.entries[docId]) {
+    recordLedgerEntry(ledger, { doc_id: docId, last_modified: null, content_hash: null });
+  }
+}
+
+// === CHANGE DETECTION ===
+
+/**
+ * Checks whether a document can be skipped because it has not changed since its last parse.
+ * A document is unchanged if its last parse finished (with or without a record) and either its
+ * modified time or its content hash matches the ledger. Pass `contentHash` as null to check
+ * the modified time alone, which avoids opening the document.
+ *
+ * @param {object|undefined} entry - The document's ledger entry, if any.
+ * @param {string} lastModified - The document's current modified time (ISO string).
+ * @param {string|null} contentHash - The document's current content hash, if computed.
+ * @returns {boolean} True if the document does not need to be re-parsed.
+ */
+function isDocUnchanged(entry, lastModified, contentHash) {
+  if (!entry || entry.last_status === LEDGER_STATUS.ERROR || !entry.last_status) {
+    return false;
+  }
+
+  if (entry.last_modified && new Date(entry.last_modified).getTime() === new Date(lastModified).getTime()) {
+    return true;
+  }
+
+  return Boolean(contentHash) && entry.content_hash === contentHash;
+}
+
+/**
+ * Computes a SHA-256 hash of document text.
+ * The hash is prefixed so Sheets never reads it as a number.
+ * @param {string} text - Document text.
+ * @returns {string} Hash string, e.g. "sha256:9f86d0...".
+ */
+function computeContentHash(text) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+  const hex = digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Shared LLM provider layer with per-task model selection.
+ * Callers name a task ("extraction", "classification", "web_search") instead of a model; each task
+ * maps to a provider and model. Providers:
+ * - openai_responses: OpenAI Responses API (structured output and web search)
+ * - openai_chat: OpenAI Chat Completions API (structured output, no web search)
+ * - anthropic: Anthropic Messages API (structured output via a forced tool call, web search tool)
+ * - mock: canned responses for offline tests (see `setMockLLMResponse`)
+ *
+ * Override the defaults with the LLM_TASK_CONFIG Script Property, a JSON object keyed by task,
+ * e.g. {"extraction": {"provider": "anthropic", "model": "claude-sonnet-4-5"}}. The key "*" applies
+ * to every task, e.g. {"*": {"provider": "mock"}}.
+ *
+ * This file is shared by the company-db and zeroclick projects; keep both copies identical.
+ * HTTP calls go through openai-client.js; the anthropic provider reads ANTHROPIC_API_KEY from Script Properties.
+ */
+
+// === CONFIGURATION ===
+const LLM_TASK_DEFAULTS = {
+  extraction: { provider: "openai_responses", model: "gpt-4o" },
+  classification: { provider: "openai_chat", model: "gpt-4o" },
+  web_search: { provider: "openai_responses", model: "gpt-4.1" },
+  // zeroclick's LinkedIn lookup, which has always run on gpt-4o
+  linkedin_search: { provider: "openai_responses", model: "gpt-4o" }
+};
+
+const ANTHROPIC_MESSAGES_URL = "https://api.anthropic.com/v1/messages";
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_MAX_TOKENS = 4096;
+// How many times a turn paused by server tools (stop_reason "pause_turn") is continued
+const ANTHROPIC_MAX_CONTINUATIONS = 3;
+
+// Canned mock provider responses keyed by schema name or task, and the requests it received
+const MOCK_LLM_RESPONSES = {};
+const MOCK_LLM_CALLS = [];
+
+// === MAIN ENTRY POINTS ===
+
+/**
+ * Generate free text for a task.
+ * @param {string} task - Task name, e.g. "classification".
+ * @param {{prompt: string, system: (string|undefined), webSearch: (boolean|undefined)}} request
+ *        The user prompt, an optional system prompt, and whether the model may search the web.
+ * @returns {string} The model's text output.
+ */
+function generateText(task, request) {
+  return callLLMProvider(task, request).text;
+}
+
+/**
+ * Generate JSON matching a strict schema for a task.
+ * @param {string} task - Task name, e.g. "extraction".
+ * @param {{prompt: string, schema: object, schemaName: string, system: (string|undefined), webSearch: (boolean|undefined)}} request
+ *        The prompt, the JSON schema and its name, an optional system prompt, and whether the model may search the web.
+ * @returns {object} The parsed output.
+ */
+function generateStructured(task, request) {
+  const output = callLLMProvider(task, request);
+  return output.json !== undefined ? output.json : JSON.parse(output.text);
+}
+
+/**
+ * Send a request to the provider configured for a task.
+ * @param {string} task - Task name.
+ * @param {object} request - See `generateText` and `generateStructured`.
+ * @returns {{text: (string|undefined), json: (object|undefined)}} Text output, or already parsed JSON.
+ */
+function callLLMProvider(task, request) {
+  const config = getLLMTaskConfig(task);
+  const provider = LLM_PROVIDERS[config.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}" for task "${task}". Use one of: ${Object.keys(LLM_PROVIDERS).join(", ")}`);
+  }
+  return provider(config, request, task);
+}
+
+/**
+ * Resolve the provider and model for a task: defaults, then the "*" and task entries of LLM_TASK_CONFIG.
+ * @param {string} task - Task name.
+ * @returns {{provider: string, model: string}} The task's configuration.
+ */
+function getLLMTaskConfig(task) {
+  const raw = PropertiesService.getScriptProperties().getProperty("LLM_TASK_CONFIG");
+  const overrides = raw ? JSON.parse(raw) : {};
+  const config = Object.assign({}, LLM_TASK_DEFAULTS[task], overrides["*"], overrides[task]);
+
+  if (!config.provider || (!config.model && config.provider !== "mock")) {
+    throw new Error(`No LLM provider and model configured for task "${task}". Add it to LLM_TASK_CONFIG.`);
+  }
+  return config;
+}
+
+// === PROVIDERS ===
+
+/**
+ * Call the OpenAI Responses API.
+ * @param {object} config - Task configuration.
+ * @param {object} request - LLM request.
+ * @returns {{text: string}} The output text.
+ */
+function callOpenAIResponsesProvider(config, request) {
+  const payload = { model: config.model, input: request.prompt };
+  if (request.system) {
+    payload.instructions = request.system;
+  }
+  if (request.webSearch) {
+    payload.tools = [{ type: "web_search_preview" }];
+  }
+  if (request.schema) {
+    payload.text = {
+      format: { type: "json_schema", name: request.schemaName, strict: true, schema: request.schema }
+    };
+  }
+
+  return { text: getResponseOutputText(callOpenAI("responses", payload)) };
+}
+
+/**
+ * Call the OpenAI Chat Completions API.
+ * @param {object} config - Task configuration.
+ * @param {object} request - LLM request.
+ * @returns {{text: string}} The output text.
+ */
+function callOpenAIChatProvider(config, request) {
+  if (request.webSearch) {
+    throw new Error("The openai_chat provider does not support web search; use openai_responses or anthropic.");
+  }
+
+  const messages = [];
+  if (request.system) {
+    messages.push({ role: "system", content: request.system });
+  }
+  messages.push({ role: "user", content: request.prompt });
+
+  const payload = { model: config.model, messages: messages };
+  if (request.schema) {
+    payload.response_format = {
+      type: "json_schema",
+      json_schema: { name: request.schemaName, strict: true, schema: request.schema }
+    };
+  }
+
+  return { text: callOpenAI("chat/completions", payload).choices[0].message.content };
+}
+
+/**
+ * Call the Anthropic Messages API. Structured output is requested as a forced call of a tool
+ * whose input schema is the output schema. With web search, the web_search server tool also
+ * satisfies the tool choice, so the model may pause the turn (stop_reason "pause_turn"), which is
+ * continued, or end it without the output tool, in which case it is asked again with that tool forced.
+ * @param {object} config - Task configuration.
+ * @param {object} request - LLM request.
+ * @returns {{text: (string|undefined), json: (object|undefined)}} The output text, or the tool input.
+ */
+function callAnthropicProvider(config, request) {
+  const apiKey = PropertiesService.getScriptProperties().getProperty("ANTHROPIC_API_KEY");
+  if (!apiKey) {
+    throw new Error("ANTHROPIC_API_KEY is not set in Script Properties.");
+  }
+
+  const payload = {
+    model: config.model,
+    max_tokens: config.maxTokens || ANTHROPIC_MAX_TOKENS,
+    messages: [{ role: "user", content: request.prompt }],
+    tools: []
+  };
+  if (request.system) {
+    payload.system = request.system;
+  }
+  if (request.webSearch) {
+    payload.tools.push({ type: "web_search_20250305", name: "web_search", max_uses: 5 });
+  }
+  if (request.schema) {
+    payload.tools.push({ name: request.schemaName, description: "Return the result.", input_schema: request.schema });
+    // With web search the model must be free to search first, so only require some tool call
+    payload.tool_choice = request.webSearch ? { type: "any" } : { type: "tool", name: request.schemaName };
+  }
+  if (payload.tools.length === 0) {
+    delete payload.tools;
+  }
+
+  const headers = { "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION };
+  const prompt = payload.messages;
+  // Every content block the model returned; sent back as its turn so far to continue or re-ask
+  const content = [];
+  const send = followUp => {
+    payload.messages = content.length === 0 ? prompt : prompt.concat([{ role: "assistant", content: content.slice() }], followUp || []);
+    const result = postJSONWithRetry(ANTHROPIC_MESSAGES_URL, headers, payload, "Anthropic");
+    content.push(...(result.content || []));
+    return result;
+  };
+  const findOutput = () => content.find(block => block.type === "tool_use" && block.name === request.schemaName);
+
+  let result = send();
+  for (let i = 0; result.stop_reason === "pause_turn" && i < ANTHROPIC_MAX_CONTINUATIONS; i++) {
+    result = send();
+  }
+
+  if (request.schema) {
+    if (!findOutput() && request.webSearch) {
+      payload.tool_choice = { type: "tool", name: request.schemaName };
+      send([{ role: "user", content: `Return the result with the ${request.schemaName} tool.` }]);
+    }
+    const toolUse = findOutput();
+    if (!toolUse) {
+      throw new Error(`Anthropic response did not return ${request.schemaName}`);
+    }
+    return { json: toolUse.input };
+  }
+  return { text: content.filter(block => block.type === "text").map(block => block.text).join("") };
+}
+
+/**
+ * Answer from canned responses without any network call. A response registered for the request's
+ * schema name wins over one registered for the task; without either, structured requests get
+ * an empty value built from the schema and text requests get "".
+ * @param {object} config - Task configuration.
+ * @param {object} request - LLM request.
+ * @param {string} task - Task name.
+ * @returns {{text: (string|undefined), json: (object|undefined)}} The canned output.
+ */
+function callMockProvider(config, request, task) {
+  MOCK_LLM_CALLS.push({ task: task, request: request });
+
+  const key = request.schemaName in MOCK_LLM_RESPONSES ? request.schemaName : task;
+  let response = MOCK_LLM_RESPONSES[key];
+  if (typeof response === "function") {
+    response = response(request, task);
+  }
+
+  if (response === undefined) {
+    return request.schema ? { json: buildEmptyValue(request.schema) } : { text: "" };
+  }
+  return typeof response === "string" ? { text: response } : { json: response };
+}
+
+// Providers by the names used in LLM_TASK_CONFIG
+const LLM_PROVIDERS = {
+  openai_responses: callOpenAIResponsesProvider,
+  openai_chat: callOpenAIChatProvider,
+  anthropic: callAnthropicProvider,
+  mock: callMockProvider
+};
+
+// === MOCK HELPERS ===
+
+/**
+ * Register a canned mock response.
+ * @param {string} key - Schema name or task name.
+ * @param {string|object|Function} response - Text, JSON, or a function of (request, task) returning either.
+ */
+function setMockLLMResponse(key, response) {
+  MOCK_LLM_RESPONSES[key] = response;
+}
+
+/**
+ * Remove all canned mock responses and recorded mock calls.
+ */
+function resetMockLLM() {
+  Object.keys(MOCK_LLM_RESPONSES).forEach(key => delete MOCK_LLM_RESPONSES[key]);
+  MOCK_LLM_CALLS.length = 0;
+}
+
+/**
+ * Build the emptiest value a schema allows: null where allowed, otherwise "", 0, false, [] or an object.
+ * @param {object} schema - JSON schema.
+ * @returns {*} The value.
+ */
+function buildEmptyValue(schema) {
+  const types = [].concat(schema.type || []);
+  if (types.indexOf("null") !== -1) {
+    return null;
+  }
+
+  switch (types[0]) {
+    case "object": {
+      const value = {};
+      Object.keys(schema.properties || {}).forEach(name => value[name] = buildEmptyValue(schema.properties[name]));
+      return value;
+    }
+    case "array":
+      return [];
+    case "number":
+    case "integer":
+      return 0;
+    case "boolean":
+      return false;
+    default:
+      return "";
+  }
+}
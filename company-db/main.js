@@ -1,7 +1,9 @@
  /**
  * @fileoverview Main script to orchestrate the batch processing of company documents.
- * Iterates through a folder structure, parses company data from Google Docs,
- * and saves the structured data to a Google Sheet.
+ * Iterates through a folder structure, parses company data from the Google Docs, decks,
+ * PDFs, Word docs and spreadsheets in it (see source-text.js), and saves the structured data
+ * to a Google Sheet.
+ * Long runs are checkpointed and resumed by a time-based trigger (see run-state.js).
  */
 
 // === CONFIGURATION ===
@@ -9,58 +11,380 @@
 // This folder should contain subfolders for each company.
 const MASTER_FOLDER_ID = PropertiesService.getScriptProperties().getProperty("MASTER_FOLDER_ID");
 
+// Parsed records are saved to the sheets in bulk, this many documents at a time
+const SAVE_BATCH_SIZE = 20;
+
 /**
  * Main function to process all company documents within the master folder.
- * It iterates through each subfolder, finds all Google Docs, runs the parsing
- * function on each, and then saves the result to the configured Google Sheet.
+ * It iterates through each subfolder, finds all readable source files (Google Docs, Slides and
+ * Sheets, PDF, Word, PowerPoint and Excel files), runs the parsing function on each, and then
+ * saves the result to the configured Google Sheet. Other files are ignored.
+ * Documents that have not changed since their last parse (per the processing ledger)
+ * are skipped unless a full rebuild is requested.
+ *
+ * Starting a run discards any unfinished run. If the run nears the execution time limit,
+ * it checkpoints its position and a trigger continues it via
+ * `resumeProcessAllCompaniesInMasterFolder`.
+ *
+ * @param {object} [options] - Run options.
+ * @param {boolean} [options.forceFullRebuild] - Re-parse every document, ignoring the ledger.
  */
-function processAllCompaniesInMasterFolder() {
+function processAllCompaniesInMasterFolder(options) {
   if (!MASTER_FOLDER_ID) {
     throw new Error("MASTER_FOLDER_ID is not set in Script Properties. Please configure the ID of the master Google Drive folder.");
   }
   
-  const masterFolder = DriveApp.getFolderById(MASTER_FOLDER_ID);
-  const subfolders = masterFolder.getFolders();
+  deleteResumeTriggers();
+  clearRunState();
   
-  let processedCount = 0;
-  let errorCount = 0;
+  runBatchSlice(createRunState(options));
+}
+
+/**
+ * Re-parses every company document regardless of the processing ledger.
+ * Run this after changing extraction prompts or schemas so existing records pick up the changes.
+ */
+function rebuildAllCompaniesInMasterFolder() {
+  processAllCompaniesInMasterFolder({ forceFullRebuild: true });
+}
+
+/**
+ * Trigger handler that continues a checkpointed batch run.
+ */
+function resumeProcessAllCompaniesInMasterFolder() {
+  const state = loadRunState();
   
-  Logger.log(`Starting company processing for master folder: ${masterFolder.getName()}`);
+  if (!state) {
+    Logger.log("No batch run to resume.");
+    deleteResumeTriggers();
+    return;
+  }
+  
+  runBatchSlice(state);
+}
 
-  while (subfolders.hasNext()) {
-    const folder = subfolders.next();
-    Logger.log(`Scanning subfolder: ${folder.getName()}`);
+/**
+ * Processes documents from the run's checkpointed position until the tree is done
+ * or the execution time budget runs out, in which case it saves a checkpoint and
+ * schedules a resume trigger. A failed slice is resumed too (see
+ * `scheduleResumeAfterFailure`). Each slice updates the run's row on the "Runs" sheet
+ * and appends one "Run Details" row per document it looked at.
+ *
+ * @param {object} state - The run state (see `createRunState`).
+ */
+function runBatchSlice(state) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) {
+    Logger.log("Another batch slice is still running; skipping this one.");
+    return;
+  }
+  
+  const detailRows = [];
+  const queue = [];
+  let ledger = null;
+  let aliasTable = null;
+  let runStatus = RUN_STATUS.FAILED;
+  let subfolders = null;
+  let folder = null;
+  let files = null;
+  
+  try {
+    const sliceStartMs = Date.now();
+    // A document started near the end of the budget must not outlast the execution in a retry backoff
+    setRetryDeadline(sliceStartMs + MAX_SLICE_MS);
+    const masterFolder = DriveApp.getFolderById(MASTER_FOLDER_ID);
+    subfolders = state.folderToken
+      ? DriveApp.continueFolderIterator(state.folderToken)
+      : masterFolder.getFolders();
+    ledger = loadProcessingLedger();
+    aliasTable = loadCompanyAliases();
     
-    const files = folder.getFilesByType(MimeType.GOOGLE_DOCS);
+    state.slices++;
+    Logger.log(`Starting company processing for master folder: ${masterFolder.getName()} ` +
+      `(run ${state.runId}, slice ${state.slices}${state.forceFullRebuild ? ", full rebuild" : ""})`);
+    writeRunRow(state, RUN_STATUS.RUNNING);
     
-    while (files.hasNext()) {
-      const file = files.next();
-      const docId = file.getId();
-      Logger.log(`-- Found document: ${file.getName()} (ID: ${docId})`);
+    // Pick up a subfolder that was only partly processed in the previous slice
+    folder = state.fileToken ? DriveApp.getFolderById(state.currentFolderId) : null;
+    files = state.fileToken ? DriveApp.continueFileIterator(state.fileToken) : null;
+    
+    while (files || subfolders.hasNext()) {
+      if (!files) {
+        folder = subfolders.next();
+        files = folder.getFiles();
+        Logger.log(`Scanning subfolder: ${folder.getName()}`);
+      }
       
-      try {
-        // Step 1: Parse the company data from the document
-        const companyRecord = parseCompanyFromDoc(docId);
+      while (files.hasNext()) {
+        if (isSliceTimeExhausted(sliceStartMs)) {
+          flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows);
+          recordRunPosition(state, subfolders, folder, files);
+          state.failedSlices = 0;
+          saveRunState(state);
+          scheduleResumeTrigger();
+          runStatus = RUN_STATUS.PAUSED;
+          Logger.log(`Time budget reached; checkpointed in subfolder "${folder.getName()}". ` +
+            `Progress so far: ${JSON.stringify(state.counts)}`);
+          return;
+        }
         
-        // Ensure a valid record was returned before saving
-        if (companyRecord && companyRecord.company_name) {
-          // Step 2: Save the structured record to the Google Sheet
-          saveCompanyRecord(companyRecord);
-          processedCount++;
-        } else {
-          Logger.log(`---- Skipping file, parsing did not return a valid company record for: ${file.getName()}`);
+        const file = files.next();
+        if (!isSupportedSourceFile(file)) {
+          continue;
+        }
+        const result = processCompanyFile(file, ledger, state.forceFullRebuild, aliasTable, folder.getName());
+        queue.push({ subfolderName: folder.getName(), file: file, result: result });
+        if (queue.length >= SAVE_BATCH_SIZE) {
+          flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows);
+        }
+      }
+      
+      files = null;
+    }
+    
+    flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows);
+    deleteResumeTriggers();
+    clearRunState();
+    runStatus = RUN_STATUS.COMPLETE;
+    logRunSummary(state);
+  } finally {
+    // Save whatever was parsed before an unexpected error
+    if (ledger && aliasTable) {
+      flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows);
+    }
+    appendRunDetails(detailRows);
+    writeRunRow(state, runStatus);
+    if (runStatus === RUN_STATUS.FAILED) {
+      if (subfolders) {
+        recordRunPosition(state, subfolders, folder, files);
+      }
+      scheduleResumeAfterFailure(state);
+    }
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Parses a single company document (or other source file), recording the outcome in the ledger.
+ * A parsed record is not saved here: it is returned as `pendingSave` and saved in bulk
+ * with other documents' records by `flushProcessedDocuments`, which also records its ledger entry.
+ *
+ * @param {GoogleAppsScript.Drive.File} file - The Google Doc or other source file to process.
+ * @param {object} ledger - The processing ledger (see `loadProcessingLedger`).
+ * @param {boolean} forceFullRebuild - Re-parse even if the ledger says the doc is unchanged.
+ * @param {object} aliasTable - The company alias table (see `loadCompanyAliases`).
+ * @param {string} folderName - Name of the company subfolder the doc is in.
+ * @returns {{outcome: string, stage: string|null, error: string|null, usage: object, pendingSave: (object|undefined)}}
+ *          The outcome (a `DOC_OUTCOME` value), the stage an error was raised in,
+ *          the error text, the OpenAI usage spent on this document, and the record still to be saved.
+ */
+function processCompanyFile(file, ledger, forceFullRebuild, aliasTable, folderName) {
+  const docId = file.getId();
+  const lastModified = file.getLastUpdated().toISOString();
+  const ledgerEntry = ledger.entries[docId];
+  const usageBefore = Object.assign({}, OPENAI_USAGE);
+  const result = outcome => Object.assign(outcome, { usage: diffOpenAIUsage(usageBefore, OPENAI_USAGE) });
+  Logger.log(`-- Found document: ${file.getName()} (ID: ${docId})`);
+  
+  // Cheap check first: skip without opening the doc if its modified time is unchanged
+  if (!forceFullRebuild && isDocUnchanged(ledgerEntry, lastModified, null)) {
+    Logger.log(`---- Skipping unchanged document: ${file.getName()}`);
+    return result({ outcome: DOC_OUTCOME.SKIPPED, stage: null, error: null });
+  }
+  
+  let contentHash = null;
+  let stage = "read";
+  
+  try {
+    const docText = readSourceFileText(file);
+    contentHash = computeContentHash(docText);
+    
+    // The doc was touched but its text is the same, so just record the new modified time
+    if (!forceFullRebuild && isDocUnchanged(ledgerEntry, lastModified, contentHash)) {
+      Logger.log(`---- Skipping document with unchanged content: ${file.getName()}`);
+      recordLedgerEntry(ledger, { doc_id: docId, doc_name: file.getName(), last_modified: lastModified });
+      return result({ outcome: DOC_OUTCOME.SKIPPED, stage: null, error: null });
+    }
+    
+    // Step 1: Parse the company data from the document
+    stage = "parse";
+    const parsed = parseCompanyWithEvidence(docId, docText);
+    const companyRecord = parsed.record;
+    
+    // Records with validation errors are held back when VALIDATION_MODE is "block"
+    if (companyRecord && companyRecord.company_name && shouldBlockSave(parsed.issues)) {
+      Logger.log(`---- Not saving ${companyRecord.company_name}, validation failed: ${companyRecord.validation_warnings}`);
+      recordLedgerEntry(ledger, {
+        doc_id: docId, doc_name: file.getName(), last_modified: lastModified,
+        content_hash: contentHash, last_status: LEDGER_STATUS.INVALID, last_error: companyRecord.validation_warnings
+      });
+      return result({ outcome: DOC_OUTCOME.INVALID, stage: "validate", error: companyRecord.validation_warnings });
+    }
+    
+    // Ensure a valid record was returned before saving
+    if (companyRecord && companyRecord.company_name) {
+      // Step 2: Key the record by its company's canonical ID, so all of a company's docs share one row
+      stage = "resolve";
+      companyRecord.id = resolveCompanyId(aliasTable, companyRecord, folderName).companyId;
+      
+      // Step 3: Hand the record and the evidence behind it over to be saved in bulk
+      return result({
+        outcome: DOC_OUTCOME.PROCESSED, stage: null, error: null,
+        pendingSave: {
+          record: companyRecord,
+          evidence: parsed.evidence,
+          ledgerEntry: { doc_id: docId, doc_name: file.getName(), last_modified: lastModified, content_hash: contentHash }
         }
+      });
+    }
+    
+    Logger.log(`---- Skipping file, parsing did not return a valid company record for: ${file.getName()}`);
+    recordLedgerEntry(ledger, {
+      doc_id: docId, doc_name: file.getName(), last_modified: lastModified,
+      content_hash: contentHash, last_status: LEDGER_STATUS.NO_RECORD, last_error: null
+    });
+    return result({ outcome: DOC_OUTCOME.NO_RECORD, stage: null, error: null });
+  } catch (e) {
+    Logger.log(`---- ERROR processing document ${file.getName()}: ${e.toString()}`);
+    recordLedgerEntry(ledger, {
+      doc_id: docId, doc_name: file.getName(), last_modified: lastModified,
+      content_hash: contentHash, last_status: LEDGER_STATUS.ERROR, last_error: e.toString()
+    });
+    return result({ outcome: DOC_OUTCOME.ERROR, stage: stage, error: e.toString() });
+  }
+}
+
+/**
+ * Saves the company aliases the processed documents resolved to, their records to the storage
+ * backend (see storage.js) and their evidence, each in one bulk write, records their ledger
+ * entries, and adds every queued document's result to the run. If the bulk save fails, all of its
+ * documents are reported as failed at the "save" stage so the next run retries them. If only the
+ * evidence save fails, it is logged and the documents still count as processed.
+ *
+ * @param {object} state - The run state.
+ * @param {Array<{subfolderName: string, file: GoogleAppsScript.Drive.File, result: object}>} queue
+ *        Documents processed since the last flush, with their `processCompanyFile` results; emptied here.
+ * @param {object} ledger - The processing ledger.
+ * @param {object} aliasTable - The company alias table (see `loadCompanyAliases`).
+ * @param {Array<Array>} detailRows - "Run Details" rows of the slice, appended to here.
+ */
+function flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows) {
+  const saves = queue.filter(item => item.result.pendingSave);
+  
+  if (saves.length > 0) {
+    try {
+      saveCompanyAliases(aliasTable);
+      getCompanyStore().upsertRecords(saves.map(item => item.result.pendingSave.record));
+      saves.forEach(item => {
+        recordLedgerEntry(ledger, Object.assign({}, item.result.pendingSave.ledgerEntry, { last_status: LEDGER_STATUS.SUCCESS, last_error: null }));
+      });
+    } catch (e) {
+      Logger.log(`---- ERROR saving ${saves.length} record(s): ${e.toString()}`);
+      saves.forEach(item => {
+        Object.assign(item.result, { outcome: DOC_OUTCOME.ERROR, stage: "save", error: e.toString() });
+        recordLedgerEntry(ledger, Object.assign({}, item.result.pendingSave.ledgerEntry, { last_status: LEDGER_STATUS.ERROR, last_error: e.toString() }));
+      });
+    }
+    
+    // The records are stored either way, so missing evidence does not fail their documents
+    const saved = saves.filter(item => item.result.outcome === DOC_OUTCOME.PROCESSED);
+    try {
+      saveFieldEvidence(saved.map(item => item.result.pendingSave));
+    } catch (e) {
+      Logger.log(`---- ERROR saving evidence for ${saved.length} record(s): ${e.toString()}`);
+    }
+  }
+  
+  queue.forEach(item => {
+    delete item.result.pendingSave;
+    addRunResult(state, item.result);
+    detailRows.push(buildRunDetailRow(state, item.subfolderName, item.file, item.result));
+  });
+  queue.length = 0;
+}
+
+/**
+ * Re-processes the documents that failed in the most recent batch run.
+ * Failed documents are never marked unchanged in the ledger, so they are re-parsed
+ * without needing a full rebuild. The retry is reported as its own run; a document that can no
+ * longer be opened (e.g. it was deleted) is reported as failed again at the "read" stage.
+ */
+function retryFailedDocumentsFromLastRun() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) {
+    Logger.log("A batch slice is still running; try the retry again once it is done.");
+    return;
+  }
+  
+  const detailRows = [];
+  const queue = [];
+  let state = null;
+  let ledger = null;
+  let aliasTable = null;
+  let runStatus = RUN_STATUS.FAILED;
+  
+  try {
+    const lastRunId = getLastRunId(RUN_TYPE.BATCH);
+    if (!lastRunId) {
+      Logger.log("No batch run found to retry.");
+      return;
+    }
+    
+    const failures = getFailedRunDetails(lastRunId);
+    Logger.log(`Retrying ${failures.length} failed document(s) from run ${lastRunId}.`);
+    
+    state = createRunState({ runType: RUN_TYPE.RETRY });
+    ledger = loadProcessingLedger();
+    aliasTable = loadCompanyAliases();
+    state.slices++;
+    writeRunRow(state, RUN_STATUS.RUNNING);
+    
+    failures.forEach(failure => {
+      let file;
+      try {
+        file = DriveApp.getFileById(failure.doc_id);
       } catch (e) {
-        Logger.log(`---- ERROR processing document ${file.getName()}: ${e.toString()}`);
-        errorCount++;
-        // Continue to the next file
+        Logger.log(`---- ERROR opening document ${failure.doc_name} (ID: ${failure.doc_id}): ${e.toString()}`);
+        queue.push({
+          subfolderName: failure.subfolder,
+          file: { getId: () => failure.doc_id, getName: () => failure.doc_name, getUrl: () => failure.doc_url },
+          result: { outcome: DOC_OUTCOME.ERROR, stage: "read", error: e.toString(), usage: { requests: 0, input_tokens: 0, output_tokens: 0 } }
+        });
+        return;
+      }
+      const result = processCompanyFile(file, ledger, false, aliasTable, failure.subfolder);
+      queue.push({ subfolderName: failure.subfolder, file: file, result: result });
+    });
+    flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows);
+    runStatus = RUN_STATUS.COMPLETE;
+    logRunSummary(state);
+  } finally {
+    // Save whatever was parsed before an unexpected error
+    if (state) {
+      if (ledger && aliasTable) {
+        flushProcessedDocuments(state, queue, ledger, aliasTable, detailRows);
       }
+      appendRunDetails(detailRows);
+      writeRunRow(state, runStatus);
     }
+    lock.releaseLock();
   }
+}
+
+/**
+ * Logs the final summary of a completed batch run.
+ * @param {object} state - The completed run state.
+ */
+function logRunSummary(state) {
+  const durationMinutes = (Date.now() - new Date(state.startedAt).getTime()) / 60000;
   
   Logger.log("========================================");
   Logger.log("Batch processing complete.");
-  Logger.log(`Successfully processed files: ${processedCount}`);
-  Logger.log(`Failed files: ${errorCount}`);
+  Logger.log(`Run: ${state.runId} (${state.slices} slice(s), ${durationMinutes.toFixed(1)} min)`);
+  Logger.log(`Successfully processed files: ${state.counts.processed}`);
+  Logger.log(`Skipped files: ${state.counts.skipped + state.counts.no_record}`);
+  Logger.log(`Held back by validation: ${state.counts.invalid || 0}`);
+  Logger.log(`Failed files: ${state.counts.error}`);
+  Logger.log(`OpenAI usage: ${state.usage.requests} request(s), ${state.usage.input_tokens + state.usage.output_tokens} token(s)`);
   Logger.log("========================================");
 }
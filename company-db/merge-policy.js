@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Field-level merge policy for updating a company's stored record (its Companies row
+ * on the Sheets backend).
+ * A short follow-up note should not wipe out the details of an earlier, fuller one, and analysts'
+ * hand-corrected cells should survive re-parses. Each field merges by its rule (see MERGE_RULE);
+ * rules come from the field registry's `merge` property and can be overridden with the
+ * FIELD_MERGE_RULES Script Property, a JSON object such as {"description": "keep_manual"}.
+ *
+ * On the Sheets backend, protect a cell from the parser by adding a cell note starting with "[manual]".
+ */
+
+// === CONFIGURATION ===
+const MERGE_RULE = {
+  // The newest parse always wins, even with null
+  LATEST: "latest",
+  // The newest parse wins unless it found nothing
+  LATEST_NON_NULL: "latest_non_null",
+  // The parser only fills empty cells; values already in the sheet are kept
+  KEEP_MANUAL: "keep_manual",
+  // The first value ever saved is kept
+  KEEP_FIRST: "keep_first",
+  // Each doc's text is kept as its own segment, labeled with the doc it came from; re-parsing a doc
+  // replaces its segment (see mergeAppendedText)
+  APPEND: "append"
+};
+
+// Cell notes starting with this prefix mark analyst-corrected values the parser must not overwrite
+const MANUAL_OVERRIDE_NOTE_PREFIX = "[manual]";
+
+// Label at the start of an appended segment: "[<as_of_date> doc:<doc_id>] "
+const APPEND_SEGMENT_LABEL_PATTERN = /^\[(?:(\d{4}-\d{2}-\d{2}) )?doc:([^\]\s]+)\] /;
+
+// === MERGE ===
+
+/**
+ * Merges a newly parsed record into the values already in the company's row.
+ * Keys only the existing row has (e.g. columns analysts added) are kept as they are.
+ *
+ * @param {object} existing - The row's current values, keyed by field name.
+ * @param {object} incoming - The newly parsed record.
+ * @param {string[]} [manualFields] - Fields whose cells are marked as manual overrides.
+ * @returns {object} The merged record.
+ */
+function mergeCompanyRecord(existing, incoming, manualFields) {
+  const rules = getFieldMergeRules();
+  const merged = Object.assign({}, existing);
+
+  Object.keys(incoming).forEach(field => {
+    if (manualFields && manualFields.indexOf(field) !== -1) {
+      return;
+    }
+    merged[field] = mergeFieldValue(rules[field] || getDefaultMergeRule(field), existing[field], incoming[field],
+      incoming.as_of_date, incoming.doc_id);
+  });
+
+  if ("field_sources" in incoming) {
+    merged.field_sources = mergeFieldSources(existing, incoming, merged);
+  }
+  return merged;
+}
+
+/**
+ * Works out the source file of each merged value: the new file for values taken from the new
+ * record, the stored source for values that were kept, and both for appended text.
+ *
+ * @param {object} existing - The row's current values.
+ * @param {object} incoming - The newly parsed record.
+ * @param {object} merged - The merged record.
+ * @returns {string|null} The merged `field_sources` JSON, or null if no value has a source.
+ */
+function mergeFieldSources(existing, incoming, merged) {
+  const parseSources = value => {
+    try {
+      return value ? JSON.parse(value) : {};
+    } catch (e) {
+      return {};
+    }
+  };
+  const existingSources = parseSources(existing.field_sources);
+  const incomingSources = parseSources(incoming.field_sources);
+  const isEmpty = value => value === null || value === undefined || value === "";
+  const sources = {};
+
+  getExtractedFieldNames().filter(field => !isEmpty(merged[field])).forEach(field => {
+    const fromIncoming = incomingSources[field] && merged[field] === incoming[field];
+    const fromExisting = existingSources[field] && merged[field] === existing[field];
+    if (fromIncoming || fromExisting) {
+      sources[field] = fromIncoming ? incomingSources[field] : existingSources[field];
+    } else if (existingSources[field] || incomingSources[field]) {
+      sources[field] = [existingSources[field], incomingSources[field]]
+        .filter((source, i, all) => source && all.indexOf(source) === i)
+        .join("; ");
+    }
+  });
+
+  return Object.keys(sources).length > 0 ? JSON.stringify(sources) : null;
+}
+
+/**
+ * Works out how a newly parsed record changes the company's stored record.
+ * The stored record shows the latest doc's values, so a record from an older doc leaves it as it is.
+ * A new company's record is merged into an empty one, so its appended fields are labeled too.
+ *
+ * @param {object|null} existing - The stored record, or null if the company is new.
+ * @param {object} incoming - The newly parsed record.
+ * @param {string[]} [manualFields] - Fields whose stored values are manual overrides.
+ * @returns {{action: string, record: object}} "appended", "updated" or "kept", and the record to store.
+ */
+function planRecordUpdate(existing, incoming, manualFields) {
+  if (!existing) {
+    return { action: "appended", record: mergeCompanyRecord({}, incoming) };
+  }
+
+  const existingAsOfDate = formatSnapshotDate(existing.as_of_date);
+  if (existingAsOfDate && incoming.as_of_date && existingAsOfDate > incoming.as_of_date) {
+    return { action: "kept", record: existing };
+  }
+  return { action: "updated", record: mergeCompanyRecord(existing, incoming, manualFields) };
+}
+
+/**
+ * Merges one field's value by its rule.
+ * @param {string} rule - A `MERGE_RULE` value.
+ * @param {*} existingValue - The value in the sheet.
+ * @param {*} incomingValue - The newly parsed value.
+ * @param {string} [asOfDate] - Date of the doc the new value is from, used to label appended text.
+ * @param {string} [docId] - ID of the doc the new value is from, used to label appended text.
+ * @returns {*} The value to write.
+ */
+function mergeFieldValue(rule, existingValue, incomingValue, asOfDate, docId) {
+  const isEmpty = value => value === null || value === undefined || value === "";
+
+  switch (rule) {
+    case MERGE_RULE.LATEST:
+      return incomingValue;
+    case MERGE_RULE.KEEP_MANUAL:
+    case MERGE_RULE.KEEP_FIRST:
+      return isEmpty(existingValue) ? incomingValue : existingValue;
+    case MERGE_RULE.APPEND:
+      if (isEmpty(incomingValue)) {
+        return existingValue;
+      }
+      return mergeAppendedText(isEmpty(existingValue) ? "" : String(existingValue), String(incomingValue), asOfDate, docId);
+    case MERGE_RULE.LATEST_NON_NULL:
+      return isEmpty(incomingValue) ? existingValue : incomingValue;
+    default:
+      throw new Error(`Unknown merge rule "${rule}". Use one of: ${Object.values(MERGE_RULE).join(", ")}`);
+  }
+}
+
+/**
+ * Merges a doc's text into an appended field. The field holds one segment per doc, separated by
+ * blank lines and labeled "[<as_of_date> doc:<doc_id>] ". Re-parsing a doc rewords its text, so
+ * the doc's segment is replaced rather than appended again. Unlabeled text (written before
+ * segments were labeled, or by hand) is kept as it is.
+ *
+ * @param {string} existingText - The field's current text; empty if none.
+ * @param {string} incomingText - The newly parsed text.
+ * @param {string} [asOfDate] - Date of the doc the text is from.
+ * @param {string} [docId] - ID of the doc the text is from.
+ * @returns {string} The merged text.
+ */
+function mergeAppendedText(existingText, incomingText, asOfDate, docId) {
+  if (!docId) {
+    // Without a doc to label it with, only skip text that is already there
+    if (existingText.indexOf(incomingText) !== -1) {
+      return existingText;
+    }
+    return existingText ? `${existingText}\n\n${asOfDate ? `[${asOfDate}] ` : ""}${incomingText}` : incomingText;
+  }
+
+  const segment = `[${asOfDate ? `${asOfDate} ` : ""}doc:${docId}] ${incomingText}`;
+  const segments = splitAppendedSegments(existingText);
+  const index = segments.findIndex(candidate => candidate.docId === docId);
+
+  if (index !== -1) {
+    segments[index].text = segment;
+  } else if (segments.some(candidate => candidate.text.indexOf(incomingText) !== -1)) {
+    return existingText;
+  } else {
+    segments.push({ docId: docId, text: segment });
+  }
+  return segments.map(candidate => candidate.text).join("\n\n");
+}
+
+/**
+ * Splits an appended field into its segments. A segment starts at a labeled paragraph; unlabeled
+ * paragraphs belong to the segment before them.
+ * @param {string} text - The field's text.
+ * @returns {Array<{docId: (string|null), text: string}>} The segments, in order.
+ */
+function splitAppendedSegments(text) {
+  const segments = [];
+  text.split("\n\n").filter(paragraph => paragraph !== "").forEach(paragraph => {
+    const label = paragraph.match(APPEND_SEGMENT_LABEL_PATTERN);
+    if (label || segments.length === 0) {
+      segments.push({ docId: label ? label[2] : null, text: paragraph });
+    } else {
+      segments[segments.length - 1].text += `\n\n${paragraph}`;
+    }
+  });
+  return segments;
+}
+
+// === RULES ===
+
+/**
+ * Reads per-field merge rules: the registry's `merge` properties, overridden by FIELD_MERGE_RULES.
+ * @returns {Object<string, string>} Merge rules keyed by field name.
+ */
+function getFieldMergeRules() {
+  const rules = {};
+  FIELD_REGISTRY.filter(field => field.merge).forEach(field => rules[field.name] = field.merge);
+
+  const overrides = PropertiesService.getScriptProperties().getProperty("FIELD_MERGE_RULES");
+  return overrides ? Object.assign(rules, JSON.parse(overrides)) : rules;
+}
+
+/**
+ * Gets the rule for a field without an explicit one: system fields describe the latest parse,
+ * everything else keeps its last known value when a newer doc does not mention it.
+ * @param {string} fieldName - The field name.
+ * @returns {string} A `MERGE_RULE` value.
+ */
+function getDefaultMergeRule(fieldName) {
+  const field = FIELD_REGISTRY.find(entry => entry.name === fieldName);
+  return field && field.group === "system" ? MERGE_RULE.LATEST : MERGE_RULE.LATEST_NON_NULL;
+}
+
+// === MANUAL OVERRIDES ===
+
+/**
+ * Lists the fields of a sheet row whose cells are marked as manual overrides.
+ * @param {string[]} headers - The sheet's header row.
+ * @param {string[]} notes - The row's cell notes, in header order.
+ * @returns {string[]} Field names of the protected cells.
+ */
+function getManualOverrideFields(headers, notes) {
+  return headers
+    .filter((header, i) => notes[i] && String(notes[i]).indexOf(MANUAL_OVERRIDE_NOTE_PREFIX) === 0)
+    .map(getFieldNameForColumn);
+}
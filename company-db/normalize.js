@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Deterministic unit normalization for extracted values.
+ * The model returns numeric values as written in the notes ("$1.2M", "15%", "2% monthly",
+ * "18 months", "$20k-30k") plus the period they are stated for; this module turns them into the
+ * numbers stored in the database. It uses no Apps Script services, so it can be unit tested
+ * in plain Node (see test/normalize.test.js).
+ */
+
+// === CONFIGURATION ===
+const SHORTHAND_MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mm: 1e6, mil: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, trillion: 1e12
+};
+
+const PERIODS_PER_YEAR = {
+  monthly: 12,
+  quarterly: 4,
+  annual: 1
+};
+
+// Bare numbers above this are read as percentages for decimal fields ("85" → 0.85);
+// no decimal field plausibly exceeds 3 (300%)
+const BARE_PERCENT_THRESHOLD = 3;
+
+// A number with optional thousands separators and decimals
+const NUMBER_PATTERN = "\\d[\\d,]*(?:\\.\\d+)?|\\.\\d+";
+
+// === FIELD NORMALIZATION ===
+
+/**
+ * Normalize the raw values of every extracted field, using each field's registry unit and period.
+ * Numeric fields with a `period` in the registry arrive as `{ raw, period }`; other numeric fields
+ * arrive as raw strings. Non-numeric fields are passed through unchanged.
+ *
+ * @param {object} rawFields - Extracted fields as returned by the model.
+ * @returns {object} Fields with numeric values normalized (null where a value cannot be read).
+ */
+function normalizeExtractedFields(rawFields) {
+  const fields = Object.assign({}, rawFields);
+
+  FIELD_REGISTRY.forEach(field => {
+    if (!(field.name in rawFields) || (field.type !== "number" && field.type !== "integer")) {
+      return;
+    }
+
+    const rawValue = rawFields[field.name];
+    const raw = rawValue && typeof rawValue === "object" ? rawValue.raw : rawValue;
+    const period = rawValue && typeof rawValue === "object" ? rawValue.period : null;
+    fields[field.name] = normalizeFieldValue(field, raw, period);
+  });
+
+  return fields;
+}
+
+/**
+ * Normalize one raw value according to its registry entry.
+ * @param {object} field - Field registry entry (uses `type`, `unit`, `period`, `compounding`).
+ * @param {string|number|null} raw - Value as written in the notes.
+ * @param {string|null} [rawPeriod] - Period the value is stated for ("monthly", "quarterly", "annual").
+ * @returns {number|null} Normalized value, or null if it cannot be read.
+ */
+function normalizeFieldValue(field, raw, rawPeriod) {
+  let value;
+
+  switch (field.unit) {
+    case "usd":
+      value = parseAmount(raw);
+      break;
+    case "decimal":
+      value = parsePercent(raw);
+      break;
+    case "months":
+      value = parseDuration(raw);
+      break;
+    case "ratio":
+      value = parseMultiple(raw);
+      break;
+    case "year":
+      value = parseYear(raw);
+      break;
+    default:
+      value = parseAmount(raw);
+  }
+
+  if (value !== null && field.period) {
+    const fromPeriod = detectPeriod(rawPeriod) || detectPeriod(raw) || field.period;
+    value = field.compounding === "rate"
+      ? convertRatePeriod(value, fromPeriod, field.period)
+      : convertAmountPeriod(value, fromPeriod, field.period);
+  }
+
+  if (value !== null && field.type === "integer") {
+    value = Math.round(value);
+  }
+
+  return value;
+}
+
+// === PARSERS ===
+
+/**
+ * Parse a money amount or plain number: currency symbols and codes, thousands separators,
+ * shorthand suffixes and ranges (averaged). Parentheses or a leading minus make it negative.
+ * "$1.2M" → 1200000, "400k" → 400000, "€50k-70k" → 60000, "USD 3 million" → 3000000
+ * @param {string|number|null} raw - Value as written.
+ * @returns {number|null} The amount, or null if no number is found.
+ */
+function parseAmount(raw) {
+  if (typeof raw === "number") {
+    return isFinite(raw) ? raw : null;
+  }
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+
+  const text = String(raw).trim().toLowerCase();
+  const negative = /^\(.*\)$/.test(text) || /^-\s*[^\d\s]*\s*\d/.test(text);
+  const values = parseRangeValues(text);
+  if (values.length === 0) {
+    return null;
+  }
+
+  const amount = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Parse a percentage or rate into a decimal.
+ * "15%" → 0.15, "150%" → 1.5, "0.85" → 0.85, "85" → 0.85, "250 bps" → 0.025, "10-12%" → 0.11
+ * @param {string|number|null} raw - Value as written.
+ * @returns {number|null} The decimal, or null if no number is found.
+ */
+function parsePercent(raw) {
+  const text = raw === null || raw === undefined ? "" : String(raw).toLowerCase();
+  const value = parseAmount(raw);
+  if (value === null) {
+    return null;
+  }
+
+  if (/bps|basis points?/.test(text)) {
+    return value / 10000;
+  }
+  if (/%|percent|pct/.test(text) || Math.abs(value) > BARE_PERCENT_THRESHOLD) {
+    return value / 100;
+  }
+  return value;
+}
+
+/**
+ * Parse a duration into months.
+ * "18 months" → 18, "1.5 years" → 18, "2 yrs" → 24, "6 weeks" → ~1.4, "18" → 18
+ * @param {string|number|null} raw - Value as written.
+ * @returns {number|null} Months, or null if no number is found.
+ */
+function parseDuration(raw) {
+  const value = parseAmount(raw);
+  if (value === null || typeof raw === "number") {
+    return value;
+  }
+
+  const text = String(raw).toLowerCase();
+  if (/\b(years?|yrs?)\b/.test(text)) {
+    return value * 12;
+  }
+  if (/\b(weeks?|wks?)\b/.test(text)) {
+    return value * 12 / 52;
+  }
+  if (/\b(days?)\b/.test(text)) {
+    return value * 12 / 365;
+  }
+  return value;
+}
+
+/**
+ * Parse a multiple or ratio. "3.5x" → 3.5, "3:1" → 3, "3.5" → 3.5
+ * @param {string|number|null} raw - Value as written.
+ * @returns {number|null} The ratio, or null if no number is found.
+ */
+function parseMultiple(raw) {
+  if (typeof raw === "string") {
+    const ratio = raw.match(new RegExp(`(${NUMBER_PATTERN})\\s*:\\s*(${NUMBER_PATTERN})`));
+    if (ratio) {
+      const denominator = parseFloat(ratio[2].replace(/,/g, ""));
+      return denominator === 0 ? null : parseFloat(ratio[1].replace(/,/g, "")) / denominator;
+    }
+  }
+  return parseAmount(raw);
+}
+
+/**
+ * Parse a four-digit year. "Founded in 2019" → 2019
+ * @param {string|number|null} raw - Value as written.
+ * @returns {number|null} The year, or null if none is found.
+ */
+function parseYear(raw) {
+  if (typeof raw === "number") {
+    return raw;
+  }
+  const match = String(raw === null || raw === undefined ? "" : raw).match(/\b(1[89]\d{2}|2\d{3})\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Read every number in a value (two for a range), expanding shorthand suffixes.
+ * A suffix on the last number of a range applies to all of them ("20-30k" → [20000, 30000]).
+ * @param {string} text - Lowercased value text.
+ * @returns {number[]} The numbers found.
+ */
+function parseRangeValues(text) {
+  const suffixes = Object.keys(SHORTHAND_MULTIPLIERS).sort((a, b) => b.length - a.length).join("|");
+  const pattern = new RegExp(`(${NUMBER_PATTERN})(?:\\s*(${suffixes})(?![a-z]))?`, "g");
+  const matches = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null && matches.length < 2) {
+    matches.push({ value: parseFloat(match[1].replace(/,/g, "")), suffix: match[2] });
+  }
+
+  // Only treat two numbers as a range if they are joined by a dash, "to" or "–"
+  if (matches.length === 2 && !/\d\s*[a-z]*\s*(-|–|to)\s*[$€£]?\s*\d/.test(text)) {
+    matches.length = 1;
+  }
+
+  const lastSuffix = matches.length > 0 ? matches[matches.length - 1].suffix : undefined;
+  return matches.map(m => m.value * (SHORTHAND_MULTIPLIERS[m.suffix || lastSuffix] || 1));
+}
+
+// === PERIOD CONVERSION ===
+
+/**
+ * Detect the period a value is stated for.
+ * @param {string|null} text - Period name or raw value text ("2% monthly", "per quarter", "/mo").
+ * @returns {string|null} "monthly", "quarterly", "annual", or null if none is stated.
+ */
+function detectPeriod(text) {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const lower = text.toLowerCase();
+  if (/month|\/\s*mo\b|\bmom\b|\bmo\b|\bmrr\b/.test(lower)) {
+    return "monthly";
+  }
+  if (/quarter|\/\s*q\b|\bqoq\b/.test(lower)) {
+    return "quarterly";
+  }
+  if (/annual|year|yearly|\/\s*yr\b|\byoy\b|\bpa\b|\barr\b/.test(lower)) {
+    return "annual";
+  }
+  return null;
+}
+
+/**
+ * Convert a compounding rate such as churn between periods.
+ * Monthly → annual: 1 - (1 - monthly)^12 (not monthly × 12). "2% monthly" → 0.2153 annual
+ * @param {number} rate - Rate as a decimal.
+ * @param {string} fromPeriod - Period the rate is stated for.
+ * @param {string} toPeriod - Period to convert to.
+ * @returns {number} The converted rate.
+ */
+function convertRatePeriod(rate, fromPeriod, toPeriod) {
+  const exponent = PERIODS_PER_YEAR[fromPeriod] / PERIODS_PER_YEAR[toPeriod];
+  return 1 - Math.pow(1 - rate, exponent);
+}
+
+/**
+ * Convert a flow amount such as burn between periods (linear, no compounding).
+ * "$2.4M annual" → 200000 monthly
+ * @param {number} amount - Amount per `fromPeriod`.
+ * @param {string} fromPeriod - Period the amount is stated for.
+ * @param {string} toPeriod - Period to convert to.
+ * @returns {number} The converted amount.
+ */
+function convertAmountPeriod(amount, fromPeriod, toPeriod) {
+  return amount * PERIODS_PER_YEAR[fromPeriod] / PERIODS_PER_YEAR[toPeriod];
+}
@@ -2,59 +2,80 @@
  * @fileoverview Company Data Parser - Extract and normalize company metrics from Google Docs
  * 
  * This system parses VC due diligence notes from Google Docs into clean, structured database records.
- * Uses OpenAI responses API with strict JSON schemas for reliable data extraction.
+ * Pitch decks, Word docs and financial models in company folders are read into the same pipeline
+ * (see source-text.js), and each record notes which file its values came from (`field_sources`).
+ * Uses strict JSON schemas for reliable data extraction; the model comes from the "extraction" task
+ * of the LLM provider layer (llm-provider.js).
  * 
  * Architecture:
- * - Extract full text content from Google Doc
+ * - Extract full text content from the source file
  * - Batch process simple fields with standard normalization  
  * - Individually analyze complex fields with high complexity filter
  * - Process special fields with custom rules
  * - Assemble complete normalized record
+ *
+ * Each of the extraction steps above is a step definition (prompt instructions); its fields, their strict
+ * schema and the record layout come from the field registry (field-registry.js). The model returns numbers
+ * as written in the notes; unit and period conversion happens locally in normalize.js. The pipeline
+ * runs them as one call per step ("split"), one call for all ("combined"), or any grouping in between,
+ * chosen by the EXTRACTION_MODE Script Property. See compare-extraction-modes.js to compare modes.
  */
 
 // === CONFIGURATION ===
 const OPENAI_API_KEY = PropertiesService.getScriptProperties().getProperty("OPENAI_API_KEY");
-const OPENAI_API_URL = "https://api.openai.com/v1/responses";
-const MODEL = "gpt-4o";
 
 // === MAIN ENTRY POINT ===
 
 /**
- * Main function to parse company data from a Google Doc
- * @param {string} docId - Google Doc ID containing company notes
+ * Main function to parse company data from a Google Doc or other source file (see source-text.js)
+ * @param {string} docId - Drive ID of the Google Doc or file containing company notes
+ * @param {string} [docText] - Document text, if the caller has already read it
+ * @param {object} [options] - Parse options
+ * @param {string|Array<Array<string>>} [options.extractionMode] - Overrides the EXTRACTION_MODE Script Property
+ * @param {string} [options.asOfDate] - Date of the doc (yyyy-MM-dd); read from the doc's title if omitted
  * @returns {object} Complete normalized company record
  */
-function parseCompanyFromDoc(docId) {
+function parseCompanyFromDoc(docId, docText, options) {
+  return parseCompanyWithEvidence(docId, docText, options).record;
+}
+
+/**
+ * Parse company data from a Google Doc or other source file, keeping the evidence behind each extracted field
+ * @param {string} docId - Drive ID of the Google Doc or file containing company notes
+ * @param {string} [docText] - Document text, if the caller has already read it
+ * @param {object} [options] - Parse options (see `parseCompanyFromDoc`)
+ * @returns {{record: object, evidence: Array<{field: string, quote: string, confidence: number}>, issues: object[]}}
+ *          Complete normalized company record, a verbatim source quote and confidence per non-null field,
+ *          and the issues found by validation (also summarized in the record's `validation_warnings`)
+ */
+function parseCompanyWithEvidence(docId, docText, options) {
   try {
     Logger.log(`Starting parse for document: ${docId}`);
     
-    // Stage 1: Extract full text from Google Doc
-    const docText = DocumentApp.openById(docId).getBody().getText();
-    Logger.log(`Extracted document text.`);
+    // Stage 1: Extract full text from the source file (a Google Doc, deck, PDF, spreadsheet...)
+    const file = DriveApp.getFileById(docId);
+    if (docText === undefined) {
+      docText = readSourceFileText(file);
+      Logger.log(`Extracted document text.`);
+    }
     
-    // Stage 2: Process simple fields in single batch
-    const simpleFields = parseSimpleFieldsBatch(docText);
-    Logger.log(`Processed simple fields batch.`);
+    // Stage 2: Run the extraction steps, one call per group (see EXTRACTION_MODE)
+    const extraction = runExtractionPipeline(docText, getExtractionGroups(options && options.extractionMode));
+    Logger.log(`Ran extraction pipeline.`);
     
-    // Stage 3: Analyze complex fields individually with full context
-    const acvData = analyzeACVComplexity(docText);
-    const customerData = analyzeCustomerComplexity(docText);
-    const churnData = convertChurnToAnnual(docText);
-    Logger.log(`Analyzed complex fields.`);
+    // Stage 3: Convert raw values ("$1.2M", "2% monthly") to database units
+    const fields = normalizeExtractedFields(extraction.fields);
     
-    // Stage 4: Process special fields
-    const burnData = normalizeMonthlyBurn(docText);
-    const valuationData = extractLastRoundValuation(docText);
-    Logger.log(`Processed special fields.`);
+    // Stage 4: Assemble complete record, dated by the meeting the doc is from
+    const asOfDate = (options && options.asOfDate) || getDocAsOfDate(file);
+    const completeRecord = assembleCompleteRecord(file, fields, asOfDate);
     
-    // Stage 5: Assemble complete record
-    const completeRecord = assembleCompleteRecord(
-      docId, simpleFields, acvData, customerData, 
-      churnData, burnData, valuationData
-    );
+    // Stage 5: Validate ranges and cross-field consistency
+    const issues = validateCompanyRecord(completeRecord);
+    completeRecord.validation_warnings = formatValidationIssues(issues);
     
     Logger.log(`Successfully parsed company: ${completeRecord.company_name}`);
-    return completeRecord;
+    return { record: completeRecord, evidence: extraction.evidence, issues: issues };
     
   } catch (error) {
     Logger.log(`Error parsing company from doc ${docId}: ${error.toString()}`);
@@ -65,117 +86,51 @@ function parseCompanyFromDoc(docId) {
 // === SIMPLE FIELDS BATCH PROCESSING ===
 
 /**
- * Process simple fields in a single batch API call
- * @param {string} docText - Full text content from Google Doc
- * @returns {object} Normalized simple field values
+ * Simple fields with standard normalization, extracted together
  */
-function parseSimpleFieldsBatch(docText) {
-  const prompt = `
+const SIMPLE_FIELDS_STEP = {
+  key: "simple_fields",
+  name: "simple_fields_batch",
+  // The field list is generated from the field registry and appended to the instructions
+  listsFieldDefinitions: true,
+  instructions: `
 You are a financial data analyst normalizing venture capital due diligence notes into a structured database.
 
-TASK: From the document text provided, extract and normalize the company fields listed in the JSON schema.
+TASK: From the document text provided, extract the company fields listed in the JSON schema.
 
-NORMALIZATION RULES:
-- Convert shorthand to full numbers: "400k" → 400000, "1.2M" → 1200000, "5B" → 5000000000
-- Convert percentages to decimals: "15%" → 0.15, "150%" → 1.5, "85%" → 0.85
-- Remove currency symbols but preserve numbers: "$50k" → 50000, "$1.2M" → 1200000
+EXTRACTION RULES:
+- Return numeric values exactly as written, with their units: "400k", "$1.2M", "85%", "18 months", "3.5x"
+- Do not convert shorthand, percentages or durations; values are converted after extraction
 - For missing/empty fields, return null (not "NA" string)
 - For unclear/ambiguous values, return null rather than guessing
 - Preserve meaningful precision for large numbers
 - For text fields, clean up formatting but preserve content
 
 FIELD DEFINITIONS:
-- company_name: The name of the company.
-- url: The company's website URL.
-- arr_run_rate: Annual Recurring Revenue run rate in dollars.
-- carr: Contracted Annual Recurring Revenue (only if explicitly mentioned as "contracted ARR" or "CARR").
-- revenue_2024/2023/2022: Historical revenue figures in dollars.
-- cash: Current cash position in dollars.  
-- runway: Runway in months (convert "18 months" → 18).
-- raising: Amount currently raising in dollars.
-- raised: Amount previously raised in dollars.
-- cac: Customer Acquisition Cost in dollars.
-- payback_period: Payback period in months.
-- ltv_to_cac: LTV to CAC ratio as decimal (3.5x → 3.5).
-- gross_margin: Gross margin as decimal (85% → 0.85).
-- saas_recurring_percent: Percentage of revenue that is SaaS recurring, as decimal.
-- nrr: Net Revenue Retention as decimal (115% → 1.15).
-- team_size: Number of full-time employees as integer.
-- year_founded: Four-digit founding year as integer.
-- location: Location string, cleaned up.
-- description: Company description, cleaned up.
-- competition: Competition notes, cleaned up.  
-- revenue_notes: Revenue-related notes, cleaned up.
-- funding_notes: Funding-related notes (combine "Active round" and "Other Funding" notes).
-- good: Positive notes, cleaned up.
-- challenges: Challenge notes, cleaned up.
-- needs_action: Action items, cleaned up.
+`,
+  closing: `
+Extract these fields based on the entire document. Return null for any field that is missing, empty, or unclear.
+`
+};
 
-DOCUMENT TEXT:
----
-${docText}
----
-
-Extract and normalize these fields based on the entire document. Return null for any field that is missing, empty, or unclear.
-`;
-
-  const schema = {
-    type: "object",
-    properties: {
-      company_name: { type: ["string", "null"] },
-      url: { type: ["string", "null"] },
-      arr_run_rate: { type: ["number", "null"] },
-      carr: { type: ["number", "null"] },
-      revenue_2024: { type: ["number", "null"] },
-      revenue_2023: { type: ["number", "null"] },
-      revenue_2022: { type: ["number", "null"] },
-      cash: { type: ["number", "null"] },
-      runway: { type: ["number", "null"] },
-      raising: { type: ["number", "null"] },
-      raised: { type: ["number", "null"] },
-      cac: { type: ["number", "null"] },
-      payback_period: { type: ["number", "null"] },
-      ltv_to_cac: { type: ["number", "null"] },
-      gross_margin: { type: ["number", "null"] },
-      saas_recurring_percent: { type: ["number", "null"] },
-      nrr: { type: ["number", "null"] },
-      team_size: { type: ["integer", "null"] },
-      year_founded: { type: ["integer", "null"] },
-      location: { type: ["string", "null"] },
-      description: { type: ["string", "null"] },
-      competition: { type: ["string", "null"] },
-      revenue_notes: { type: ["string", "null"] },
-      funding_notes: { type: ["string", "null"] },
-      good: { type: ["string", "null"] },
-      challenges: { type: ["string", "null"] },
-      needs_action: { type: ["string", "null"] }
-    },
-    required: [
-      "company_name", "url", "arr_run_rate", "carr", "revenue_2024", "revenue_2023", "revenue_2022",
-      "cash", "runway", "raising", "raised", "cac", "payback_period", "ltv_to_cac",
-      "gross_margin", "saas_recurring_percent", "nrr", "team_size", "year_founded",
-      "location", "description", "competition", "revenue_notes", "funding_notes",
-      "good", "challenges", "needs_action"
-    ],
-    additionalProperties: false
-  };
-
-  return callOpenAIStructured(prompt, schema, "simple_fields_batch");
+/**
+ * Process simple fields in a single batch API call
+ * @param {string} docText - Full text content from Google Doc
+ * @returns {object} Normalized simple field values
+ */
+function parseSimpleFieldsBatch(docText) {
+  return runExtractionGroup(docText, [SIMPLE_FIELDS_STEP]);
 }
 
 // === COMPLEX FIELD ANALYSIS ===
 
 /**
- * Analyze ACV for potential customer segmentation complexity
- * @param {string} docText - Full text content from Google Doc
- * @returns {object} ACV analysis result with potential secondary value
+ * ACV with potential customer segmentation complexity
  */
-function analyzeACVComplexity(docText) {
-  if (!docText || docText.trim() === '') {
-    return { acv: null, acv_2: null };
-  }
-
-  const prompt = `
+const ACV_STEP = {
+  key: "acv",
+  name: "acv_complexity_analysis",
+  instructions: `
 You are analyzing ACV (Annual Contract Value) data for venture capital investment analysis.
 
 CRITICAL COMPLEXITY FILTER:
@@ -198,40 +153,30 @@ EXAMPLES OF COMPLEX ACV (return primary + secondary):
 - "Enterprise tier $200k ACV, SMB tier $5k ACV, roughly 50/50 revenue split" → COMPLEX (40x difference, both meaningful)
 
 TASK: Analyze the ACV data within the following document. Use the full context of the document to identify customer segments, revenue distribution, and other relevant factors.
-
-DOCUMENT TEXT:
----
-${docText}
----
-
+`,
+  closing: `
 If SIMPLE: Extract the single ACV value and return acv_2 as null.
 If COMPLEX: Extract both ACV values, with primary ACV being the larger/more important segment.
-`;
-
-  const schema = {
-    type: "object",
-    properties: {
-      acv: { type: ["number", "null"] },
-      acv_2: { type: ["number", "null"] }
-    },
-    required: ["acv", "acv_2"],
-    additionalProperties: false
-  };
-
-  return callOpenAIStructured(prompt, schema, "acv_complexity_analysis");
-}
+`,
+  skipWhenEmpty: true
+};
 
 /**
- * Analyze customer count for potential segmentation complexity
+ * Analyze ACV for potential customer segmentation complexity
  * @param {string} docText - Full text content from Google Doc
- * @returns {object} Customer count analysis result with potential secondary value
+ * @returns {object} ACV analysis result with potential secondary value
  */
-function analyzeCustomerComplexity(docText) {
-  if (!docText || docText.trim() === '') {
-    return { customer_count: null, customer_count_2: null };
-  }
+function analyzeACVComplexity(docText) {
+  return runExtractionGroup(docText, [ACV_STEP]);
+}
 
-  const prompt = `
+/**
+ * Customer count with potential segmentation complexity
+ */
+const CUSTOMER_STEP = {
+  key: "customers",
+  name: "customer_complexity_analysis",
+  instructions: `
 You are analyzing customer count data for venture capital investment analysis.
 
 CRITICAL COMPLEXITY FILTER:
@@ -251,144 +196,110 @@ EXAMPLES OF COMPLEX CUSTOMER COUNT (return primary + secondary):
 - "50 Fortune 500 clients, 2000 SMB clients with very different contract values" → COMPLEX (clear value segments)
 
 TASK: Analyze the customer count data within the following document. Use the full context to understand segmentation and value differences.
-
-DOCUMENT TEXT:
----
-${docText}
----
-
+`,
+  closing: `
 If SIMPLE: Extract the single customer count and return customer_count_2 as null.
 If COMPLEX: Extract both counts, with primary being the higher-value customer segment.
-`;
-
-  const schema = {
-    type: "object",
-    properties: {
-      customer_count: { type: ["integer", "null"] },
-      customer_count_2: { type: ["integer", "null"] }
-    },
-    required: ["customer_count", "customer_count_2"],
-    additionalProperties: false
-  };
-
-  return callOpenAIStructured(prompt, schema, "customer_complexity_analysis");
-}
+`,
+  skipWhenEmpty: true
+};
 
 /**
- * Convert logo churn to annual rate with proper temporal mathematics
+ * Analyze customer count for potential segmentation complexity
  * @param {string} docText - Full text content from Google Doc
- * @returns {object} Annual churn rate
+ * @returns {object} Customer count analysis result with potential secondary value
  */
-function convertChurnToAnnual(docText) {
-  if (!docText || docText.trim() === '') {
-    return { logo_churn_annual: null };
-  }
+function analyzeCustomerComplexity(docText) {
+  return runExtractionGroup(docText, [CUSTOMER_STEP]);
+}
 
-  const prompt = `
-You are converting a logo churn rate to an annual rate using proper temporal mathematics.
+/**
+ * Logo churn rate and the period it is stated for (converted to annual in normalize.js)
+ */
+const CHURN_STEP = {
+  key: "churn",
+  name: "churn_temporal_conversion",
+  instructions: `
+You are extracting a logo churn rate and the period it is stated for.
 
-CRITICAL TEMPORAL CONVERSION RULES:
-- If rate is already annual: return as-is.
-- If rate is monthly: Convert using the compound formula: Annual = 1 - (1 - monthly_rate)^12
-- Do NOT use simple multiplication (e.g., monthly * 12), as it's mathematically incorrect for compounding rates.
+PERIOD RULES:
+- Identify whether the rate is monthly, quarterly or annual from the surrounding text.
+- If the period is not stated, return null for the period.
+- Do NOT convert the rate to another period; the conversion is done after extraction.
 
 EXAMPLES:
-- "2% monthly churn" → 1 - (1 - 0.02)^12 = 1 - 0.784 = 0.216 (21.6% annual)
-- "15% annual churn" → 0.15 (already annual)
-- "1% monthly" → 1 - (1 - 0.01)^12 = 1 - 0.886 = 0.114 (11.4% annual)
-- "Logo Churn Annual: 10%" -> 0.10
-
-TASK: Find the logo churn rate in the document, identify its period (monthly or annual), and convert it to an annual rate.
-
-DOCUMENT TEXT:
----
-${docText}
----
-
-Return the final annual churn rate as a decimal (e.g., 15% → 0.15). If no churn data is found, return null.
-`;
+- "2% monthly churn" → raw "2%", period "monthly"
+- "15% annual churn" → raw "15%", period "annual"
+- "Lost 3% of logos per quarter" → raw "3%", period "quarterly"
+- "Logo Churn Annual: 10%" → raw "10%", period "annual"
+
+TASK: Find the logo churn rate in the document and identify its period.
+`,
+  closing: `
+Return the churn rate as written and its period. If no churn data is found, return null for both.
+`,
+  skipWhenEmpty: true
+};
 
-  const schema = {
-    type: "object",
-    properties: {
-      logo_churn_annual: { type: ["number", "null"] }
-    },
-    required: ["logo_churn_annual"],
-    additionalProperties: false
-  };
-
-  const result = callOpenAIStructured(prompt, schema, "churn_temporal_conversion");
-  
-  return {
-    logo_churn_annual: result.logo_churn_annual
-  };
+/**
+ * Extract logo churn rate and its period
+ * @param {string} docText - Full text content from Google Doc
+ * @returns {object} Raw churn rate and period
+ */
+function convertChurnToAnnual(docText) {
+  return runExtractionGroup(docText, [CHURN_STEP]);
 }
 
 // === SPECIAL FIELD PROCESSING ===
 
 /**
- * Normalize monthly burn with special rules for qualitative values
- * @param {string} docText - Full text content from Google Doc
- * @returns {object} Normalized monthly burn value
+ * Monthly burn with special rules for qualitative values
  */
-function normalizeMonthlyBurn(docText) {
-  if (!docText || docText.trim() === '') {
-    return { monthly_burn: null };
-  }
-
-  const prompt = `
-You are normalizing monthly burn rate data, with special rules for qualitative descriptions.
-
-SPECIAL NORMALIZATION RULES:
-- "breakeven", "profitable", "cash flow positive" → 0 (no burn)
-- "low burn" → 50000 (standardized low burn amount)
-- Numerical values: Apply standard conversion ("$500k" → 500000)
+const BURN_STEP = {
+  key: "burn",
+  name: "monthly_burn_normalization",
+  instructions: `
+You are extracting net burn rate data, with special rules for qualitative descriptions.
+
+SPECIAL RULES:
+- "breakeven", "profitable", "cash flow positive" → raw "0", period "monthly" (no burn)
+- "low burn" → raw "50000", period "monthly" (standardized low burn amount)
+- Numerical values: return the amount as written ("$500k") and the period it is stated for
+- Do NOT convert the amount to another period; the conversion is done after extraction
 - Unclear/ambiguous descriptions → null
 
 EXAMPLES:
-- "We're profitable" → 0
-- "Breakeven last month" → 0  
-- "Low burn rate" → 50000
-- "Around $300k monthly" → 300000
-- "Very low expenses" → 50000
-
-TASK: Find and normalize the monthly burn data from the following document.
-
-DOCUMENT TEXT:
----
-${docText}
----
-
-Return the normalized monthly burn. If no burn data is found, return null.
-`;
-
-  const schema = {
-    type: "object", 
-    properties: {
-      monthly_burn: { type: ["number", "null"] }
-    },
-    required: ["monthly_burn"],
-    additionalProperties: false
-  };
-
-  const result = callOpenAIStructured(prompt, schema, "monthly_burn_normalization");
-  
-  return {
-    monthly_burn: result.monthly_burn
-  };
-}
+- "We're profitable" → raw "0", period "monthly"
+- "Breakeven last month" → raw "0", period "monthly"
+- "Low burn rate" → raw "50000", period "monthly"
+- "Around $300k monthly" → raw "$300k", period "monthly"
+- "Burning $1.2M a quarter" → raw "$1.2M", period "quarterly"
+- "Very low expenses" → raw "50000", period "monthly"
+
+TASK: Find the burn data in the following document.
+`,
+  closing: `
+Return the burn amount as written and its period. If no burn data is found, return null for both.
+`,
+  skipWhenEmpty: true
+};
 
 /**
- * Extract last round post-money valuation from funding notes
+ * Extract burn with special rules for qualitative values
  * @param {string} docText - Full text content from Google Doc
- * @returns {object} Last round valuation if found
+ * @returns {object} Raw burn amount and period
  */
-function extractLastRoundValuation(docText) {
-  if (!docText || docText.trim() === '') {
-    return { last_round_valuation: null };
-  }
+function normalizeMonthlyBurn(docText) {
+  return runExtractionGroup(docText, [BURN_STEP]);
+}
 
-  const prompt = `
+/**
+ * Last round post-money valuation from funding notes
+ */
+const VALUATION_STEP = {
+  key: "valuation",
+  name: "valuation_extraction",
+  instructions: `
 You are extracting post-money valuation data from venture capital funding notes.
 
 TASK: Find the most recent funding round's post-money valuation from the document.
@@ -410,155 +321,315 @@ IGNORE:
 - Pre-money valuations without investment amount to convert
 
 EXAMPLES:
-- "Series B: $15M at $75M post-money" → 75000000
-- "Raised $5M for 10% equity" → 50000000  
+- "Series B: $15M at $75M post-money" → "$75M"
+- "Raised $5M for 10% equity" → "$50M" (calculated)
 - "Previous round was $20M pre-money" → null (not post-money, not recent)
 - "Looking to raise at $100M valuation" → null (aspirational)
 
 TASK: Extract the most recent, confirmed post-money valuation from the document text.
+`,
+  closing: `
+Return the valuation as a dollar amount with its unit (e.g. "$75M"). If no clear, recent, post-money valuation is found, return null.
+`,
+  skipWhenEmpty: true
+};
+
+/**
+ * Extract last round post-money valuation from funding notes
+ * @param {string} docText - Full text content from Google Doc
+ * @returns {object} Last round valuation if found
+ */
+function extractLastRoundValuation(docText) {
+  return runExtractionGroup(docText, [VALUATION_STEP]);
+}
+
+// === EXTRACTION PIPELINE ===
+
+// All extraction steps, keyed by the names used in EXTRACTION_MODE groupings
+const EXTRACTION_STEPS = {
+  simple_fields: SIMPLE_FIELDS_STEP,
+  acv: ACV_STEP,
+  customers: CUSTOMER_STEP,
+  churn: CHURN_STEP,
+  burn: BURN_STEP,
+  valuation: VALUATION_STEP
+};
+
+// Preset groupings: "split" makes one call per step, "combined" a single call for all of them
+const EXTRACTION_MODES = {
+  split: [["simple_fields"], ["acv"], ["customers"], ["churn"], ["burn"], ["valuation"]],
+  combined: [["simple_fields", "acv", "customers", "churn", "burn", "valuation"]]
+};
+
+/**
+ * Resolve the step grouping to use for extraction
+ * Reads the EXTRACTION_MODE Script Property, which is either a preset name ("split", "combined")
+ * or a JSON array of step-key groups, e.g. [["simple_fields"], ["acv", "customers", "churn", "burn", "valuation"]]
+ * @param {string|Array<Array<string>>} [mode] - Preset name or grouping; defaults to the Script Property, then "split"
+ * @returns {Array<Array<string>>} Groups of step keys, one API call per group
+ */
+function getExtractionGroups(mode) {
+  mode = mode || PropertiesService.getScriptProperties().getProperty("EXTRACTION_MODE") || "split";
+  
+  let groups = EXTRACTION_MODES[mode];
+  if (!groups) {
+    groups = typeof mode === "string" ? JSON.parse(mode) : mode;
+  }
+  
+  const keys = [].concat(...groups);
+  const unknown = keys.filter(key => !EXTRACTION_STEPS[key]);
+  const missing = Object.keys(EXTRACTION_STEPS).filter(key => keys.indexOf(key) === -1);
+  if (unknown.length > 0 || missing.length > 0 || keys.length !== Object.keys(EXTRACTION_STEPS).length) {
+    throw new Error(`Invalid EXTRACTION_MODE grouping: every step must appear exactly once (unknown: ${unknown.join(", ") || "none"}, missing: ${missing.join(", ") || "none"})`);
+  }
+  
+  return groups;
+}
+
+/**
+ * Run every extraction step over the document, one API call per group
+ * @param {string} docText - Full text content from Google Doc
+ * @param {Array<Array<string>>} groups - Groups of step keys (see `getExtractionGroups`)
+ * @returns {{fields: object, evidence: object[]}} All extracted fields and their evidence, merged across groups
+ */
+function runExtractionPipeline(docText, groups) {
+  const extraction = { fields: {}, evidence: [] };
+  
+  groups.forEach(group => {
+    const steps = group.map(key => EXTRACTION_STEPS[key]);
+    const { evidence, ...fields } = runExtractionGroup(docText, steps);
+    Object.assign(extraction.fields, fields);
+    extraction.evidence.push(...evidence);
+  });
+  
+  return extraction;
+}
+
+/**
+ * Run a group of extraction steps as a single structured API call
+ * Steps marked `skipWhenEmpty` return all-null fields without a call when the document is empty
+ * @param {string} docText - Full text content from Google Doc
+ * @param {object[]} steps - Step definitions to combine
+ * @returns {object} Extracted fields for all steps in the group, plus an `evidence` array
+ */
+function runExtractionGroup(docText, steps) {
+  const isEmptyDoc = !docText || docText.trim() === '';
+  const emptyFields = { evidence: [] };
+  
+  if (isEmptyDoc) {
+    steps.filter(step => step.skipWhenEmpty).forEach(step => {
+      getFieldsInGroup(step.key).forEach(field => emptyFields[field.name] = null);
+    });
+    steps = steps.filter(step => !step.skipWhenEmpty);
+    if (steps.length === 0) {
+      return emptyFields;
+    }
+  }
+  
+  if (steps.length === 1) {
+    const step = steps[0];
+    const prompt = `${getStepInstructions(step)}
+
+DOCUMENT TEXT:
+---
+${docText}
+---
+${step.closing}${EVIDENCE_INSTRUCTIONS}`;
+    return Object.assign(emptyFields, callExtractionModel(prompt, addEvidenceSchema(buildGroupSchema(step.key)), step.name));
+  }
+  
+  return Object.assign(emptyFields, callExtractionModel(
+    buildCombinedPrompt(docText, steps) + EVIDENCE_INSTRUCTIONS,
+    addEvidenceSchema(buildCombinedSchema(steps)),
+    steps.map(step => step.key).join("_")
+  ));
+}
+
+/**
+ * Get a step's prompt instructions, with its field definitions from the registry if it lists them
+ * @param {object} step - Step definition
+ * @returns {string} Instructions text
+ */
+function getStepInstructions(step) {
+  return step.listsFieldDefinitions
+    ? `${step.instructions}${buildFieldDefinitions(step.key)}\n`
+    : step.instructions;
+}
 
+/**
+ * Build one prompt covering several extraction steps, with the document included once
+ * @param {string} docText - Full text content from Google Doc
+ * @param {object[]} steps - Step definitions to combine
+ * @returns {string} Combined prompt
+ */
+function buildCombinedPrompt(docText, steps) {
+  const tasks = steps.map((step, i) => `
+=== TASK ${i + 1} OF ${steps.length}: ${step.name} ===
+Fields: ${getFieldsInGroup(step.key).map(field => field.name).join(", ")}
+${getStepInstructions(step)}${step.closing}`).join("");
+  
+  return `
+You are a financial data analyst extracting structured data from venture capital due diligence notes.
+The document below is analyzed in ${steps.length} independent tasks. Each task lists the fields it is responsible for;
+apply each task's rules only to its own fields. Every field in the JSON schema belongs to exactly one task.
+${tasks}
 DOCUMENT TEXT:
 ---
 ${docText}
 ---
 
-Return the valuation. If no clear, recent, post-money valuation is found, return null.
+Complete every task above based on the entire document and return all fields together. Return null for any field that is missing, empty, or unclear.
 `;
+}
 
-  const schema = {
-    type: "object",
-    properties: {
-      last_round_valuation: { type: ["number", "null"] }
-    },
-    required: ["last_round_valuation"],
-    additionalProperties: false
-  };
+/**
+ * Merge the strict schemas of several extraction steps into one
+ * @param {object[]} steps - Step definitions to combine
+ * @returns {object} Combined JSON schema
+ */
+function buildCombinedSchema(steps) {
+  const schema = { type: "object", properties: {}, required: [], additionalProperties: false };
+  
+  steps.forEach(step => {
+    const stepSchema = buildGroupSchema(step.key);
+    Object.assign(schema.properties, stepSchema.properties);
+    schema.required.push(...stepSchema.required);
+  });
+  
+  return schema;
+}
+
+// === EVIDENCE ===
+
+// Appended to every extraction prompt; the matching schema property is added by `addEvidenceSchema`
+const EVIDENCE_INSTRUCTIONS = `
+EVIDENCE:
+For every field you return with a non-null value, add one entry to "evidence" with:
+- field: the field name
+- quote: the exact text from the document the value is based on, copied verbatim (one sentence or line at most)
+- confidence: how sure you are that the value is correct and read correctly, from 0 (guess) to 1 (stated explicitly)
+Do not add evidence entries for null fields.
+`;
 
-  const result = callOpenAIStructured(prompt, schema, "valuation_extraction");
+/**
+ * Add the `evidence` array to an extraction schema
+ * @param {object} schema - Strict JSON schema of the extracted fields
+ * @returns {object} Schema that also requires an evidence entry list for those fields
+ */
+function addEvidenceSchema(schema) {
+  const fieldNames = Object.keys(schema.properties);
   
-  return {
-    last_round_valuation: result.last_round_valuation
-  };
+  return Object.assign({}, schema, {
+    properties: Object.assign({}, schema.properties, {
+      evidence: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            field: { type: "string", enum: fieldNames },
+            quote: { type: "string" },
+            confidence: { type: "number" }
+          },
+          required: ["field", "quote", "confidence"],
+          additionalProperties: false
+        }
+      }
+    }),
+    required: schema.required.concat("evidence")
+  });
 }
 
 // === RECORD ASSEMBLY ===
 
 /**
  * Assemble complete normalized company record with consistent schema
- * @param {string} docId - Google Doc ID
- * @param {object} simpleFields - Processed simple fields
- * @param {object} acvData - ACV analysis results
- * @param {object} customerData - Customer analysis results  
- * @param {object} churnData - Churn conversion results
- * @param {object} burnData - Burn normalization results
- * @param {object} valuationData - Valuation extraction results
+ * Field order and the set of fields come from the field registry (field-registry.js)
+ * @param {GoogleAppsScript.Drive.File} file - Source file the fields were extracted from
+ * @param {object} fields - Extracted fields from all pipeline steps
+ * @param {string} asOfDate - Date of the doc (yyyy-MM-dd)
  * @returns {object} Complete company record matching database schema
  */
-function assembleCompleteRecord(docId, simpleFields, acvData, customerData, churnData, burnData, valuationData) {
-  const docUrl = `https://docs.google.com/document/d/${docId}`;
+function assembleCompleteRecord(file, fields, asOfDate) {
+  const docId = file.getId();
+  const companyDomain = normalizeCompanyDomain(fields.url);
+  const now = new Date().toISOString();
   
-  return {
-    // === CORE IDENTIFICATION ===
-    id: Utilities.getUuid(),
-    company_name: simpleFields.company_name,
-    doc_url: docUrl,
-    date_created: new Date().toISOString(),
-    
-    // === FINANCIAL METRICS ===
-    arr_run_rate: simpleFields.arr_run_rate,
-    carr: simpleFields.carr,
-    revenue_2024: simpleFields.revenue_2024,
-    revenue_2023: simpleFields.revenue_2023,
-    revenue_2022: simpleFields.revenue_2022,
-    monthly_burn: burnData.monthly_burn,
-    cash: simpleFields.cash,
-    runway: simpleFields.runway,
-    raising: simpleFields.raising,
-    raised: simpleFields.raised,
-    last_round_valuation: valuationData.last_round_valuation,
-    
-    // === CUSTOMER METRICS ===
-    acv: acvData.acv,
-    acv_2: acvData.acv_2,
-    customer_count: customerData.customer_count,
-    customer_count_2: customerData.customer_count_2,
-    logo_churn_annual: churnData.logo_churn_annual,
-    
-    // === OTHER METRICS ===
-    cac: simpleFields.cac,
-    payback_period: simpleFields.payback_period,
-    ltv_to_cac: simpleFields.ltv_to_cac,
-    gross_margin: simpleFields.gross_margin,
-    saas_recurring_percent: simpleFields.saas_recurring_percent,
-    nrr: simpleFields.nrr,
-    
-    // === COMPANY INFO ===
-    team_size: simpleFields.team_size,
-    year_founded: simpleFields.year_founded,
-    location: simpleFields.location,
-    description: simpleFields.description,
-    url: simpleFields.url,
-    competition: simpleFields.competition,
-    revenue_notes: simpleFields.revenue_notes,
-    funding_notes: simpleFields.funding_notes,
-    good: simpleFields.good,
-    challenges: simpleFields.challenges,
-    needs_action: simpleFields.needs_action
-  };
+  return buildRecordFromRegistry({
+    id: buildCompanyRecordId(docId, companyDomain),
+    company_domain: companyDomain,
+    doc_id: docId,
+    doc_url: getSourceFileUrl(docId, file.getMimeType()),
+    as_of_date: asOfDate,
+    field_sources: buildFieldSources(fields, file.getName()),
+    date_created: now,
+    date_updated: now
+  }, fields);
+}
+
+/**
+ * Record which source file each extracted value came from
+ * @param {object} fields - Extracted field values
+ * @param {string} fileName - Name of the source file
+ * @returns {string|null} JSON object of file names keyed by field, or null if nothing was extracted
+ */
+function buildFieldSources(fields, fileName) {
+  const sources = {};
+  getExtractedFieldNames()
+    .filter(name => fields[name] !== null && fields[name] !== undefined && fields[name] !== "")
+    .forEach(name => sources[name] = fileName);
+  
+  return Object.keys(sources).length > 0 ? JSON.stringify(sources) : null;
+}
+
+// === RECORD IDENTITY ===
+
+/**
+ * Build a deterministic record ID so re-parses of the same company update
+ * the existing row instead of appending a duplicate.
+ * Prefers the normalized company domain and falls back to the source doc ID.
+ * @param {string} docId - Google Doc ID
+ * @param {string|null} companyDomain - Normalized company domain, if known
+ * @returns {string} Stable record ID (e.g. "domain:acme.com" or "doc:1AbC...")
+ */
+function buildCompanyRecordId(docId, companyDomain) {
+  return companyDomain ? `domain:${companyDomain}` : `doc:${docId}`;
+}
+
+/**
+ * Normalize a company URL to a bare lowercase domain
+ * "https://www.Acme.ai/about" → "acme.ai"
+ * @param {string|null} url - Company website URL as extracted from the doc
+ * @returns {string|null} Normalized domain, or null if the URL is not usable
+ */
+function normalizeCompanyDomain(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const domain = url.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[\/?#]/)[0]
+    .replace(/:\d+$/, '');
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
 }
 
 // === API UTILITY FUNCTIONS ===
 
 /**
- * Make structured API call to OpenAI responses endpoint
+ * Make a structured extraction call with the model configured for the "extraction" task
+ * Retries and rate limiting are handled by the shared client (openai-client.js)
  * @param {string} prompt - Detailed analysis prompt
  * @param {object} schema - JSON schema for structured output
  * @param {string} schemaName - Name identifier for the schema
  * @returns {object} Parsed structured response
  */
-function callOpenAIStructured(prompt, schema, schemaName) {
-  const payload = {
-    model: MODEL,
-    input: prompt,
-    text: {
-      format: {
-        type: "json_schema",
-        name: schemaName,
-        strict: true,
-        schema: schema
-      }
-    }
-  };
-
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`
-    },
-    payload: JSON.stringify(payload)
-  };
-
+function callExtractionModel(prompt, schema, schemaName) {
   try {
-    const response = UrlFetchApp.fetch(OPENAI_API_URL, options);
-    const responseText = response.getContentText();
-    
-    if (response.getResponseCode() !== 200) {
-      Logger.log(`API Error ${response.getResponseCode()}: ${responseText}`);
-      throw new Error(`OpenAI API error: ${response.getResponseCode()}`);
-    }
-    
-    const result = JSON.parse(responseText);
-    const message = result.output.find(item => item.type === "message");
-    
-    if (!message || !message.content || !message.content[0]) {
-      throw new Error("Invalid API response structure");
-    }
-    
-    return JSON.parse(message.content[0].text);
-    
+    return generateStructured("extraction", { prompt: prompt, schema: schema, schemaName: schemaName });
   } catch (error) {
-    Logger.log(`Error in OpenAI API call for ${schemaName}: ${error.toString()}`);
+    Logger.log(`Error in extraction call for ${schemaName}: ${error.toString()}`);
     throw error;
   }
 }
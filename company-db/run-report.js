@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Run-level reporting for batch parses.
+ * Each run gets one row on the "Runs" sheet (timing, counts, token usage) and one row per
+ * document on the "Run Details" sheet (outcome, failing stage and error text), so failures
+ * can be triaged and retried.
+ */
+
+// === CONFIGURATION ===
+const RUNS_SHEET_NAME = "Runs";
+const RUN_DETAILS_SHEET_NAME = "Run Details";
+
+const RUNS_HEADERS = [
+  "run_id", "run_type", "status", "started_at", "ended_at", "duration_seconds", "slices",
+  "processed", "skipped", "no_record", "errors", "requests", "input_tokens", "output_tokens", "invalid"
+];
+const RUN_DETAILS_HEADERS = [
+  "run_id", "timestamp", "subfolder", "doc_id", "doc_name", "doc_url",
+  "outcome", "stage", "error", "requests", "input_tokens", "output_tokens"
+];
+
+// Values of the `status` column on the "Runs" sheet
+const RUN_STATUS = {
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETE: "complete",
+  FAILED: "failed"
+};
+
+// === RUNS SHEET ===
+
+/**
+ * Writes the run's summary row, updating it in place on later slices.
+ * @param {object} state - The run state (see `createRunState`).
+ * @param {string} status - A `RUN_STATUS` value.
+ */
+function writeRunRow(state, status) {
+  const sheet = getReportSheet(RUNS_SHEET_NAME, RUNS_HEADERS);
+  const endedAt = status === RUN_STATUS.RUNNING ? null : new Date();
+  const durationSeconds = endedAt ? Math.round((endedAt.getTime() - new Date(state.startedAt).getTime()) / 1000) : null;
+
+  const row = [
+    state.runId, state.runType, status, state.startedAt, endedAt ? endedAt.toISOString() : null,
+    durationSeconds, state.slices, state.counts.processed, state.counts.skipped,
+    state.counts.no_record, state.counts.error, state.usage.requests,
+    state.usage.input_tokens, state.usage.output_tokens, state.counts.invalid || 0
+  ];
+
+  const rowIndex = getColumnValues(sheet, 1).indexOf(state.runId) + 2; // +2 for 1-based index and header row
+  if (rowIndex > 1) {
+    sheet.getRange(rowIndex, 1, 1, row.length).setValues([row]);
+  } else {
+    sheet.appendRow(row);
+  }
+}
+
+/**
+ * Finds the ID of the most recently started run of a given type.
+ * @param {string} runType - A `RUN_TYPE` value.
+ * @returns {string|null} The run ID, or null if there are no runs of that type.
+ */
+function getLastRunId(runType) {
+  const rows = getReportRows(RUNS_SHEET_NAME, RUNS_HEADERS)
+    .filter(row => row.run_type === runType)
+    .sort((a, b) => new Date(b.started_at).getTime() - new Date(a.started_at).getTime());
+
+  return rows.length > 0 ? rows[0].run_id : null;
+}
+
+// === RUN DETAILS SHEET ===
+
+/**
+ * Builds a "Run Details" row for one processed document.
+ * @param {object} state - The run state.
+ * @param {string} subfolderName - The company subfolder the document came from.
+ * @param {GoogleAppsScript.Drive.File} file - The document.
+ * @param {object} result - The result returned by `processCompanyFile`.
+ * @returns {Array} Row values in `RUN_DETAILS_HEADERS` order.
+ */
+function buildRunDetailRow(state, subfolderName, file, result) {
+  return [
+    state.runId, new Date().toISOString(), subfolderName, file.getId(), file.getName(), file.getUrl(),
+    result.outcome, result.stage, result.error, result.usage.requests,
+    result.usage.input_tokens, result.usage.output_tokens
+  ];
+}
+
+/**
+ * Appends document rows to the "Run Details" sheet in a single write.
+ * @param {Array<Array>} rows - Rows built by `buildRunDetailRow`.
+ */
+function appendRunDetails(rows) {
+  if (rows.length === 0) {
+    return;
+  }
+
+  const sheet = getReportSheet(RUN_DETAILS_SHEET_NAME, RUN_DETAILS_HEADERS);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, RUN_DETAILS_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Lists the documents that failed in a run.
+ * @param {string} runId - The run ID.
+ * @returns {object[]} The failed "Run Details" rows as objects keyed by header.
+ */
+function getFailedRunDetails(runId) {
+  return getReportRows(RUN_DETAILS_SHEET_NAME, RUN_DETAILS_HEADERS)
+    .filter(row => row.run_id === runId && row.outcome === DOC_OUTCOME.ERROR);
+}
+
+// === SHEET UTILITY FUNCTIONS ===
+
+/**
+ * Gets a report sheet, writing its header row if the sheet is new.
+ * Report rows are written by position, so new headers are only ever added at the end
+ * and appended to existing sheets here.
+ * @param {string} sheetName - The sheet name.
+ * @param {string[]} headers - The sheet's headers.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet object.
+ */
+function getReportSheet(sheetName, headers) {
+  const sheet = getOrCreateSheet(SPREADSHEET_ID, sheetName);
+  if (sheet.getLastRow() === 0) {
+    setHeaders(sheet, headers);
+  } else {
+    appendMissingHeaders(sheet, getHeaders(sheet), headers);
+  }
+  return sheet;
+}
+
+/**
+ * Reads all rows of a report sheet as objects keyed by header.
+ * @param {string} sheetName - The sheet name.
+ * @param {string[]} headers - The sheet's headers.
+ * @returns {object[]} The rows.
+ */
+function getReportRows(sheetName, headers) {
+  const sheet = getReportSheet(sheetName, headers);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().map(values => {
+    const row = {};
+    headers.forEach((header, i) => row[header] = values[i]);
+    return row;
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Checkpointing for batch runs that outlive the Apps Script execution time limit.
+ * The position in the Drive folder tree (iterator continuation tokens) and the running totals
+ * are stored in Script Properties, and a time-based trigger resumes the run where it stopped.
+ * A slice that fails checkpoints what it got through and is resumed the same way, until it has
+ * failed MAX_FAILED_SLICES times in a row.
+ */
+
+// === CONFIGURATION ===
+const RUN_STATE_PROPERTY = "BATCH_RUN_STATE";
+const RESUME_HANDLER = "resumeProcessAllCompaniesInMasterFolder";
+// Stop well short of the 6-minute cap so the in-flight document and the checkpoint can finish
+const MAX_SLICE_MS = 4.5 * 60 * 1000;
+const RESUME_DELAY_MS = 60 * 1000;
+// Consecutive failed slices after which a run is left for a manual resume
+const MAX_FAILED_SLICES = 3;
+
+// Kinds of run recorded on the "Runs" sheet
+const RUN_TYPE = {
+  BATCH: "batch",
+  RETRY: "retry"
+};
+
+// Per-document outcomes; these double as the keys of a run's `counts`
+const DOC_OUTCOME = {
+  PROCESSED: "processed",
+  SKIPPED: "skipped",
+  NO_RECORD: "no_record",
+  INVALID: "invalid",
+  ERROR: "error"
+};
+
+// === RUN STATE ===
+
+/**
+ * Creates the state for a fresh batch run.
+ * @param {object} [options] - Run options passed to `processAllCompaniesInMasterFolder`.
+ * @returns {object} New run state.
+ */
+function createRunState(options) {
+  return {
+    runId: Utilities.getUuid(),
+    runType: (options && options.runType) || RUN_TYPE.BATCH,
+    startedAt: new Date().toISOString(),
+    forceFullRebuild: Boolean(options && options.forceFullRebuild),
+    folderToken: null,
+    currentFolderId: null,
+    fileToken: null,
+    slices: 0,
+    counts: { processed: 0, skipped: 0, no_record: 0, invalid: 0, error: 0 },
+    usage: { requests: 0, input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+/**
+ * Adds one document's result to the run's running totals.
+ * @param {object} state - The run state.
+ * @param {object} result - The result returned by `processCompanyFile`.
+ */
+function addRunResult(state, result) {
+  state.counts[result.outcome] = (state.counts[result.outcome] || 0) + 1;
+  Object.keys(state.usage).forEach(key => state.usage[key] += result.usage[key] || 0);
+}
+
+/**
+ * Loads the checkpointed state of an unfinished batch run.
+ * @returns {object|null} The saved run state, or null if no run is in progress.
+ */
+function loadRunState() {
+  const raw = PropertiesService.getScriptProperties().getProperty(RUN_STATE_PROPERTY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Persists the run state so a later execution can resume from it.
+ * @param {object} state - The run state to save.
+ */
+function saveRunState(state) {
+  PropertiesService.getScriptProperties().setProperty(RUN_STATE_PROPERTY, JSON.stringify(state));
+}
+
+/**
+ * Removes any checkpointed run state.
+ */
+function clearRunState() {
+  PropertiesService.getScriptProperties().deleteProperty(RUN_STATE_PROPERTY);
+}
+
+/**
+ * Records the run's position in the Drive folder tree: past the subfolders and files the
+ * iterators have handed out so far.
+ * @param {object} state - The run state.
+ * @param {GoogleAppsScript.Drive.FolderIterator} subfolders - The iterator over company subfolders.
+ * @param {GoogleAppsScript.Drive.Folder|null} folder - The subfolder being scanned, if any.
+ * @param {GoogleAppsScript.Drive.FileIterator|null} files - The iterator over its files, if any.
+ */
+function recordRunPosition(state, subfolders, folder, files) {
+  state.folderToken = subfolders.getContinuationToken();
+  state.currentFolderId = files ? folder.getId() : null;
+  state.fileToken = files ? files.getContinuationToken() : null;
+}
+
+/**
+ * Checks whether the current execution has used up its time budget.
+ * @param {number} sliceStartMs - When the current execution started (epoch ms).
+ * @returns {boolean} True if the run should checkpoint and stop.
+ */
+function isSliceTimeExhausted(sliceStartMs) {
+  return Date.now() - sliceStartMs > MAX_SLICE_MS;
+}
+
+// === RESUME TRIGGERS ===
+
+/**
+ * Schedules a one-off time-based trigger that resumes the checkpointed run.
+ */
+function scheduleResumeTrigger() {
+  deleteResumeTriggers();
+  ScriptApp.newTrigger(RESUME_HANDLER)
+    .timeBased()
+    .after(RESUME_DELAY_MS)
+    .create();
+  Logger.log(`Scheduled resume trigger in ${RESUME_DELAY_MS / 1000}s.`);
+}
+
+/**
+ * Checkpoints a run whose slice failed and schedules its resume. The checkpoint keeps the
+ * slice's totals and position, so the resumed slice neither re-reports the documents it saved
+ * nor retries a document it failed on (that document has no ledger entry, so the next run
+ * picks it up). After MAX_FAILED_SLICES failures in a row nothing is scheduled: fix the cause, then
+ * run `resumeProcessAllCompaniesInMasterFolder`.
+ *
+ * @param {object} state - The state of the failed slice, with its totals and position.
+ */
+function scheduleResumeAfterFailure(state) {
+  state.failedSlices = (state.failedSlices || 0) + 1;
+  saveRunState(state);
+
+  if (state.failedSlices >= MAX_FAILED_SLICES) {
+    deleteResumeTriggers();
+    Logger.log(`Run ${state.runId} failed ${state.failedSlices} slices in a row; not resuming it automatically. ` +
+      `Fix the error, then run ${RESUME_HANDLER} to continue from the last checkpoint.`);
+    return;
+  }
+  Logger.log(`Slice failed (${state.failedSlices} of ${MAX_FAILED_SLICES} in a row); resuming from the last checkpoint.`);
+  scheduleResumeTrigger();
+}
+
+/**
+ * Deletes all resume triggers created by `scheduleResumeTrigger`.
+ */
+function deleteResumeTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === RESUME_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
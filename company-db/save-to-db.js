@@ -8,63 +8,160 @@
 const SPREADSHEET_ID = PropertiesService.getScriptProperties().getProperty("SPREADSHEET_ID");
 const SHEET_NAME = "Companies";
 
-// === MAIN SAVE FUNCTION ===
+// === MAIN SAVE FUNCTIONS ===
 
 /**
  * Saves a single, structured company record to the Google Sheet database.
- * This function is idempotent: if a record with the same `id` exists, it updates it.
- * Otherwise, it appends a new row.
+ * See `saveCompanyRecords`, which this wraps.
  *
  * @param {object} companyRecord - A structured object containing normalized company data.
  */
 function saveCompanyRecord(companyRecord) {
+  saveCompanyRecords([companyRecord]);
+}
+
+/**
+ * Saves structured company records to the Google Sheet database in bulk.
+ * Every record is saved to the Snapshots sheet (see snapshots.js). On the Companies sheet
+ * saving is idempotent: if a row with the same `id` exists (or, for rows written
+ * before IDs were deterministic, the same `doc_id`/`doc_url`), the record is merged into that row
+ * field by field (see merge-policy.js), unless that row holds values from a newer doc.
+ * Otherwise, a new row is appended. Records are applied in order, so several docs of one company
+ * in the same batch merge into one row.
+ *
+ * The sheet is read once, all changes are computed in memory, and they are written back
+ * with one range write for all appended rows plus one per run of changed cells in updated rows.
+ *
+ * @param {object[]} companyRecords - Structured objects containing normalized company data.
+ * @returns {{appended: number, updated: number, kept: number}} How many records were appended as
+ *          new rows, merged into existing rows, or only saved as snapshots because their row is newer.
+ */
+function saveCompanyRecords(companyRecords) {
   if (!SPREADSHEET_ID) {
     throw new Error("SPREADSHEET_ID is not set in Script Properties. Please configure the target Google Sheet ID.");
   }
   
+  const counts = { appended: 0, updated: 0, kept: 0 };
+  if (companyRecords.length === 0) {
+    return counts;
+  }
+  
   try {
-    const sheet = getOrCreateSheet(SPREADSHEET_ID, SHEET_NAME);
-    const headers = getHeaders(sheet);
+    saveCompanySnapshots(companyRecords);
     
-    // Ensure headers are present
-    if (headers.length === 0) {
-      const recordHeaders = Object.keys(companyRecord);
-      setHeaders(sheet, recordHeaders);
-      headers = recordHeaders;
-    }
+    const sheet = getOrCreateSheet(SPREADSHEET_ID, SHEET_NAME);
     
-    // Convert record object to an array in the correct order
-    const newRow = headers.map(header => companyRecord[header] !== undefined ? companyRecord[header] : null);
+    // Reconcile the header row with the field registry, then make sure it covers every key in the records
+    let headers = reconcileSheetSchema(sheet);
+    headers = appendMissingHeaders(sheet, headers, getRecordColumns(companyRecords));
+    const table = readSheetTable(sheet, headers, true);
     
-    // Check for existing record by ID to update, otherwise append
-    const idColumnIndex = headers.indexOf('id') + 1;
-    if (idColumnIndex > 0) {
-      const idColumnValues = sheet.getRange(2, idColumnIndex, sheet.getLastRow(), 1).getValues().flat();
-      const existingRowIndex = idColumnValues.indexOf(companyRecord.id) + 2; // +2 for 1-based index and header row
+    companyRecords.forEach(companyRecord => {
+      // Check for an existing record to update, otherwise append
+      const existingIndex = findExistingRowIndex(table, companyRecord);
+      const existing = existingIndex === -1 ? null : rowToRecord(headers, table.rows[existingIndex]);
+      
+      // Merge field by field, never touching cells analysts marked as manual overrides
+      const manualFields = existing ? getManualOverrideFields(headers, table.notes[existingIndex] || []) : [];
+      const update = planRecordUpdate(existing, companyRecord, manualFields);
+      counts[update.action]++;
       
-      if (existingRowIndex > 1) {
-        // Update existing row
-        Logger.log(`Updating existing record for company: ${companyRecord.company_name} (ID: ${companyRecord.id})`);
-        sheet.getRange(existingRowIndex, 1, 1, newRow.length).setValues([newRow]);
+      if (update.action === "kept") {
+        // Companies shows the latest values, so an older doc never overwrites a newer one
+        Logger.log(`Keeping newer ${formatSnapshotDate(existing.as_of_date)} values for company: ${companyRecord.company_name} (saved as a snapshot only)`);
+      } else if (update.action === "updated") {
+        Logger.log(`Updating existing record for company: ${companyRecord.company_name} (ID: ${companyRecord.id})` +
+          (manualFields.length > 0 ? `, keeping manual overrides: ${manualFields.join(', ')}` : ''));
+        setTableRow(table, existingIndex, recordToRow(headers, update.record));
       } else {
-        // Append new row
         Logger.log(`Appending new record for company: ${companyRecord.company_name} (ID: ${companyRecord.id})`);
-        sheet.appendRow(newRow);
+        setTableRow(table, -1, recordToRow(headers, update.record));
       }
-    } else {
-      // Fallback to just appending if no 'id' column is found
-      Logger.log(`Appending new record (no ID column found) for company: ${companyRecord.company_name}`);
-      sheet.appendRow(newRow);
-    }
-
-    Logger.log(`Successfully saved record for: ${companyRecord.company_name}`);
+    });
+    
+    writeSheetTable(table);
+    Logger.log(`Successfully saved ${companyRecords.length} record(s): ${JSON.stringify(counts)}`);
+    return counts;
     
   } catch (error) {
-    Logger.log(`Error saving company record: ${error.toString()}`);
+    Logger.log(`Error saving company records: ${error.toString()}`);
     throw error;
   }
 }
 
+/**
+ * Finds the table row that holds an existing copy of the record.
+ * Matches on `id` first, then falls back to `doc_id` and `doc_url` so rows saved
+ * under the old random UUIDs are picked up and re-keyed instead of duplicated.
+ *
+ * @param {object} table - The Companies sheet, read with `readSheetTable`.
+ * @param {object} companyRecord - The record being saved.
+ * @returns {number} The 0-based index of the match in `table.rows`, or -1 if none is found.
+ */
+function findExistingRowIndex(table, companyRecord) {
+  const keyColumns = ['id', 'doc_id', 'doc_url'];
+  
+  for (const key of keyColumns) {
+    const columnIndex = table.headers.indexOf(getFieldColumn(key));
+    if (columnIndex === -1 || !companyRecord[key]) {
+      continue;
+    }
+    
+    const matchIndex = table.rows.findIndex(row => row[columnIndex] === companyRecord[key]);
+    if (matchIndex >= 0) {
+      return matchIndex;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Lists the sheet columns needed for a set of records.
+ * @param {object[]} records - The records to save.
+ * @returns {string[]} Column headers for every key of every record, without duplicates.
+ */
+function getRecordColumns(records) {
+  const columns = [];
+  records.forEach(record => Object.keys(record).map(getFieldColumn).forEach(column => {
+    if (columns.indexOf(column) === -1) {
+      columns.push(column);
+    }
+  }));
+  return columns;
+}
+
+/**
+ * Converts a record object to a row array in header order.
+ * Headers are mapped to record fields through the field registry's column names.
+ * @param {string[]} headers - The sheet's header row.
+ * @param {object} record - The record to convert.
+ * @returns {Array} Row values, with null for keys the record does not have.
+ */
+function recordToRow(headers, record) {
+  return headers.map(header => {
+    const value = record[getFieldNameForColumn(header)];
+    return value !== undefined ? value : null;
+  });
+}
+
+/**
+ * Converts a row array to a record object keyed by field name.
+ * @param {string[]} headers - The sheet's header row.
+ * @param {Array} row - Row values in header order.
+ * @returns {object} The record; columns outside the registry are keyed by their header.
+ */
+function rowToRecord(headers, row) {
+  const record = {};
+  headers.forEach((header, i) => {
+    const field = getFieldNameForColumn(header);
+    // Only the first of duplicate columns is read (see flagSchemaProblems)
+    if (header !== '' && !(field in record)) {
+      record[field] = row[i];
+    }
+  });
+  return record;
+}
 
 // === SHEET UTILITY FUNCTIONS ===
 
@@ -110,4 +207,126 @@ function setHeaders(sheet, headers) {
   Logger.log("Set sheet headers and froze first row.");
 }
 
+/**
+ * Appends any record keys missing from the header row as new columns at the end.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {string[]} headers - The current header row.
+ * @param {string[]} keys - The keys that need a column.
+ * @returns {string[]} The updated header row.
+ */
+function appendMissingHeaders(sheet, headers, keys) {
+  const missing = keys.filter(key => headers.indexOf(key) === -1);
+  if (missing.length === 0) {
+    return headers;
+  }
+  
+  sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+  Logger.log(`Added missing sheet columns: ${missing.join(', ')}`);
+  return headers.concat(missing);
+}
+
+// === BULK WRITE HELPERS ===
+
+/**
+ * Reads a sheet's data rows into memory, so changes can be computed without further reads.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {string[]} headers - The sheet's header row.
+ * @param {boolean} [withNotes] - Also read the cell notes (e.g. manual override markers).
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: string[], rows: Array<Array>, original: Array<Array>,
+ *           notes: Array<Array<string>>, changed: number[], appendFrom: number}}
+ *          The table. Rows at `appendFrom` and later are new; `original` holds the rows as read.
+ */
+function readSheetTable(sheet, headers, withNotes) {
+  const lastRow = sheet.getLastRow();
+  const range = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headers.length) : null;
+  const rows = range ? range.getValues() : [];
+  
+  return {
+    sheet: sheet,
+    headers: headers,
+    rows: rows,
+    original: rows.map(row => row.slice()),
+    notes: range && withNotes ? range.getNotes() : [],
+    changed: [],
+    appendFrom: rows.length
+  };
+}
+
+/**
+ * Replaces or appends a row in an in-memory table.
+ * @param {object} table - A table from `readSheetTable`.
+ * @param {number} index - The 0-based row index to replace, or -1 to append.
+ * @param {Array} row - Row values in header order.
+ */
+function setTableRow(table, index, row) {
+  if (index === -1) {
+    table.rows.push(row);
+  } else {
+    table.rows[index] = row;
+    if (index < table.appendFrom && table.changed.indexOf(index) === -1) {
+      table.changed.push(index);
+    }
+  }
+}
 
+/**
+ * Writes a table's changes back to its sheet: one range write for all appended rows, and in each
+ * updated row one per run of adjacent cells whose values changed. Other cells are never
+ * rewritten, so their formulas (including in manual override cells) survive.
+ * @param {object} table - A table from `readSheetTable`.
+ */
+function writeSheetTable(table) {
+  const width = table.headers.length;
+  
+  table.changed.forEach(index => {
+    const row = table.rows[index];
+    let runStart = -1;
+    for (let column = 0; column <= width; column++) {
+      const isChanged = column < width && !isSameCellValue(row[column], table.original[index][column]);
+      if (isChanged && runStart === -1) {
+        runStart = column;
+      } else if (!isChanged && runStart !== -1) {
+        // +2 for 1-based index and header row, +1 for 1-based column
+        table.sheet.getRange(index + 2, runStart + 1, 1, column - runStart).setValues([row.slice(runStart, column)]);
+        runStart = -1;
+      }
+    }
+  });
+  
+  const appended = table.rows.slice(table.appendFrom);
+  if (appended.length > 0) {
+    table.sheet.getRange(table.appendFrom + 2, 1, appended.length, width).setValues(appended);
+  }
+}
+
+/**
+ * Checks whether a new cell value is the one already in the sheet. Blank cells read back as
+ * empty strings, and dates as Date objects.
+ * @param {*} value - The value to write.
+ * @param {*} current - The value read from the sheet.
+ * @returns {boolean} True if writing the value would not change the cell.
+ */
+function isSameCellValue(value, current) {
+  const isBlank = cell => cell === null || cell === undefined || cell === '';
+  if (isBlank(value) || isBlank(current)) {
+    return isBlank(value) && isBlank(current);
+  }
+  if (value instanceof Date || current instanceof Date) {
+    return new Date(value).getTime() === new Date(current).getTime();
+  }
+  return value === current;
+}
+
+/**
+ * Reads all data values (below the header row) from a single column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {number} columnIndex - The 1-based column index.
+ * @returns {Array} The column values, top to bottom.
+ */
+function getColumnValues(sheet, columnIndex) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+  return sheet.getRange(2, columnIndex, lastRow - 1, 1).getValues().flat();
+}
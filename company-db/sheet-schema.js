@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Schema migration for the record sheets (Companies and Snapshots).
+ * Reconciles the sheet's header row with the field registry: missing columns are appended,
+ * columns the registry no longer knows about are flagged, and the registry version the sheet
+ * was last reconciled against is recorded in the sheet's developer metadata.
+ *
+ * Columns are always matched by header name, so users are free to reorder them.
+ */
+
+// === CONFIGURATION ===
+const SCHEMA_VERSION_METADATA_KEY = "company_schema_version";
+// Prefix of the header notes this script writes, so it never touches users' own notes
+const SCHEMA_NOTE_PREFIX = "[schema]";
+
+// === ENTRY POINTS ===
+
+/**
+ * Reconciles the Companies and Snapshots sheets with the field registry, regardless of their recorded version.
+ * Run this after adding, removing or renaming fields in the registry.
+ */
+function migrateCompaniesSheetSchema() {
+  if (!SPREADSHEET_ID) {
+    throw new Error("SPREADSHEET_ID is not set in Script Properties. Please configure the target Google Sheet ID.");
+  }
+
+  [SHEET_NAME, SNAPSHOTS_SHEET_NAME].forEach(sheetName => {
+    reconcileSheetSchema(getOrCreateSheet(SPREADSHEET_ID, sheetName), true);
+  });
+}
+
+/**
+ * Brings a sheet's header row in line with the field registry and returns the headers.
+ * A new sheet gets the registry's headers. An existing sheet is only reconciled when its
+ * recorded schema version differs from `FIELD_REGISTRY_VERSION` (or when forced).
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - A record sheet (Companies or Snapshots).
+ * @param {boolean} [force] - Reconcile even if the recorded version is current.
+ * @returns {string[]} The sheet's header row after reconciliation.
+ */
+function reconcileSheetSchema(sheet, force) {
+  const expected = getRecordHeaders();
+  let headers = getHeaders(sheet);
+
+  if (headers.length === 0) {
+    setHeaders(sheet, expected);
+    writeSchemaVersion(sheet);
+    return expected;
+  }
+
+  const recordedVersion = readSchemaVersion(sheet);
+  if (!force && recordedVersion === String(FIELD_REGISTRY_VERSION)) {
+    return headers;
+  }
+
+  Logger.log(`Reconciling sheet "${sheet.getName()}" schema from version ${recordedVersion || "none"} to ${FIELD_REGISTRY_VERSION}.`);
+  headers = appendMissingHeaders(sheet, headers, expected);
+  flagSchemaProblems(sheet, headers, expected);
+  writeSchemaVersion(sheet);
+
+  return headers;
+}
+
+// === ORPHANED COLUMNS ===
+
+/**
+ * Marks header cells of orphaned columns (not in the registry) and duplicate columns with a note,
+ * and clears notes this script left on columns that are fine again.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {string[]} headers - The sheet's header row.
+ * @param {string[]} expected - The registry's headers.
+ * @returns {string[]} Headers of the orphaned columns.
+ */
+function flagSchemaProblems(sheet, headers, expected) {
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  const notes = headerRange.getNotes()[0];
+  const orphaned = [];
+
+  const updatedNotes = headers.map((header, i) => {
+    const ownNote = notes[i] && notes[i].indexOf(SCHEMA_NOTE_PREFIX) === 0;
+    const userNote = ownNote ? "" : notes[i];
+
+    if (header === "" || userNote) {
+      return notes[i];
+    }
+    if (headers.indexOf(header) !== i) {
+      return `${SCHEMA_NOTE_PREFIX} Duplicate column: only the first "${header}" column is read and written.`;
+    }
+    if (expected.indexOf(header) === -1) {
+      orphaned.push(header);
+      return `${SCHEMA_NOTE_PREFIX} Orphaned column: not in the field registry (schema version ${FIELD_REGISTRY_VERSION}). ` +
+        "The parser no longer writes it; existing values are kept.";
+    }
+    return "";
+  });
+
+  headerRange.setNotes([updatedNotes]);
+
+  if (orphaned.length > 0) {
+    Logger.log(`Orphaned columns on sheet "${sheet.getName()}": ${orphaned.join(", ")}`);
+  }
+  return orphaned;
+}
+
+// === SCHEMA VERSION ===
+
+/**
+ * Reads the schema version recorded on a sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @returns {string|null} The recorded version, or null if none is recorded.
+ */
+function readSchemaVersion(sheet) {
+  const metadata = findSchemaVersionMetadata(sheet);
+  return metadata ? metadata.getValue() : null;
+}
+
+/**
+ * Records the current registry version on a sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ */
+function writeSchemaVersion(sheet) {
+  const metadata = findSchemaVersionMetadata(sheet);
+  if (metadata) {
+    metadata.setValue(String(FIELD_REGISTRY_VERSION));
+  } else {
+    sheet.addDeveloperMetadata(SCHEMA_VERSION_METADATA_KEY, String(FIELD_REGISTRY_VERSION));
+  }
+}
+
+/**
+ * Finds the developer metadata entry holding a sheet's schema version.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @returns {GoogleAppsScript.Spreadsheet.DeveloperMetadata|undefined} The entry, if any.
+ */
+function findSchemaVersionMetadata(sheet) {
+  return sheet.getDeveloperMetadata().find(metadata => metadata.getKey() === SCHEMA_VERSION_METADATA_KEY);
+}
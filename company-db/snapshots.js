@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Point-in-time history of company metrics.
+ * Every parsed doc is also saved to the "Snapshots" sheet, one row per doc (same-dated notes,
+ * decks and models each get their own), so metrics such as ARR, burn and NRR can be followed
+ * across meetings. The Companies sheet keeps one row per company holding the values of its most
+ * recent doc.
+ *
+ * Snapshot rows use the same registry columns as the Companies sheet (see field-registry.js).
+ */
+
+// === CONFIGURATION ===
+const SNAPSHOTS_SHEET_NAME = "Snapshots";
+
+// Note docs are titled "Company Name M/d/yyyy" (see createCompanyNoteDoc in zeroclick)
+const DOC_TITLE_DATE_PATTERN = /(\d{1,2})\/(\d{1,2})\/(\d{4})\s*$/;
+
+// === MAIN SAVE FUNCTION ===
+
+/**
+ * Saves records as snapshots, updating the existing snapshot of the same doc (even when a re-parse
+ * changed the record ID or date) instead of adding a second one.
+ * The sheet is read once and written with as few range writes as possible (see `writeSheetTable`).
+ * @param {object[]} companyRecords - The parsed company records; each must have `as_of_date`.
+ */
+function saveCompanySnapshots(companyRecords) {
+  const sheet = getOrCreateSheet(SPREADSHEET_ID, SNAPSHOTS_SHEET_NAME);
+  let headers = reconcileSheetSchema(sheet);
+  headers = appendMissingHeaders(sheet, headers, getRecordColumns(companyRecords));
+  const table = readSheetTable(sheet, headers);
+
+  companyRecords.forEach(companyRecord => {
+    setTableRow(table, findSnapshotRowIndex(table, companyRecord), recordToRow(headers, companyRecord));
+    Logger.log(`Saved ${companyRecord.as_of_date} snapshot for: ${companyRecord.company_name}`);
+  });
+
+  writeSheetTable(table);
+}
+
+/**
+ * Finds the snapshot row for a record: the same `doc_id`, or else a row saved without a doc ID
+ * (before snapshots recorded one) with the same `id` and `as_of_date`. Another doc's snapshot is
+ * never matched, even when it has the same company and date.
+ * @param {object} table - The Snapshots sheet, read with `readSheetTable`.
+ * @param {object} companyRecord - The record being saved.
+ * @returns {number} The 0-based index of the match in `table.rows`, or -1 if none is found.
+ */
+function findSnapshotRowIndex(table, companyRecord) {
+  const column = name => table.headers.indexOf(getFieldColumn(name));
+  const idColumn = column("id");
+  const dateColumn = column("as_of_date");
+  const docIdColumn = column("doc_id");
+
+  const matchIndex = table.rows.findIndex(row => row[docIdColumn] === companyRecord.doc_id);
+  return matchIndex !== -1 ? matchIndex : table.rows.findIndex(row => !row[docIdColumn] &&
+    row[idColumn] === companyRecord.id && formatSnapshotDate(row[dateColumn]) === companyRecord.as_of_date);
+}
+
+// === HISTORY ===
+
+/**
+ * Reads a company's snapshots, oldest first.
+ * @param {string} recordId - The company record ID.
+ * @returns {object[]} Snapshot records keyed by field name.
+ */
+function getCompanySnapshots(recordId) {
+  const sheet = getOrCreateSheet(SPREADSHEET_ID, SNAPSHOTS_SHEET_NAME);
+  const headers = getHeaders(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+    .map(values => {
+      const snapshot = rowToRecord(headers, values);
+      snapshot.as_of_date = formatSnapshotDate(snapshot.as_of_date);
+      return snapshot;
+    })
+    .filter(snapshot => snapshot.id === recordId)
+    .sort((a, b) => String(a.as_of_date).localeCompare(String(b.as_of_date)));
+}
+
+// === DOC DATES ===
+
+/**
+ * Gets the date a note doc is from: the "M/d/yyyy" date at the end of its title,
+ * or the date the file was created if the title has none.
+ * @param {GoogleAppsScript.Drive.File} file - The note doc.
+ * @returns {string} The date as yyyy-MM-dd.
+ */
+function getDocAsOfDate(file) {
+  const match = file.getName().match(DOC_TITLE_DATE_PATTERN);
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}`;
+  }
+  return formatSnapshotDate(file.getDateCreated());
+}
+
+/**
+ * Formats a snapshot date as yyyy-MM-dd. Sheets turns date strings into Date values,
+ * so dates read back from a sheet are formatted again before they are compared.
+ * @param {Date|string|null} value - A date, or a date string as written.
+ * @returns {string|null} The date as yyyy-MM-dd, or null if there is none.
+ */
+function formatSnapshotDate(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd");
+  }
+  return value ? String(value) : null;
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Reads the text of the source files in a company's folder, so note docs, pitch decks,
+ * Word docs and financial models all feed the same extraction pipeline.
+ *
+ * Google Docs, Slides and Sheets are read directly. PDF, Word, PowerPoint and Excel files are first
+ * converted to a temporary copy in the matching Google format with the Drive advanced service
+ * (PDFs go through OCR), read, and the copy is deleted again. The Drive advanced service (v3)
+ * must be enabled in appsscript.json.
+ */
+
+// === CONFIGURATION ===
+
+// Source files by MIME type: how each is read. Files of any other type are ignored.
+const SOURCE_FILE_READERS = {
+  [MimeType.GOOGLE_DOCS]: { read: readGoogleDocText },
+  [MimeType.GOOGLE_SLIDES]: { read: readGoogleSlidesText },
+  [MimeType.GOOGLE_SHEETS]: { read: readGoogleSheetsText },
+  [MimeType.PDF]: { convertTo: MimeType.GOOGLE_DOCS },
+  [MimeType.MICROSOFT_WORD]: { convertTo: MimeType.GOOGLE_DOCS },
+  [MimeType.MICROSOFT_POWERPOINT]: { convertTo: MimeType.GOOGLE_SLIDES },
+  [MimeType.MICROSOFT_EXCEL]: { convertTo: MimeType.GOOGLE_SHEETS }
+};
+
+// Longer texts (typically large financial models) are cut off here before extraction
+const SOURCE_TEXT_MAX_CHARS = 200000;
+
+// === MAIN ENTRY POINTS ===
+
+/**
+ * Checks whether a file is a type the parser can read.
+ * @param {GoogleAppsScript.Drive.File} file - A file in a company folder.
+ * @returns {boolean} True if `readSourceFileText` can read it.
+ */
+function isSupportedSourceFile(file) {
+  return Boolean(SOURCE_FILE_READERS[file.getMimeType()]);
+}
+
+/**
+ * Reads a source file's text for extraction.
+ * @param {GoogleAppsScript.Drive.File} file - A supported file (see `isSupportedSourceFile`).
+ * @returns {string} The file's text, cut off at `SOURCE_TEXT_MAX_CHARS`.
+ */
+function readSourceFileText(file) {
+  const reader = SOURCE_FILE_READERS[file.getMimeType()];
+  if (!reader) {
+    throw new Error(`Unsupported source file type ${file.getMimeType()}: ${file.getName()}`);
+  }
+
+  const text = reader.convertTo
+    ? readConvertedFileText(file, reader.convertTo)
+    : reader.read(file.getId());
+
+  if (text.length > SOURCE_TEXT_MAX_CHARS) {
+    Logger.log(`---- Text of ${file.getName()} cut off at ${SOURCE_TEXT_MAX_CHARS} of ${text.length} characters.`);
+    return text.slice(0, SOURCE_TEXT_MAX_CHARS);
+  }
+  return text;
+}
+
+/**
+ * Builds the link to a source file in its Google editor or, for uploaded files, the Drive viewer.
+ * @param {string} fileId - Drive file ID.
+ * @param {string} mimeType - The file's MIME type.
+ * @returns {string} The file's URL.
+ */
+function getSourceFileUrl(fileId, mimeType) {
+  switch (mimeType) {
+    case MimeType.GOOGLE_DOCS:
+      return `https://docs.google.com/document/d/${fileId}`;
+    case MimeType.GOOGLE_SLIDES:
+      return `https://docs.google.com/presentation/d/${fileId}`;
+    case MimeType.GOOGLE_SHEETS:
+      return `https://docs.google.com/spreadsheets/d/${fileId}`;
+    default:
+      return `https://drive.google.com/file/d/${fileId}/view`;
+  }
+}
+
+// === CONVERSION ===
+
+/**
+ * Reads an uploaded file through a temporary copy converted to a Google format.
+ * @param {GoogleAppsScript.Drive.File} file - The uploaded file.
+ * @param {string} googleMimeType - The Google format to convert to.
+ * @returns {string} The converted copy's text.
+ */
+function readConvertedFileText(file, googleMimeType) {
+  const copy = Drive.Files.copy(
+    { name: `[parser temp] ${file.getName()}`, mimeType: googleMimeType, parents: ["root"] },
+    file.getId()
+  );
+
+  try {
+    return SOURCE_FILE_READERS[googleMimeType].read(copy.id);
+  } finally {
+    Drive.Files.remove(copy.id);
+  }
+}
+
+// === READERS ===
+
+/**
+ * Reads a Google Doc's body text.
+ * @param {string} fileId - Doc ID.
+ * @returns {string} The text.
+ */
+function readGoogleDocText(fileId) {
+  return DocumentApp.openById(fileId).getBody().getText();
+}
+
+/**
+ * Reads a deck slide by slide: the text of its shapes and tables, then its speaker notes.
+ * @param {string} fileId - Presentation ID.
+ * @returns {string} One "Slide N" section per slide.
+ */
+function readGoogleSlidesText(fileId) {
+  return SlidesApp.openById(fileId).getSlides().map((slide, i) => {
+    const lines = slide.getShapes().map(shape => shape.getText().asString().trim());
+
+    slide.getTables().forEach(table => {
+      for (let row = 0; row < table.getNumRows(); row++) {
+        const cells = [];
+        for (let column = 0; column < table.getNumColumns(); column++) {
+          cells.push(table.getCell(row, column).getText().asString().trim());
+        }
+        lines.push(cells.join("\t"));
+      }
+    });
+
+    const notes = slide.getNotesPage().getSpeakerNotesShape().getText().asString().trim();
+    if (notes) {
+      lines.push(`Speaker notes: ${notes}`);
+    }
+
+    return `Slide ${i + 1}\n${lines.filter(line => line).join("\n")}`;
+  }).join("\n\n");
+}
+
+/**
+ * Reads every sheet of a spreadsheet as tab-separated rows of displayed values, so numbers keep
+ * their formatting ("$1.2M", "85%") and non-empty rows keep their labels.
+ * @param {string} fileId - Spreadsheet ID.
+ * @returns {string} One "Sheet: name" section per sheet.
+ */
+function readGoogleSheetsText(fileId) {
+  return SpreadsheetApp.openById(fileId).getSheets().map(sheet => {
+    const rows = sheet.getDataRange().getDisplayValues()
+      .filter(row => row.some(cell => cell !== ""))
+      .map(row => row.join("\t").replace(/\t+$/, ""));
+    return `Sheet: ${sheet.getName()}\n${rows.join("\n")}`;
+  }).join("\n\n");
+}
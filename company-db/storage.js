@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Storage backends for company records and their snapshot history.
+ * Every backend is an object with the same four methods:
+ * - upsertRecords(records): saves parsed records and their snapshots, merging each into the
+ *   company's stored record (see merge-policy.js); returns {appended, updated, kept} counts
+ * - getRecord(id): the company's stored record, or null
+ * - listRecords(): every stored record
+ * - getHistory(id): the company's snapshots, oldest first
+ *
+ * The backend is chosen with the STORAGE_BACKEND Script Property:
+ * - "sheets" (default): the Companies and Snapshots sheets of SPREADSHEET_ID (see save-to-db.js)
+ * - "drive": companies.json and snapshots.ndjson files in the Drive folder STORAGE_DRIVE_FOLDER_ID
+ * - "http": a REST API at STORAGE_HTTP_URL, with an optional bearer token in STORAGE_HTTP_TOKEN
+ *
+ * Evidence, the processing ledger, the alias table and run reports always stay on the spreadsheet.
+ */
+
+// === CONFIGURATION ===
+const STORAGE_BACKENDS = {
+  sheets: createSheetsStore,
+  drive: createDriveStore,
+  http: createHttpStore
+};
+
+const DRIVE_STORE_RECORDS_FILE = "companies.json";
+const DRIVE_STORE_SNAPSHOTS_FILE = "snapshots.ndjson";
+
+// === BACKEND SELECTION ===
+
+/**
+ * Creates the storage backend selected by the STORAGE_BACKEND Script Property.
+ * @returns {object} The backend (see the file overview for its methods).
+ */
+function getCompanyStore() {
+  const name = PropertiesService.getScriptProperties().getProperty("STORAGE_BACKEND") || "sheets";
+  const createStore = STORAGE_BACKENDS[name];
+  if (!createStore) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+  }
+  return createStore();
+}
+
+// === GOOGLE SHEETS ===
+
+/**
+ * Creates the Google Sheets backend: the Companies and Snapshots sheets.
+ * @returns {object} The backend.
+ */
+function createSheetsStore() {
+  const readCompanies = () => {
+    const sheet = getOrCreateSheet(SPREADSHEET_ID, SHEET_NAME);
+    const headers = getHeaders(sheet);
+    return readSheetTable(sheet, headers).rows.map(row => rowToRecord(headers, row));
+  };
+
+  return {
+    name: "sheets",
+    upsertRecords: records => saveCompanyRecords(records),
+    getRecord: id => readCompanies().find(record => record.id === id) || null,
+    listRecords: () => readCompanies(),
+    getHistory: id => getCompanySnapshots(id)
+  };
+}
+
+// === DRIVE JSON FILES ===
+
+/**
+ * Creates the Drive file backend. Stored records live in one JSON file keyed by record ID,
+ * snapshots in a newline-delimited JSON file with one snapshot per line.
+ * @returns {object} The backend.
+ */
+function createDriveStore() {
+  const folderId = PropertiesService.getScriptProperties().getProperty("STORAGE_DRIVE_FOLDER_ID");
+  if (!folderId) {
+    throw new Error("STORAGE_DRIVE_FOLDER_ID is not set in Script Properties. Please configure the Drive folder for the JSON store.");
+  }
+  const folder = DriveApp.getFolderById(folderId);
+
+  const readRecords = () => JSON.parse(readDriveStoreFile(folder, DRIVE_STORE_RECORDS_FILE) || "{}");
+  const readSnapshots = () => readDriveStoreFile(folder, DRIVE_STORE_SNAPSHOTS_FILE)
+    .split("\n")
+    .filter(line => line.trim() !== "")
+    .map(line => JSON.parse(line));
+
+  return {
+    name: "drive",
+
+    upsertRecords: records => {
+      const stored = readRecords();
+      const snapshots = readSnapshots();
+      const counts = { appended: 0, updated: 0, kept: 0 };
+
+      records.forEach(record => {
+        const update = planRecordUpdate(stored[record.id] || null, record);
+        stored[record.id] = update.record;
+        counts[update.action]++;
+
+        const index = findSnapshotIndex(snapshots, record);
+        if (index === -1) {
+          snapshots.push(record);
+        } else {
+          snapshots[index] = record;
+        }
+      });
+
+      writeDriveStoreFile(folder, DRIVE_STORE_RECORDS_FILE, JSON.stringify(stored, null, 2));
+      writeDriveStoreFile(folder, DRIVE_STORE_SNAPSHOTS_FILE, snapshots.map(snapshot => JSON.stringify(snapshot)).join("\n") + "\n");
+      Logger.log(`Saved ${records.length} record(s) to Drive folder ${folder.getName()}: ${JSON.stringify(counts)}`);
+      return counts;
+    },
+
+    getRecord: id => readRecords()[id] || null,
+    listRecords: () => Object.values(readRecords()),
+    getHistory: id => readSnapshots()
+      .filter(snapshot => snapshot.id === id)
+      .sort((a, b) => String(a.as_of_date).localeCompare(String(b.as_of_date)))
+  };
+}
+
+/**
+ * Finds a record's snapshot: the same `doc_id`, or else one saved without a doc ID with the same
+ * `id` and `as_of_date` (see `findSnapshotRowIndex`).
+ * @param {object[]} snapshots - Stored snapshots.
+ * @param {object} record - The record being saved.
+ * @returns {number} The index of the match, or -1 if none is found.
+ */
+function findSnapshotIndex(snapshots, record) {
+  const index = snapshots.findIndex(snapshot => snapshot.doc_id === record.doc_id);
+  return index !== -1 ? index : snapshots.findIndex(snapshot => !snapshot.doc_id &&
+    snapshot.id === record.id && snapshot.as_of_date === record.as_of_date);
+}
+
+/**
+ * Reads a text file from a Drive folder.
+ * @param {GoogleAppsScript.Drive.Folder} folder - The store folder.
+ * @param {string} fileName - The file name.
+ * @returns {string} The file's content, or "" if the file does not exist yet.
+ */
+function readDriveStoreFile(folder, fileName) {
+  const files = folder.getFilesByName(fileName);
+  return files.hasNext() ? files.next().getBlob().getDataAsString() : "";
+}
+
+/**
+ * Writes a text file in a Drive folder, creating it if needed.
+ * @param {GoogleAppsScript.Drive.Folder} folder - The store folder.
+ * @param {string} fileName - The file name.
+ * @param {string} content - The new content.
+ */
+function writeDriveStoreFile(folder, fileName, content) {
+  const files = folder.getFilesByName(fileName);
+  if (files.hasNext()) {
+    files.next().setContent(content);
+  } else {
+    folder.createFile(fileName, content, fileName.endsWith(".json") ? "application/json" : "application/x-ndjson");
+  }
+}
+
+// === HTTP / REST ===
+
+/**
+ * Creates the HTTP backend for a small REST API in front of a database (e.g. Postgres).
+ * The API is expected to provide:
+ * - GET  {url}/companies                 → array of records
+ * - GET  {url}/companies/{id}            → record, or 404
+ * - PUT  {url}/companies/{id}            ← record (create or replace)
+ * - GET  {url}/companies/{id}/snapshots  → array of snapshots
+ * - PUT  {url}/companies/{id}/snapshots/{as_of_date}/{doc_id} ← snapshot (create or replace)
+ * Merging happens here, so the API only has to store what it is sent.
+ * @returns {object} The backend.
+ */
+function createHttpStore() {
+  const properties = PropertiesService.getScriptProperties();
+  const baseUrl = (properties.getProperty("STORAGE_HTTP_URL") || "").replace(/\/+$/, "");
+  if (!baseUrl) {
+    throw new Error("STORAGE_HTTP_URL is not set in Script Properties. Please configure the storage API's base URL.");
+  }
+  const token = properties.getProperty("STORAGE_HTTP_TOKEN");
+  const request = (method, path, body) => storageHttpRequest(baseUrl + path, token, method, body);
+  const recordPath = id => `/companies/${encodeURIComponent(id)}`;
+
+  return {
+    name: "http",
+
+    upsertRecords: records => {
+      const counts = { appended: 0, updated: 0, kept: 0 };
+
+      records.forEach(record => {
+        const update = planRecordUpdate(request("get", recordPath(record.id)), record);
+        if (update.action !== "kept") {
+          request("put", recordPath(record.id), update.record);
+        }
+        request("put", `${recordPath(record.id)}/snapshots/${encodeURIComponent(record.as_of_date)}/${encodeURIComponent(record.doc_id)}`, record);
+        counts[update.action]++;
+      });
+
+      Logger.log(`Saved ${records.length} record(s) to ${baseUrl}: ${JSON.stringify(counts)}`);
+      return counts;
+    },
+
+    getRecord: id => request("get", recordPath(id)),
+    listRecords: () => request("get", "/companies") || [],
+    getHistory: id => (request("get", `${recordPath(id)}/snapshots`) || [])
+      .sort((a, b) => String(a.as_of_date).localeCompare(String(b.as_of_date)))
+  };
+}
+
+/**
+ * Sends a JSON request to the storage API, retrying network failures and transient statuses
+ * (timeouts, rate limits, server errors) with the same backoff and retry deadline as LLM calls
+ * (see openai-client.js).
+ * @param {string} url - The full URL.
+ * @param {string|null} token - Bearer token, if the API needs one.
+ * @param {string} method - HTTP method.
+ * @param {object} [body] - JSON body.
+ * @returns {*} The parsed response, or null for a 404 or an empty body.
+ */
+function storageHttpRequest(url, token, method, body) {
+  const options = { method: method, contentType: "application/json", muteHttpExceptions: true };
+  if (token) {
+    options.headers = { Authorization: `Bearer ${token}` };
+  }
+  if (body !== undefined) {
+    options.payload = JSON.stringify(body);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let failure;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      failure = `failed: ${e.toString()}`;
+    }
+
+    if (response) {
+      const statusCode = response.getResponseCode();
+      const text = response.getContentText();
+
+      if (statusCode === 404) {
+        return null;
+      }
+      if (statusCode < 300) {
+        return text ? JSON.parse(text) : null;
+      }
+      failure = `failed with status ${statusCode}: ${text}`;
+      if (!isRetryableStatus(statusCode)) {
+        throw new Error(`Storage API ${method.toUpperCase()} ${url} ${failure}`);
+      }
+    }
+
+    const delayMs = getRetryDelayMs(response, attempt);
+    if (attempt >= OPENAI_RETRY_CONFIG.maxAttempts || isPastRetryDeadline(delayMs)) {
+      throw new Error(`Storage API ${method.toUpperCase()} ${url} ${failure} (after ${attempt} attempts)`);
+    }
+    Logger.log(`Storage API ${method.toUpperCase()} ${url} ${failure}; retrying in ${delayMs}ms (attempt ${attempt + 1} of ${OPENAI_RETRY_CONFIG.maxAttempts})...`);
+    Utilities.sleep(delayMs);
+  }
+}
@@ -1,5 +1,7 @@
 /**
  * @fileoverview Simple test script to run company parsing
+ * This parses a real doc with live API calls. For offline tests over the sample notes in
+ * test/fixtures, with recorded API responses, run `node --test test/` from the repository root.
  */
 
 function test() {
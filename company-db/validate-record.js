@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Deterministic post-validation of parsed company records.
+ * Runs after record assembly and checks values against unit ranges (e.g. a gross margin of 85
+ * instead of 0.85) and against each other (e.g. runway vs. cash / monthly burn).
+ * Issues are stored on the record in `validation_warnings`; with the VALIDATION_MODE Script
+ * Property set to "block", records with error-level issues are not saved.
+ */
+
+// === CONFIGURATION ===
+const VALIDATION_SEVERITY = {
+  WARNING: "warning",
+  ERROR: "error"
+};
+
+// Plausible ranges per field; values outside are flagged with the given hint
+const FIELD_RANGES = {
+  gross_margin: { min: -1, max: 1, hint: "expected a decimal, e.g. 0.85 for 85%" },
+  saas_recurring_percent: { min: 0, max: 1, hint: "expected a decimal, e.g. 0.9 for 90%" },
+  logo_churn_annual: { min: 0, max: 1, hint: "expected a decimal, e.g. 0.1 for 10%" },
+  nrr: { min: 0, max: 3, hint: "expected a decimal, e.g. 1.15 for 115%" },
+  runway: { min: 0, max: 240, hint: "expected months" },
+  payback_period: { min: 0, max: 120, hint: "expected months" },
+  ltv_to_cac: { min: 0, max: 100, hint: "expected a ratio, e.g. 3.5" },
+  team_size: { min: 1, max: 100000, hint: "expected a headcount" },
+  year_founded: { min: 1900, max: null, hint: "expected a four-digit year" }
+};
+
+// Dollar amounts and counts that can never be negative
+const NON_NEGATIVE_FIELDS = [
+  "arr_run_rate", "carr", "revenue_2024", "revenue_2023", "revenue_2022", "monthly_burn", "cash",
+  "raising", "raised", "last_round_valuation", "acv", "acv_2", "customer_count", "customer_count_2", "cac"
+];
+
+// How far a value may be from the value implied by other fields before it is flagged
+const RUNWAY_TOLERANCE = 0.5;      // ±50% of cash / monthly_burn
+const ARR_TO_ACV_MAX_RATIO = 3;    // ARR within 1/3x-3x of ACV × customers
+
+// === MAIN ENTRY POINT ===
+
+/**
+ * Validates a company record with range and cross-field checks.
+ * @param {object} record - Assembled company record.
+ * @returns {Array<{severity: string, field: string, message: string}>} Issues found, empty if none.
+ */
+function validateCompanyRecord(record) {
+  const issues = [];
+  const add = (severity, field, message) => issues.push({ severity, field, message });
+
+  checkFieldRanges(record, add);
+  checkCrossFieldConsistency(record, add);
+
+  if (issues.length > 0) {
+    Logger.log(`Validation found ${issues.length} issue(s) for ${record.company_name}: ${formatValidationIssues(issues)}`);
+  }
+  return issues;
+}
+
+/**
+ * Checks whether validation issues should stop a record from being saved.
+ * @param {object[]} issues - Issues from `validateCompanyRecord`.
+ * @returns {boolean} True if VALIDATION_MODE is "block" and any issue is an error.
+ */
+function shouldBlockSave(issues) {
+  const mode = PropertiesService.getScriptProperties().getProperty("VALIDATION_MODE") || "warn";
+  return mode === "block" && issues.some(issue => issue.severity === VALIDATION_SEVERITY.ERROR);
+}
+
+/**
+ * Formats issues for the `validation_warnings` column and logs.
+ * @param {object[]} issues - Issues from `validateCompanyRecord`.
+ * @returns {string|null} One "[severity] field: message" line per issue, or null if there are none.
+ */
+function formatValidationIssues(issues) {
+  if (issues.length === 0) {
+    return null;
+  }
+  return issues.map(issue => `[${issue.severity}] ${issue.field}: ${issue.message}`).join("\n");
+}
+
+// === RANGE RULES ===
+
+/**
+ * Flags values outside their field's plausible range, and negative dollar amounts or counts.
+ * @param {object} record - Company record.
+ * @param {Function} add - Issue collector (severity, field, message).
+ */
+function checkFieldRanges(record, add) {
+  const currentYear = new Date().getFullYear();
+
+  Object.keys(FIELD_RANGES).forEach(field => {
+    const value = record[field];
+    if (typeof value !== "number") {
+      return;
+    }
+
+    const range = FIELD_RANGES[field];
+    const max = field === "year_founded" ? currentYear : range.max;
+    if ((range.min !== null && value < range.min) || (max !== null && value > max)) {
+      add(VALIDATION_SEVERITY.ERROR, field, `${value} is outside ${range.min} to ${max} (${range.hint})`);
+    }
+  });
+
+  NON_NEGATIVE_FIELDS.forEach(field => {
+    if (typeof record[field] === "number" && record[field] < 0) {
+      add(VALIDATION_SEVERITY.ERROR, field, `${record[field]} is negative`);
+    }
+  });
+}
+
+// === CROSS-FIELD RULES ===
+
+/**
+ * Flags fields that disagree with values implied by other fields.
+ * @param {object} record - Company record.
+ * @param {Function} add - Issue collector (severity, field, message).
+ */
+function checkCrossFieldConsistency(record, add) {
+  const isNumber = value => typeof value === "number";
+
+  // Runway should roughly equal cash / monthly burn
+  if (isNumber(record.runway) && isNumber(record.cash) && isNumber(record.monthly_burn) && record.monthly_burn > 0) {
+    const impliedRunway = record.cash / record.monthly_burn;
+    if (Math.abs(record.runway - impliedRunway) > impliedRunway * RUNWAY_TOLERANCE) {
+      add(VALIDATION_SEVERITY.WARNING, "runway",
+        `${record.runway} months is inconsistent with cash / monthly_burn = ${impliedRunway.toFixed(1)} months`);
+    }
+  }
+
+  // The secondary ACV segment is by definition the smaller one
+  if (isNumber(record.acv) && isNumber(record.acv_2) && record.acv_2 > record.acv) {
+    add(VALIDATION_SEVERITY.WARNING, "acv_2", `${record.acv_2} is larger than the primary acv ${record.acv}`);
+  }
+
+  // ARR should be in the neighborhood of ACV × customers, per segment
+  if (isNumber(record.arr_run_rate) && record.arr_run_rate > 0 && isNumber(record.acv) && isNumber(record.customer_count)) {
+    let impliedArr = record.acv * record.customer_count;
+    if (isNumber(record.acv_2) && isNumber(record.customer_count_2)) {
+      impliedArr += record.acv_2 * record.customer_count_2;
+    }
+
+    const ratio = record.arr_run_rate / impliedArr;
+    if (impliedArr > 0 && (ratio > ARR_TO_ACV_MAX_RATIO || ratio < 1 / ARR_TO_ACV_MAX_RATIO)) {
+      add(VALIDATION_SEVERITY.WARNING, "arr_run_rate",
+        `${record.arr_run_rate} is ${ratio.toFixed(1)}x ACV × customers (${impliedArr})`);
+    }
+  }
+
+  // Contracted ARR includes the run rate, so it should not be lower
+  if (isNumber(record.carr) && isNumber(record.arr_run_rate) && record.carr < record.arr_run_rate) {
+    add(VALIDATION_SEVERITY.WARNING, "carr", `${record.carr} is lower than arr_run_rate ${record.arr_run_rate}`);
+  }
+
+  // A post-money valuation below the total capital raised almost always means a misread number
+  if (isNumber(record.last_round_valuation) && isNumber(record.raised) && record.raised > record.last_round_valuation) {
+    add(VALIDATION_SEVERITY.WARNING, "last_round_valuation",
+      `${record.last_round_valuation} is lower than total raised ${record.raised}`);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Offline end-to-end tests of company-db over the fixture corpus: every project file
+ * is loaded against in-memory Apps Script services, and LLM calls are replayed from recordings.
+ * Run with `node --test test/`; refresh the recordings with RECORD_LLM=1 (see harness/replay-fetch.js).
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScriptProject } = require("./load-apps-script");
+const { createAppsScriptServices } = require("./harness/apps-script-services");
+const { loadRecording } = require("./harness/replay-fetch");
+const { loadCorpus, loadCorpusRecording, addCorpusToDrive, diffRecord } = require("./harness/corpus");
+
+const SPREADSHEET_ID = "spreadsheet-test";
+const MASTER_FOLDER_ID = "folder-master";
+
+function loadCompanyDb(recording, properties) {
+  const services = createAppsScriptServices({
+    recording,
+    properties: Object.assign({ SPREADSHEET_ID, MASTER_FOLDER_ID, EXTRACTION_MODE: "combined" }, properties)
+  });
+  return { services, project: loadAppsScriptProject("company-db", services.globals) };
+}
+
+loadCorpus().forEach(doc => {
+  test(`parses ${doc.title} into its expected record`, () => {
+    const recording = loadRecording(doc.name);
+    const { services, project } = loadCompanyDb(recording);
+    const { docIds } = addCorpusToDrive(services.drive, [doc], MASTER_FOLDER_ID);
+
+    const parsed = project.parseCompanyWithEvidence(docIds[doc.name]);
+    services.http.save();
+
+    assert.deepEqual(diffRecord(parsed.record, doc.expected), []);
+    assert.equal(parsed.record.doc_id, docIds[doc.name]);
+    // Every evidence quote is copied from the note
+    parsed.evidence.forEach(entry => assert.ok(doc.text.includes(entry.quote), `quote not in note: ${entry.quote}`));
+  });
+});
+
+test("a batch run saves one Companies row per company and one snapshot per doc", () => {
+  // The corpus lists docs folder by folder, the order a batch run parses them in
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(loadCorpusRecording(docs));
+  addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+
+  project.processAllCompaniesInMasterFolder();
+  services.http.save();
+
+  const companies = services.spreadsheets.readRecords(SPREADSHEET_ID, "Companies");
+  assert.deepEqual(companies.map(row => row.company_name).sort(), ["Acme Robotics", "Birch Health"]);
+
+  // The September doc's values win, and the fields it leaves empty keep March's values
+  const acme = companies.find(row => row.company_name === "Acme Robotics");
+  assert.equal(acme.as_of_date, "2025-09-02");
+  assert.equal(acme.arr_run_rate, 5100000);
+  assert.equal(acme.team_size, 42);
+  assert.equal(acme.good, "[2025-03-14 doc:doc-acme-robotics-2025-03-14] Strong logo retention with enterprise 3PLs; payback under a year.\n\n" +
+    "[2025-09-02 doc:doc-acme-robotics-2025-09-02] Signed both national 3PL pilots to full contracts.");
+
+  const snapshots = services.spreadsheets.readRecords(SPREADSHEET_ID, "Snapshots");
+  assert.deepEqual(snapshots.map(row => `${row.id} ${row.as_of_date}`).sort(), [
+    "domain:acmerobotics.io 2025-03-14", "domain:acmerobotics.io 2025-09-02", "domain:birchhealth.com 2025-05-06"
+  ]);
+
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].status, "complete");
+  assert.equal(runs[0].processed, 3);
+  assert.equal(runs[0].requests, 3);
+  assert.ok(services.spreadsheets.readRecords(SPREADSHEET_ID, "Evidence").length > 0);
+});
+
+test("a second batch run skips unchanged docs without calling the API", () => {
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(loadCorpusRecording(docs));
+  addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+
+  project.processAllCompaniesInMasterFolder();
+  const requestCount = services.http.requests.length;
+  project.processAllCompaniesInMasterFolder();
+
+  assert.equal(services.http.requests.length, requestCount);
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.equal(runs.length, 2);
+  assert.equal(runs[1].skipped, 3);
+});
+
+test("retrying failed docs reports a deleted doc as failed and finishes the other retries", () => {
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(null, { LLM_TASK_CONFIG: JSON.stringify({ "*": { provider: "mock" } }) });
+  project.setMockLLMResponse("extraction", () => { throw new Error("Service unavailable"); });
+  const { docIds } = addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+
+  project.processAllCompaniesInMasterFolder();
+  delete services.drive.items[docIds[docs[0].name]];
+  project.retryFailedDocumentsFromLastRun();
+
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.deepEqual(runs.map(run => `${run.run_type} ${run.status}`), ["batch complete", "retry complete"]);
+  const retried = services.spreadsheets.readRecords(SPREADSHEET_ID, "Run Details").filter(row => row.run_id === runs[1].run_id);
+  assert.deepEqual(retried.map(row => `${row.doc_name} ${row.outcome} ${row.stage}`), docs.map((doc, i) =>
+    `${doc.title} error ${i === 0 ? "read" : "parse"}`));
+});
+
+test("a failed slice schedules its own resume until it has failed too often", () => {
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(loadCorpusRecording(docs));
+  const resumeTriggers = () => services.triggers.filter(trigger => trigger.handler === "resumeProcessAllCompaniesInMasterFolder");
+
+  // The master folder does not exist yet, so every slice fails
+  assert.throws(() => project.processAllCompaniesInMasterFolder(), /No folder/);
+  assert.equal(resumeTriggers().length, 1);
+  [2, 3].forEach(() => assert.throws(() => project.resumeProcessAllCompaniesInMasterFolder(), /No folder/));
+  assert.equal(resumeTriggers().length, 0);
+  assert.equal(JSON.parse(services.properties.BATCH_RUN_STATE).failedSlices, 3);
+
+  // Once the cause is fixed, a manual resume finishes the run
+  addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+  project.resumeProcessAllCompaniesInMasterFolder();
+
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.deepEqual(runs.map(run => `${run.status} ${run.processed}`), ["complete 3"]);
+  assert.equal(services.properties.BATCH_RUN_STATE, undefined);
+});
+
+test("a run resumed after a failed slice keeps that slice's totals and does not re-report its docs", () => {
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(loadCorpusRecording([docs[0], docs[2]]));
+  const { docIds } = addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+
+  // Reading the second doc's modified time fails once, which ends the first slice
+  const failing = services.drive.items[docIds[docs[1].name]];
+  const updated = failing.updated;
+  Object.defineProperty(failing, "updated", { get: () => { delete failing.updated; failing.updated = updated; throw new Error("Drive unavailable"); }, configurable: true });
+  assert.throws(() => project.processAllCompaniesInMasterFolder(), /Drive unavailable/);
+  project.resumeProcessAllCompaniesInMasterFolder();
+
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.deepEqual(runs.map(run => `${run.status} ${run.processed} ${run.skipped}`), ["complete 2 0"]);
+  assert.equal(runs[0].requests, 2);
+  const details = services.spreadsheets.readRecords(SPREADSHEET_ID, "Run Details");
+  assert.deepEqual(details.map(row => `${row.doc_name} ${row.outcome}`), [docs[0], docs[2]].map(doc => `${doc.title} processed`));
+});
+
+test("a batch run writes aliases and evidence in bulk, and an update rewrites only the cells that changed", () => {
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(loadCorpusRecording(docs));
+  addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+  const spreadsheet = services.globals.SpreadsheetApp.openById(SPREADSHEET_ID);
+  const writes = [];
+  // Record every data row range written to these sheets
+  ["Companies", "Company Aliases", "Evidence"].forEach(sheetName => {
+    const sheet = spreadsheet.insertSheet(sheetName);
+    const getRange = sheet.getRange;
+    sheet.appendRow = () => assert.fail(`appendRow on ${sheetName}`);
+    sheet.getRange = (row, column, numRows, numColumns) => Object.assign({}, getRange(row, column, numRows, numColumns), {
+      setValues: rows => {
+        if (row > 1) {
+          writes.push(`${sheetName} ${rows.length}x${rows[0].length}`);
+        }
+        return getRange(row, column, numRows, numColumns).setValues(rows);
+      }
+    });
+  });
+
+  project.processAllCompaniesInMasterFolder();
+  const companies = services.spreadsheets.readRecords(SPREADSHEET_ID, "Companies");
+  // One write for each sheet's new rows, whatever their number
+  assert.deepEqual(writes.filter(write => !write.startsWith("Companies")).map(write => write.replace(/ \d+x\d+$/, "")).sort(),
+    ["Company Aliases", "Evidence"]);
+
+  writes.length = 0;
+  const acme = companies.find(row => row.company_name === "Acme Robotics");
+  project.saveCompanyRecords([Object.assign({}, acme, { team_size: 45 })]);
+  // The new team size and the row's update time, each in its own one-cell write
+  assert.deepEqual(writes, ["Companies 1x1", "Companies 1x1"]);
+  assert.equal(services.spreadsheets.readRecords(SPREADSHEET_ID, "Companies").find(row => row.id === acme.id).team_size, 45);
+});
+
+test("a failed evidence save is logged without failing the documents whose records were saved", () => {
+  const docs = loadCorpus();
+  const { services, project } = loadCompanyDb(loadCorpusRecording(docs));
+  addCorpusToDrive(services.drive, docs, MASTER_FOLDER_ID);
+  const evidence = services.globals.SpreadsheetApp.openById(SPREADSHEET_ID).insertSheet("Evidence");
+  const getRange = evidence.getRange;
+  evidence.getRange = (row, ...rest) => row > 1
+    ? Object.assign({}, getRange(row, ...rest), { setValues: () => { throw new Error("Evidence sheet is protected"); } })
+    : getRange(row, ...rest);
+
+  project.processAllCompaniesInMasterFolder();
+
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.deepEqual(runs.map(run => `${run.status} ${run.processed} ${run.errors}`), ["complete 3 0"]);
+  assert.equal(services.spreadsheets.readRecords(SPREADSHEET_ID, "Companies").length, 2);
+  assert.equal(services.spreadsheets.readRecords(SPREADSHEET_ID, "Evidence").length, 0);
+  assert.deepEqual(services.spreadsheets.readRecords(SPREADSHEET_ID, "Processing Ledger").map(entry => entry.last_status),
+    ["success", "success", "success"]);
+});
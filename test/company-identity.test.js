@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Unit tests for company-db/company-identity.js. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript } = require("./load-apps-script");
+
+const lib = loadAppsScript(["company-db/company-identity.js"]);
+
+// An in-memory alias table; `resolveCompanyId` only adds rows to it without writing to the sheet
+function createAliasTable() {
+  return { sheet: null, rows: [], pending: [] };
+}
+
+function resolve(aliasTable, docId, name, domain, folderName) {
+  const record = { id: domain ? `domain:${domain}` : `doc:${docId}`, doc_id: docId, company_name: name, company_domain: domain };
+  return lib.resolveCompanyId(aliasTable, record, folderName);
+}
+
+test("normalizeCompanyName drops legal suffixes, TLDs and punctuation", () => {
+  assert.equal(lib.normalizeCompanyName("Acme"), "acme");
+  assert.equal(lib.normalizeCompanyName("Acme, Inc."), "acme");
+  assert.equal(lib.normalizeCompanyName("acme.ai"), "acme");
+  assert.equal(lib.normalizeCompanyName("The Acme Company"), "acme");
+  assert.equal(lib.normalizeCompanyName("Acme Robotics LLC"), "acme robotics");
+  assert.equal(lib.normalizeCompanyName(null), "");
+});
+
+test("companyNameSimilarity scores close spellings high and different names low", () => {
+  assert.equal(lib.companyNameSimilarity("acme", "acme"), 1);
+  assert.ok(lib.companyNameSimilarity("acme robotics", "acme robotic") > 0.9);
+  assert.ok(lib.companyNameSimilarity("acme", "apex") < 0.5);
+});
+
+test("resolveCompanyId merges exact name, folder and domain matches as confirmed", () => {
+  const aliasTable = createAliasTable();
+  const first = resolve(aliasTable, "doc-a", "Acme", null, "Acme");
+  assert.equal(first.companyId, "doc:doc-a");
+  assert.equal(first.method, "new");
+
+  const byFolder = resolve(aliasTable, "doc-b", "Acme Inc.", "acme.ai", "Acme");
+  assert.equal(byFolder.companyId, "doc:doc-a");
+  assert.equal(byFolder.status, "confirmed");
+
+  const byDomain = resolve(aliasTable, "doc-c", "Totally Renamed", "acme.ai", "Renamed");
+  assert.equal(byDomain.companyId, "doc:doc-a");
+  assert.equal(byDomain.method, "domain");
+});
+
+test("resolveCompanyId leaves fuzzy and conflicting-domain merges pending", () => {
+  const aliasTable = createAliasTable();
+  resolve(aliasTable, "doc-a", "Acme Robotics", "acmerobotics.com", "Acme Robotics");
+
+  const fuzzy = resolve(aliasTable, "doc-b", "Acme Robotic", null, "Notes");
+  assert.equal(fuzzy.companyId, "domain:acmerobotics.com");
+  assert.equal(fuzzy.status, "pending");
+
+  const otherDomain = resolve(aliasTable, "doc-c", "Acme Robotics", "acme-robotics.io", "Other");
+  assert.equal(otherDomain.status, "pending");
+  assert.match(otherDomain.method, /domain differs/);
+});
+
+test("resolveCompanyId does not merge a doc back into a company it was split from", () => {
+  const aliasTable = createAliasTable();
+  resolve(aliasTable, "doc-a", "Acme Robotics", null, "Acme Robotics");
+  resolve(aliasTable, "doc-b", "Acme Robotic", null, "Notes");
+  aliasTable.rows.filter(row => row.source_doc_id === "doc-b").forEach(row => row.status = "split");
+
+  const resolved = resolve(aliasTable, "doc-b", "Acme Robotic", null, "Notes");
+  assert.equal(resolved.companyId, "doc:doc-b");
+  assert.equal(resolved.method, "new");
+});
+
+test("resolveCompanyId starts a new company when nothing matches", () => {
+  const aliasTable = createAliasTable();
+  resolve(aliasTable, "doc-a", "Acme", "acme.ai", "Acme");
+  const other = resolve(aliasTable, "doc-b", "Globex", "globex.com", "Globex");
+  assert.equal(other.companyId, "domain:globex.com");
+});
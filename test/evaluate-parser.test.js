@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Tests for company-db/evaluate-parser.js: scoring, precision/recall and run-to-run
+ * diffs, plus an offline evaluation over the fixture corpus. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript, loadAppsScriptProject } = require("./load-apps-script");
+const { createAppsScriptServices } = require("./harness/apps-script-services");
+const { loadCorpus, loadCorpusRecording, addCorpusToDrive } = require("./harness/corpus");
+
+const SPREADSHEET_ID = "spreadsheet-test";
+const LABELED_FIELDS = [
+  "company_name", "arr_run_rate", "monthly_burn", "cash", "runway", "last_round_valuation", "logo_churn_annual", "acv", "customer_count"
+];
+
+const scoring = loadAppsScript(
+  ["company-db/field-registry.js", "company-db/compare-extraction-modes.js", "company-db/evaluate-parser.js"],
+  { PropertiesService: { getScriptProperties: () => ({ getProperty: () => null }) } }
+);
+
+test("scores labeled fields as correct, wrong, missed or spurious", () => {
+  const labels = { arr_run_rate: 1000000, cash: 500000, runway: null, nrr: 1.1, location: "Austin, TX" };
+  const record = { arr_run_rate: 1005000, cash: null, runway: 12, nrr: 1.3, location: "austin,  tx" };
+
+  const outcomes = {};
+  scoring.scoreGoldenRecord(labels, record, 0.01).forEach(score => outcomes[score.field] = score.outcome);
+
+  assert.deepEqual(outcomes, {
+    arr_run_rate: "correct", cash: "missed", runway: "spurious", nrr: "wrong", location: "correct"
+  });
+  assert.equal(scoring.scoreGoldenRecord({ arr_run_rate: 1000000 }, { arr_run_rate: 1005000 }, 0.001)[0].outcome, "wrong");
+});
+
+test("computes per-field precision and recall with changes since the previous run", () => {
+  const details = [
+    { field: "cash", outcome: "correct" },
+    { field: "cash", outcome: "wrong" },
+    { field: "cash", outcome: "missed" },
+    { field: "cash", outcome: "correct_empty" },
+    { field: "arr_run_rate", outcome: "spurious" },
+    { field: "arr_run_rate", outcome: "correct" }
+  ];
+
+  const metrics = scoring.summarizeFieldMetrics(details, { cash: { precision: 0.25, recall: null } });
+
+  // Registry order: arr_run_rate comes before cash
+  assert.deepEqual([...metrics.map(m => m.field)], ["arr_run_rate", "cash"]);
+  const cash = metrics[1];
+  assert.equal(cash.docs, 4);
+  assert.equal(cash.precision, 0.5);
+  assert.equal(cash.recall, 1 / 3);
+  assert.equal(cash.precisionChange, 0.25);
+  assert.equal(cash.recallChange, null);
+  assert.equal(metrics[0].precision, 0.5);
+  assert.equal(metrics[0].recall, 1);
+});
+
+test("diffs doc fields that became wrong or right since the previous run", () => {
+  const previous = [
+    { docId: "a", field: "cash", actual: 100, outcome: "correct" },
+    { docId: "a", field: "runway", actual: null, outcome: "missed" },
+    { docId: "b", field: "cash", actual: 7, outcome: "wrong" }
+  ];
+  const current = [
+    { docId: "a", field: "cash", actual: 90, outcome: "wrong" },
+    { docId: "a", field: "runway", actual: 12, outcome: "correct" },
+    { docId: "b", field: "cash", actual: 8, outcome: "wrong" },
+    { docId: "c", field: "cash", actual: null, outcome: "missed" }
+  ];
+
+  const changes = scoring.diffEvaluationDetails(current, previous);
+
+  assert.deepEqual([...changes.regressions.map(c => `${c.docId} ${c.field} ${c.previousActual}->${c.actual}`)], ["a cash 100->90"]);
+  assert.deepEqual([...changes.fixes.map(c => `${c.docId} ${c.field}`)], ["a runway"]);
+});
+
+test("evaluates the fixture corpus and reports a regression on the next run", () => {
+  const docs = loadCorpus();
+  const first = loadCorpusRecording(docs);
+  // The second run's ARR for the first doc is misread by 10x
+  const second = JSON.parse(JSON.stringify(first));
+  const content = second.interactions[0].response.body.output[0].content[0];
+  const output = JSON.parse(content.text);
+  output.arr_run_rate.raw = "$36M";
+  content.text = JSON.stringify(output);
+
+  const services = createAppsScriptServices({
+    recording: { name: "evaluation", interactions: first.interactions.concat(second.interactions) },
+    properties: { SPREADSHEET_ID, EXTRACTION_MODE: "combined" }
+  });
+  const project = loadAppsScriptProject("company-db", services.globals);
+  const { docIds } = addCorpusToDrive(services.drive, docs, "folder-master");
+
+  const golden = services.globals.SpreadsheetApp.openById(SPREADSHEET_ID).insertSheet("Golden Set");
+  const rows = [["doc_id", "doc_name"].concat(LABELED_FIELDS)].concat(docs.map(doc =>
+    [docIds[doc.name], doc.title].concat(LABELED_FIELDS.map(field => doc.expected[field] === undefined ? null : doc.expected[field]))));
+  golden.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+
+  project.evaluateParserOnGoldenSet();
+  const result = project.evaluateParser(project.loadGoldenSet());
+
+  const arr = result.metrics.find(m => m.field === "arr_run_rate");
+  assert.equal(arr.docs, 3);
+  assert.equal(arr.precision, 2 / 3);
+  assert.equal(arr.previousPrecision, 1);
+  assert.ok(Math.abs(arr.recallChange + 1 / 3) < 1e-9);
+  assert.deepEqual([...result.regressions.map(c => `${c.docName} ${c.field}`)], ["Acme Robotics 3/14/2025 arr_run_rate"]);
+  assert.equal(result.fixes.length, 0);
+
+  const evaluation = services.spreadsheets.readRecords(SPREADSHEET_ID, "Evaluation");
+  assert.equal(evaluation.length, LABELED_FIELDS.length * 2);
+  assert.ok(evaluation.slice(0, LABELED_FIELDS.length).every(row => row.precision === 1 || row.precision === ""));
+  assert.equal(services.spreadsheets.readRecords(SPREADSHEET_ID, "Evaluation Details").length, LABELED_FIELDS.length * docs.length * 2);
+});
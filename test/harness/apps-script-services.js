@@ -0,0 +1,656 @@
+/**
+ * @fileoverview In-memory shims of the Apps Script services the projects use, so whole workflows
+ * (batch parses, calendar scans, doc creation) run offline in Node. Each shim keeps only the state
+ * and methods the project code calls; the returned `services` object exposes that state for setup
+ * and assertions.
+ *
+ * HTTP requests are answered by a recording (see replay-fetch.js), never by the network unless
+ * a recording is being refreshed.
+ */
+
+const crypto = require("crypto");
+const { createReplayFetch } = require("./replay-fetch");
+
+const MIME_TYPES = {
+  FOLDER: "application/vnd.google-apps.folder",
+  GOOGLE_DOCS: "application/vnd.google-apps.document",
+  GOOGLE_SHEETS: "application/vnd.google-apps.spreadsheet",
+  GOOGLE_SLIDES: "application/vnd.google-apps.presentation",
+  PDF: "application/pdf",
+  PLAIN_TEXT: "text/plain",
+  MICROSOFT_WORD: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  MICROSOFT_POWERPOINT: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  MICROSOFT_EXCEL: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+const DEFAULT_TIME_ZONE = "America/Los_Angeles";
+
+/**
+ * Create a fresh set of service shims.
+ * @param {object} [options] - Setup options.
+ * @param {object} [options.properties] - Script Properties; the API keys default to placeholders.
+ * @param {object} [options.recording] - Recorded HTTP interactions (see `loadRecording`).
+ * @param {string} [options.timeZone] - Script time zone.
+ * @returns {{globals: object, properties: object, drive: object, spreadsheets: object,
+ *           calendar: object, triggers: object[], http: object}} Globals to load the project with,
+ *          and the shims' state.
+ */
+function createAppsScriptServices(options) {
+  options = options || {};
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  // Recording against the live APIs (see replay-fetch.js) needs real keys
+  const properties = Object.assign({
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY || "sk-offline",
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || "sk-ant-offline"
+  }, options.properties);
+  const drive = createDrive();
+  const spreadsheets = createSpreadsheets();
+  const calendar = createCalendar();
+  const triggers = [];
+  const http = createReplayFetch(options.recording);
+
+  const globals = {
+    // Share Node's Date so dates made by the shims pass `instanceof Date` in the project code
+    Date: Date,
+    Logger: { log: () => {} },
+    MimeType: MIME_TYPES,
+    PropertiesService: createPropertiesService(properties),
+    DriveApp: drive.DriveApp,
+    Drive: createDriveAdvancedService(drive, spreadsheets),
+    DocumentApp: createDocumentApp(drive),
+    SlidesApp: createSlidesApp(drive),
+    SpreadsheetApp: spreadsheets.SpreadsheetApp,
+    CalendarApp: calendar.CalendarApp,
+    UrlFetchApp: http.UrlFetchApp,
+    Utilities: createUtilities(timeZone),
+    Session: { getScriptTimeZone: () => timeZone },
+    LockService: { getScriptLock: () => ({ tryLock: () => true, waitLock: () => {}, releaseLock: () => {} }) },
+    ScriptApp: createScriptApp(triggers)
+  };
+
+  return { globals, properties, drive, spreadsheets, calendar, triggers, http };
+}
+
+// === PROPERTIES ===
+
+function createPropertiesService(values) {
+  const store = {
+    getProperty: key => key in values ? values[key] : null,
+    setProperty: (key, value) => { values[key] = String(value); return store; },
+    deleteProperty: key => { delete values[key]; return store; },
+    getProperties: () => Object.assign({}, values)
+  };
+  return { getScriptProperties: () => store };
+}
+
+// === DRIVE AND DOCS ===
+
+/**
+ * A Drive holding folders and files by ID. Google Docs keep their text as paragraphs;
+ * other files keep their content as a string.
+ */
+function createDrive() {
+  const items = {};
+  let nextId = 1;
+
+  const addItem = (item) => {
+    const id = item.id || `${item.mimeType === MIME_TYPES.FOLDER ? "folder" : "file"}-${nextId++}`;
+    const now = new Date();
+    items[id] = Object.assign({ parentId: null, created: now, updated: now }, item, { id });
+    return id;
+  };
+
+  const children = (parentId, filter) => Object.values(items)
+    .filter(item => item.parentId === parentId && filter(item))
+    .map(item => item.id);
+
+  const iterator = (ids, wrap) => {
+    let position = 0;
+    return {
+      hasNext: () => position < ids.length,
+      next: () => {
+        if (position >= ids.length) {
+          throw new Error("Iterator has no more items.");
+        }
+        return wrap(ids[position++]);
+      },
+      getContinuationToken: () => Buffer.from(JSON.stringify(ids.slice(position))).toString("base64")
+    };
+  };
+  const fromToken = (token, wrap) => iterator(JSON.parse(Buffer.from(token, "base64").toString()), wrap);
+
+  const folder = id => {
+    if (!items[id] || items[id].mimeType !== MIME_TYPES.FOLDER) {
+      throw new Error(`No folder with ID ${id}`);
+    }
+    return {
+      getId: () => id,
+      getName: () => items[id].name,
+      getUrl: () => `https://drive.google.com/drive/folders/${id}`,
+      getFolders: () => iterator(children(id, item => item.mimeType === MIME_TYPES.FOLDER), folder),
+      getFoldersByName: name => iterator(children(id, item => item.mimeType === MIME_TYPES.FOLDER && item.name === name), folder),
+      getFiles: () => iterator(children(id, item => item.mimeType !== MIME_TYPES.FOLDER), file),
+      getFilesByType: mimeType => iterator(children(id, item => item.mimeType === mimeType), file),
+      getFilesByName: name => iterator(children(id, item => item.mimeType !== MIME_TYPES.FOLDER && item.name === name), file),
+      createFolder: name => folder(addItem({ name, mimeType: MIME_TYPES.FOLDER, parentId: id })),
+      createFile: (name, content, mimeType) => file(addItem({ name, content: String(content), mimeType: mimeType || MIME_TYPES.PLAIN_TEXT, parentId: id }))
+    };
+  };
+
+  const file = id => {
+    if (!items[id] || items[id].mimeType === MIME_TYPES.FOLDER) {
+      throw new Error(`No file with ID ${id}`);
+    }
+    const item = items[id];
+    return {
+      getId: () => id,
+      getName: () => item.name,
+      setName: name => { item.name = name; },
+      getMimeType: () => item.mimeType,
+      getDateCreated: () => item.created,
+      getLastUpdated: () => item.updated,
+      getUrl: () => item.mimeType === MIME_TYPES.GOOGLE_DOCS
+        ? `https://docs.google.com/document/d/${id}/edit`
+        : `https://drive.google.com/file/d/${id}/view`,
+      getParents: () => iterator(item.parentId ? [item.parentId] : [], folder),
+      getBlob: () => ({
+        getDataAsString: () => item.mimeType === MIME_TYPES.GOOGLE_DOCS ? item.paragraphs.join("\n") : item.content,
+        getContentType: () => item.mimeType,
+        getName: () => item.name
+      }),
+      setContent: content => { item.content = String(content); item.updated = new Date(); },
+      moveTo: target => { item.parentId = target.getId(); },
+      isTrashed: () => Boolean(item.trashed),
+      setTrashed: trashed => { item.trashed = trashed; }
+    };
+  };
+
+  const DriveApp = {
+    getFolderById: folder,
+    getFileById: file,
+    getRootFolder: () => folder("root"),
+    continueFolderIterator: token => fromToken(token, folder),
+    continueFileIterator: token => fromToken(token, file)
+  };
+  addItem({ id: "root", name: "My Drive", mimeType: MIME_TYPES.FOLDER });
+
+  return {
+    DriveApp,
+    items,
+    addItem,
+
+    /**
+     * Add a folder.
+     * @param {string} name - Folder name.
+     * @param {string} [parentId] - Parent folder ID; the root folder by default.
+     * @param {string} [id] - Folder ID to use.
+     * @returns {string} The folder ID.
+     */
+    addFolder: (name, parentId, id) => addItem({ id, name, mimeType: MIME_TYPES.FOLDER, parentId: parentId || "root" }),
+
+    /**
+     * Add a Google Doc.
+     * @param {string} parentId - Folder ID.
+     * @param {string} name - Doc title.
+     * @param {string} text - Body text; lines become paragraphs.
+     * @param {object} [extra] - Other item properties, e.g. `id` or `updated`.
+     * @returns {string} The doc ID.
+     */
+    addDoc: (parentId, name, text, extra) => addItem(Object.assign({
+      name, mimeType: MIME_TYPES.GOOGLE_DOCS, parentId, paragraphs: text.split("\n")
+    }, extra)),
+
+    /**
+     * Add a file of any type. Uploaded files hold what converting them would produce: `paragraphs`
+     * for PDF and Word files, `slides` for PowerPoint files, `sheets` for Excel files.
+     * @param {string} parentId - Folder ID.
+     * @param {string} name - File name.
+     * @param {string} mimeType - MIME type.
+     * @param {object} [extra] - Other item properties, e.g. `slides` or `id`.
+     * @returns {string} The file ID.
+     */
+    addFile: (parentId, name, mimeType, extra) => addItem(Object.assign({ name, mimeType, parentId }, extra)),
+
+    /**
+     * Get a Google Doc's body text.
+     * @param {string} id - Doc ID.
+     * @returns {string} The text.
+     */
+    getDocText: id => items[id].paragraphs.join("\n"),
+
+    /**
+     * List the files in a folder.
+     * @param {string} folderId - Folder ID.
+     * @returns {object[]} The files' items.
+     */
+    listFiles: folderId => children(folderId, item => item.mimeType !== MIME_TYPES.FOLDER).map(id => items[id])
+  };
+}
+
+function createDocumentApp(drive) {
+  const openById = id => {
+    const item = drive.items[id];
+    if (!item || item.mimeType !== MIME_TYPES.GOOGLE_DOCS) {
+      throw new Error(`No document with ID ${id}`);
+    }
+    const paragraphs = item.paragraphs;
+    const touch = () => { item.updated = new Date(); };
+
+    const paragraph = index => ({
+      getText: () => paragraphs[index],
+      setText: text => { paragraphs[index] = String(text); touch(); },
+      editAsText: () => ({
+        getText: () => paragraphs[index],
+        appendText: text => { paragraphs[index] += text; touch(); },
+        setBold: () => {}
+      })
+    });
+
+    const body = {
+      getText: () => paragraphs.join("\n"),
+      setText: text => { paragraphs.splice(0, paragraphs.length, ...String(text).split("\n")); touch(); },
+      getParagraphs: () => paragraphs.map((text, index) => paragraph(index)),
+      appendParagraph: text => {
+        paragraphs.push(String(text));
+        touch();
+        return paragraph(paragraphs.length - 1);
+      },
+      replaceText: (pattern, replacement) => {
+        const regex = new RegExp(pattern, "g");
+        paragraphs.forEach((text, index) => paragraphs[index] = text.replace(regex, replacement));
+        touch();
+      }
+    };
+
+    return {
+      getId: () => id,
+      getName: () => item.name,
+      getUrl: () => `https://docs.google.com/document/d/${id}/edit`,
+      getBody: () => body,
+      saveAndClose: () => {}
+    };
+  };
+
+  return {
+    openById,
+    create: name => openById(drive.addItem({ name, mimeType: MIME_TYPES.GOOGLE_DOCS, parentId: "root", paragraphs: [""] }))
+  };
+}
+
+/**
+ * The Drive advanced service's copy-with-conversion and delete, as used to read uploaded files.
+ * A converted copy gets the content the uploaded item holds for its target format (see `addFile`).
+ */
+function createDriveAdvancedService(drive, spreadsheets) {
+  return {
+    Files: {
+      copy: (resource, fileId) => {
+        const source = drive.items[fileId];
+        if (!source) {
+          throw new Error(`File not found: ${fileId}`);
+        }
+        const mimeType = resource.mimeType || source.mimeType;
+        const id = drive.addItem({
+          name: resource.name || source.name, mimeType, parentId: (resource.parents || [source.parentId])[0],
+          paragraphs: source.paragraphs && source.paragraphs.slice(), slides: source.slides
+        });
+        if (mimeType === MIME_TYPES.GOOGLE_SHEETS && source.sheets) {
+          const spreadsheet = spreadsheets.SpreadsheetApp.openById(id);
+          Object.keys(source.sheets).forEach(name => {
+            const rows = source.sheets[name];
+            spreadsheet.insertSheet(name).getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+          });
+        }
+        return { id, name: drive.items[id].name, mimeType };
+      },
+      remove: fileId => { delete drive.items[fileId]; }
+    }
+  };
+}
+
+/**
+ * Presentations read from a Drive item's `slides`: `[{shapes: string[], tables: string[][][], notes: string}]`.
+ */
+function createSlidesApp(drive) {
+  const text = value => ({ asString: () => value || "" });
+
+  return {
+    openById: id => {
+      const item = drive.items[id];
+      if (!item || item.mimeType !== MIME_TYPES.GOOGLE_SLIDES) {
+        throw new Error(`No presentation with ID ${id}`);
+      }
+      return {
+        getId: () => id,
+        getName: () => item.name,
+        getSlides: () => (item.slides || []).map(slide => ({
+          getShapes: () => (slide.shapes || []).map(shape => ({ getText: () => text(shape) })),
+          getTables: () => (slide.tables || []).map(rows => ({
+            getNumRows: () => rows.length,
+            getNumColumns: () => rows[0].length,
+            getCell: (row, column) => ({ getText: () => text(rows[row][column]) })
+          })),
+          getNotesPage: () => ({ getSpeakerNotesShape: () => ({ getText: () => text(slide.notes) }) })
+        }))
+      };
+    }
+  };
+}
+
+// === SPREADSHEETS ===
+
+/**
+ * Spreadsheets holding sheets as grids of values and notes. Like Sheets, empty cells read as "".
+ */
+function createSpreadsheets() {
+  const spreadsheets = {};
+
+  const createSheet = name => {
+    const values = [];
+    const notes = [];
+    const metadata = [];
+
+    const ensureCell = (row, column) => {
+      while (values.length <= row) {
+        values.push([]);
+        notes.push([]);
+      }
+      while (values[row].length <= column) {
+        values[row].push("");
+        notes[row].push("");
+      }
+    };
+    const lastRow = () => {
+      for (let row = values.length - 1; row >= 0; row--) {
+        if (values[row].some(value => value !== "")) {
+          return row + 1;
+        }
+      }
+      return 0;
+    };
+    const lastColumn = () => Math.max(0, ...values.map(row => {
+      for (let column = row.length - 1; column >= 0; column--) {
+        if (row[column] !== "") {
+          return column + 1;
+        }
+      }
+      return 0;
+    }));
+    const read = (grid, row, column) => (grid[row] && grid[row][column] !== undefined) ? grid[row][column] : "";
+
+    const range = (row, column, numRows, numColumns) => {
+      numRows = numRows || 1;
+      numColumns = numColumns || 1;
+      if (row < 1 || column < 1) {
+        throw new Error(`Invalid range start ${row},${column}`);
+      }
+      const readGrid = grid => Array.from({ length: numRows }, (unused, r) =>
+        Array.from({ length: numColumns }, (unused2, c) => read(grid, row - 1 + r, column - 1 + c)));
+      const writeGrid = (grid, rows) => {
+        if (rows.length !== numRows || rows.some(cells => cells.length !== numColumns)) {
+          throw new Error(`The data has ${rows.length} rows but the range has ${numRows} rows and ${numColumns} columns.`);
+        }
+        rows.forEach((cells, r) => cells.forEach((value, c) => {
+          ensureCell(row - 1 + r, column - 1 + c);
+          grid[row - 1 + r][column - 1 + c] = value === null || value === undefined ? "" : value;
+        }));
+      };
+
+      return {
+        getValues: () => readGrid(values),
+        getDisplayValues: () => readGrid(values).map(cells => cells.map(String)),
+        setValues: rows => { writeGrid(values, rows); return range(row, column, numRows, numColumns); },
+        getValue: () => read(values, row - 1, column - 1),
+        setValue: value => { writeGrid(values, [[value]]); return range(row, column, 1, 1); },
+        getNotes: () => readGrid(notes),
+        setNotes: rows => { writeGrid(notes, rows); return range(row, column, numRows, numColumns); },
+        getNote: () => read(notes, row - 1, column - 1),
+        setNote: note => { writeGrid(notes, [[note]]); return range(row, column, 1, 1); }
+      };
+    };
+
+    const sheet = {
+      getName: () => name,
+      getLastRow: lastRow,
+      getLastColumn: lastColumn,
+      getRange: range,
+      getDataRange: () => range(1, 1, Math.max(1, lastRow()), Math.max(1, lastColumn())),
+      appendRow: row => { range(lastRow() + 1, 1, 1, row.length).setValues([row]); return sheet; },
+      deleteRows: (start, count) => { values.splice(start - 1, count); notes.splice(start - 1, count); },
+      deleteRow: row => sheet.deleteRows(row, 1),
+      setFrozenRows: () => {},
+      getDeveloperMetadata: () => metadata.map(entry => ({
+        getKey: () => entry.key,
+        getValue: () => entry.value,
+        setValue: value => { entry.value = value; }
+      })),
+      addDeveloperMetadata: (key, value) => { metadata.push({ key, value }); return sheet; }
+    };
+    return { sheet, values, notes };
+  };
+
+  const open = id => {
+    if (!spreadsheets[id]) {
+      spreadsheets[id] = {};
+    }
+    const sheets = spreadsheets[id];
+    const spreadsheet = {
+      getId: () => id,
+      getUrl: () => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+      getSheetByName: name => sheets[name] ? sheets[name].sheet : null,
+      getSheets: () => Object.values(sheets).map(entry => entry.sheet),
+      insertSheet: name => {
+        if (sheets[name]) {
+          throw new Error(`A sheet with the name "${name}" already exists.`);
+        }
+        sheets[name] = createSheet(name);
+        return sheets[name].sheet;
+      }
+    };
+    return spreadsheet;
+  };
+
+  return {
+    SpreadsheetApp: { openById: open },
+
+    /**
+     * Read a sheet as records keyed by its header row.
+     * @param {string} spreadsheetId - Spreadsheet ID.
+     * @param {string} sheetName - Sheet name.
+     * @returns {object[]} One object per data row; an empty list if the sheet does not exist.
+     */
+    readRecords: (spreadsheetId, sheetName) => {
+      const entry = spreadsheets[spreadsheetId] && spreadsheets[spreadsheetId][sheetName];
+      if (!entry) {
+        return [];
+      }
+      const sheet = entry.sheet;
+      const rows = sheet.getLastRow();
+      if (rows < 2) {
+        return [];
+      }
+      const grid = sheet.getRange(1, 1, rows, sheet.getLastColumn()).getValues();
+      return grid.slice(1).map(row => {
+        const record = {};
+        // Like rowToRecord, the first of duplicate columns wins
+        grid[0].forEach((header, i) => { if (!(header in record)) record[header] = row[i]; });
+        return record;
+      });
+    },
+
+    /**
+     * Get a sheet's raw state.
+     * @param {string} spreadsheetId - Spreadsheet ID.
+     * @param {string} sheetName - Sheet name.
+     * @returns {{sheet: object, values: Array<Array>, notes: Array<Array>}|null} The sheet, or null.
+     */
+    getSheet: (spreadsheetId, sheetName) => (spreadsheets[spreadsheetId] && spreadsheets[spreadsheetId][sheetName]) || null
+  };
+}
+
+// === CALENDAR ===
+
+const GUEST_STATUS = { INVITED: "INVITED", MAYBE: "MAYBE", NO: "NO", OWNER: "OWNER", YES: "YES" };
+
+/**
+ * Calendars holding events. The default calendar has the ID "primary".
+ */
+function createCalendar() {
+  const calendars = {};
+  let nextId = 1;
+
+  const guest = (entry, email) => ({
+    getEmail: () => email,
+    getGuestStatus: () => email === entry.owner
+      ? GUEST_STATUS.OWNER
+      : (entry.guestStatuses && entry.guestStatuses[email]) || GUEST_STATUS.INVITED
+  });
+
+  const event = entry => ({
+    getId: () => entry.id,
+    getTitle: () => entry.title,
+    setTitle: title => { entry.title = title; entry.updated = new Date(); },
+    getDescription: () => entry.description,
+    setDescription: description => { entry.description = description; entry.updated = new Date(); },
+    getStartTime: () => entry.start,
+    getEndTime: () => entry.end,
+    setTime: (start, end) => { entry.start = start; entry.end = end; entry.updated = new Date(); },
+    getLastUpdated: () => entry.updated,
+    // Like Apps Script, the owner is only listed when asked for, and only if they are not also a guest
+    getGuestList: includeOwner => entry.guests
+      .concat(includeOwner && entry.owner && entry.guests.indexOf(entry.owner) === -1 ? [entry.owner] : [])
+      .map(email => guest(entry, email)),
+    getGuestByEmail: email => entry.guests.indexOf(email) !== -1 || email === entry.owner ? guest(entry, email) : null,
+    getMyStatus: () => entry.myStatus || GUEST_STATUS.OWNER,
+    isAllDayEvent: () => Boolean(entry.allDay),
+    isRecurringEvent: () => Boolean(entry.recurring),
+    getCreators: () => entry.creators || (entry.owner ? [entry.owner] : []),
+    getOriginalCalendarId: () => entry.calendarId
+  });
+
+  const calendar = id => {
+    if (!calendars[id]) {
+      calendars[id] = { id, events: [] };
+    }
+    return {
+      getId: () => id,
+      getName: () => id,
+      getEvents: (start, end) => calendars[id].events
+        .filter(entry => entry.start < end && entry.end > start)
+        .sort((a, b) => a.start - b.start)
+        .map(event),
+      getEventById: eventId => {
+        const entry = calendars[id].events.find(candidate => candidate.id === eventId);
+        return entry ? event(entry) : null;
+      }
+    };
+  };
+
+  return {
+    CalendarApp: {
+      GuestStatus: GUEST_STATUS,
+      getDefaultCalendar: () => calendar("primary"),
+      getCalendarById: calendar
+    },
+
+    /**
+     * Add an event.
+     * @param {object} entry - Event: `title`, `start`, `end`, `guests` (emails), and optionally
+     *        `description`, `id`, `calendarId` ("primary" by default), `owner` (the organizer's email,
+     *        left out of `getGuestList()` unless the owner is included), `guestStatuses` (GuestStatus
+     *        values keyed by guest email, "INVITED" by default), `allDay`, `recurring` and `myStatus`
+     *        (the script account's GuestStatus, "OWNER" by default).
+     * @returns {object} The stored event entry, which can be changed to simulate edits; set its
+     *          `updated` date along with it, as the event's setters do.
+     */
+    addEvent: entry => {
+      const stored = Object.assign({ id: `event-${nextId++}`, description: "", guests: [], calendarId: "primary", updated: new Date() }, entry);
+      calendar(stored.calendarId);
+      calendars[stored.calendarId].events.push(stored);
+      return stored;
+    },
+
+    /**
+     * Remove an event, e.g. to simulate a cancellation.
+     * @param {string} eventId - Event ID.
+     */
+    removeEvent: eventId => Object.values(calendars).forEach(entry => {
+      entry.events = entry.events.filter(candidate => candidate.id !== eventId);
+    })
+  };
+}
+
+// === UTILITIES AND TRIGGERS ===
+
+function createUtilities(timeZone) {
+  return {
+    sleep: () => {},
+    getUuid: () => crypto.randomUUID(),
+    DigestAlgorithm: { SHA_256: "sha256", MD5: "md5" },
+    Charset: { UTF_8: "utf8" },
+    // Apps Script returns digests as signed bytes
+    computeDigest: (algorithm, text) => [...crypto.createHash(algorithm).update(String(text), "utf8").digest()]
+      .map(byte => byte > 127 ? byte - 256 : byte),
+    formatDate: (date, zone, pattern) => formatDate(date, zone || timeZone, pattern)
+  };
+}
+
+/**
+ * Format a date with the Apps Script (SimpleDateFormat) pattern letters the projects use.
+ * @param {Date} date - The date.
+ * @param {string} timeZone - IANA time zone.
+ * @param {string} pattern - E.g. "yyyy-MM-dd" or "M/d/yyyy".
+ * @returns {string} The formatted date.
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone, year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric", hourCycle: "h23"
+  }).formatToParts(date).forEach(part => parts[part.type] = part.value);
+
+  const fields = { y: parts.year, M: parts.month, d: parts.day, H: parts.hour, m: parts.minute, s: parts.second };
+  return pattern.replace(/([yMdHms])\1*/g, token => {
+    const value = fields[token[0]];
+    return token === "yy" ? value.slice(-2) : value.padStart(token.length, "0");
+  });
+}
+
+function createScriptApp(triggers) {
+  const builder = handler => {
+    const trigger = { handler, id: `trigger-${triggers.length + 1}` };
+    const chain = {
+      timeBased: () => chain,
+      after: ms => { trigger.afterMs = ms; return chain; },
+      at: date => { trigger.at = date; return chain; },
+      everyMinutes: n => { trigger.everyMinutes = n; return chain; },
+      everyHours: n => { trigger.everyHours = n; return chain; },
+      everyDays: n => { trigger.everyDays = n; return chain; },
+      atHour: hour => { trigger.atHour = hour; return chain; },
+      nearMinute: minute => { trigger.nearMinute = minute; return chain; },
+      inTimezone: zone => { trigger.timeZone = zone; return chain; },
+      create: () => {
+        triggers.push(trigger);
+        return wrap(trigger);
+      }
+    };
+    return chain;
+  };
+  const wrap = trigger => ({
+    getHandlerFunction: () => trigger.handler,
+    getUniqueId: () => trigger.id,
+    trigger
+  });
+
+  return {
+    newTrigger: builder,
+    getProjectTriggers: () => triggers.map(wrap),
+    deleteTrigger: wrapped => {
+      const index = triggers.indexOf(wrapped.trigger);
+      if (index !== -1) {
+        triggers.splice(index, 1);
+      }
+    }
+  };
+}
+
+module.exports = { createAppsScriptServices, formatDate, MIME_TYPES };
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview The fixture corpus of sample note docs (test/fixtures/corpus.json) and helpers
+ * to put it in a shimmed Drive and compare parsed records with their expected fields.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadRecording } = require("./replay-fetch");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+// Relative tolerance for numeric fields; the expected values are written to about four significant digits
+const NUMERIC_TOLERANCE = 1e-3;
+
+/**
+ * Load the corpus manifest with each doc's note text.
+ * @returns {Array<{name: string, title: string, folder: string, text: string, expected: object}>} The docs.
+ */
+function loadCorpus() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, "corpus.json"), "utf8"));
+  return manifest.docs.map(doc => Object.assign({}, doc, {
+    text: fs.readFileSync(path.join(FIXTURES_DIR, "notes", `${doc.name}.txt`), "utf8")
+  }));
+}
+
+/**
+ * Combine the recordings of several corpus docs, in the order their docs will be parsed.
+ * @param {object[]} docs - Corpus docs.
+ * @returns {object} One recording with every doc's interactions.
+ */
+function loadCorpusRecording(docs) {
+  return {
+    name: docs.map(doc => doc.name).join("+"),
+    interactions: [].concat(...docs.map(doc => loadRecording(doc.name).interactions))
+  };
+}
+
+/**
+ * Add corpus docs to a shimmed Drive, one subfolder per company folder name, under a master folder.
+ * @param {object} drive - The Drive shim (see apps-script-services.js).
+ * @param {object[]} docs - Corpus docs.
+ * @param {string} [masterFolderId] - ID for the master folder.
+ * @returns {{masterFolderId: string, docIds: Object<string, string>}} The master folder, and doc IDs by corpus name.
+ */
+function addCorpusToDrive(drive, docs, masterFolderId) {
+  const master = drive.addFolder("Companies", "root", masterFolderId);
+  const folders = {};
+  const docIds = {};
+
+  docs.forEach(doc => {
+    if (!folders[doc.folder]) {
+      folders[doc.folder] = drive.addFolder(doc.folder, master);
+    }
+    docIds[doc.name] = drive.addDoc(folders[doc.folder], doc.title, doc.text, { id: `doc-${doc.name}` });
+  });
+
+  return { masterFolderId: master, docIds };
+}
+
+/**
+ * List the expected fields a record gets wrong. Numbers match within `NUMERIC_TOLERANCE`.
+ * @param {object} record - Parsed record.
+ * @param {object} expected - Expected field values.
+ * @returns {string[]} One "field: expected X, got Y" line per mismatch.
+ */
+function diffRecord(record, expected) {
+  return Object.keys(expected)
+    .filter(field => !valuesMatch(record[field], expected[field]))
+    .map(field => `${field}: expected ${JSON.stringify(expected[field])}, got ${JSON.stringify(record[field])}`);
+}
+
+/**
+ * Compare a value with its expectation, numbers within a relative tolerance.
+ * @param {*} actual - Parsed value.
+ * @param {*} expected - Expected value.
+ * @param {number} [tolerance] - Relative tolerance; `NUMERIC_TOLERANCE` by default.
+ * @returns {boolean} True if they match.
+ */
+function valuesMatch(actual, expected, tolerance) {
+  if (typeof expected === "number" && typeof actual === "number") {
+    const allowed = (tolerance === undefined ? NUMERIC_TOLERANCE : tolerance) * Math.max(Math.abs(expected), 1e-9);
+    return Math.abs(actual - expected) <= allowed;
+  }
+  const empty = value => value === null || value === undefined || value === "";
+  return empty(expected) ? empty(actual) : actual === expected;
+}
+
+module.exports = { loadCorpus, loadCorpusRecording, addCorpusToDrive, diffRecord, valuesMatch, FIXTURES_DIR };
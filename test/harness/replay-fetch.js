@@ -0,0 +1,164 @@
+/**
+ * @fileoverview A UrlFetchApp shim that answers requests from a recording of earlier API responses.
+ *
+ * A recording is a JSON file of interactions:
+ *   { "interactions": [{ "request": { "method", "url", "schemaName" }, "response": { "status", "body" } }] }
+ * A request is answered by the first unused interaction with the same method, URL and schema name
+ * (the name of the strict output schema, or null for plain text requests), so repeated calls with
+ * the same schema replay in recorded order. A request without a matching interaction fails the test.
+ *
+ * To refresh a recording against the live APIs, run the test with RECORD_LLM=1 and real API keys
+ * in OPENAI_API_KEY / ANTHROPIC_API_KEY: every request is then sent for real and the recording
+ * rewritten when the test calls `save()`. Request headers are never written to recordings.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const RECORDINGS_DIR = path.join(__dirname, "..", "fixtures", "recordings");
+const RECORD_MODE = process.env.RECORD_LLM === "1";
+const LIVE_FETCH_TIMEOUT_MS = 180 * 1000;
+
+// Runs in a child process, since UrlFetchApp.fetch is synchronous and Node's fetch is not
+const LIVE_FETCH_SCRIPT = `
+let input = "";
+process.stdin.on("data", chunk => input += chunk).on("end", async () => {
+  const request = JSON.parse(input);
+  const response = await fetch(request.url, { method: request.method, headers: request.headers, body: request.body });
+  process.stdout.write(JSON.stringify({ status: response.status, text: await response.text() }));
+});
+`;
+
+/**
+ * Load a recording from test/fixtures/recordings.
+ * @param {string} name - Recording file name without ".json".
+ * @returns {object} The recording; an empty one in record mode if the file does not exist yet.
+ */
+function loadRecording(name) {
+  const file = path.join(RECORDINGS_DIR, `${name}.json`);
+  if (!fs.existsSync(file) && RECORD_MODE) {
+    return { name, interactions: [] };
+  }
+  return Object.assign(JSON.parse(fs.readFileSync(file, "utf8")), { name });
+}
+
+/**
+ * Create a UrlFetchApp shim replaying (or, with RECORD_LLM=1, recording) a recording.
+ * @param {object} [recording] - A recording from `loadRecording`; without one every request fails.
+ * @returns {{UrlFetchApp: object, requests: object[], save: Function}} The shim, every request it
+ *          received (method, URL, headers, parsed payload), and a function that writes a refreshed recording.
+ */
+function createReplayFetch(recording) {
+  const interactions = (recording && recording.interactions) || [];
+  const used = new Set();
+  const recorded = [];
+  const requests = [];
+
+  const fetch = (url, options) => {
+    options = options || {};
+    const method = (options.method || "get").toLowerCase();
+    const payload = parsePayload(options.payload);
+    const key = { method, url, schemaName: getSchemaName(payload) };
+    requests.push({ method, url, headers: options.headers || {}, payload });
+
+    let response;
+    if (RECORD_MODE) {
+      response = sendLive(url, method, options);
+      recorded.push({ request: key, response });
+    } else {
+      const index = interactions.findIndex((interaction, i) => !used.has(i) &&
+        interaction.request.method === key.method && interaction.request.url === key.url &&
+        (interaction.request.schemaName || null) === key.schemaName);
+      if (index === -1) {
+        throw new Error(`No recorded response for ${method.toUpperCase()} ${url} (schema: ${key.schemaName}) ` +
+          `in recording "${recording ? recording.name : "none"}". Re-record it with RECORD_LLM=1.`);
+      }
+      used.add(index);
+      response = interactions[index].response;
+    }
+
+    const text = typeof response.body === "string" ? response.body : JSON.stringify(response.body);
+    if (!options.muteHttpExceptions && response.status >= 400) {
+      throw new Error(`Request failed for ${url} returned code ${response.status}. Truncated server response: ${text.slice(0, 200)}`);
+    }
+    return {
+      getResponseCode: () => response.status,
+      getContentText: () => text,
+      getHeaders: () => response.headers || {},
+      getAllHeaders: () => response.headers || {}
+    };
+  };
+
+  return {
+    UrlFetchApp: { fetch },
+    requests,
+    save: () => {
+      if (!RECORD_MODE || !recording) {
+        return;
+      }
+      fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+      fs.writeFileSync(path.join(RECORDINGS_DIR, `${recording.name}.json`), JSON.stringify({ interactions: recorded }, null, 2) + "\n");
+    }
+  };
+}
+
+/**
+ * Parse a JSON request payload.
+ * @param {string|object|undefined} payload - UrlFetchApp payload option.
+ * @returns {*} The parsed payload, the raw value if it is not JSON, or null.
+ */
+function parsePayload(payload) {
+  if (typeof payload !== "string") {
+    return payload === undefined ? null : payload;
+  }
+  try {
+    return JSON.parse(payload);
+  } catch (e) {
+    return payload;
+  }
+}
+
+/**
+ * Find the name of the strict output schema in an LLM request: OpenAI Responses `text.format`,
+ * Chat Completions `response_format`, or the output tool of an Anthropic request.
+ * @param {object|null} payload - Parsed request payload.
+ * @returns {string|null} The schema name, or null for plain text requests.
+ */
+function getSchemaName(payload) {
+  if (!payload || typeof payload !== "object") {
+    return null;
+  }
+  if (payload.text && payload.text.format && payload.text.format.name) {
+    return payload.text.format.name;
+  }
+  if (payload.response_format && payload.response_format.json_schema) {
+    return payload.response_format.json_schema.name;
+  }
+  const tool = (payload.tools || []).find(candidate => candidate.input_schema);
+  return tool ? tool.name : null;
+}
+
+/**
+ * Send a request to the live API.
+ * @param {string} url - Request URL.
+ * @param {string} method - HTTP method.
+ * @param {object} options - UrlFetchApp options.
+ * @returns {{status: number, body: *}} The response, with a JSON body parsed.
+ */
+function sendLive(url, method, options) {
+  const headers = Object.assign({ "Content-Type": options.contentType || "application/json" }, options.headers);
+  const result = spawnSync(process.execPath, ["-e", LIVE_FETCH_SCRIPT], {
+    input: JSON.stringify({ url, method: method.toUpperCase(), headers, body: options.payload }),
+    encoding: "utf8",
+    timeout: LIVE_FETCH_TIMEOUT_MS
+  });
+  if (result.status !== 0) {
+    throw new Error(`Live request to ${url} failed: ${result.stderr || result.error}`);
+  }
+
+  const response = JSON.parse(result.stdout);
+  return { status: response.status, body: parsePayload(response.text) };
+}
+
+module.exports = { loadRecording, createReplayFetch, RECORD_MODE };
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Helpers for the zeroclick tests: load the project against in-memory Apps Script
+ * services with James's notes folder in Drive, and put calls on his calendar.
+ */
+
+const { loadAppsScriptProject } = require("../load-apps-script");
+const { createAppsScriptServices } = require("./apps-script-services");
+const { loadRecording } = require("./replay-fetch");
+
+// James's note docs are moved to this folder (see the default roster in roster.js)
+const NOTES_FOLDER_ID = "1YPrT-_fLgPk4V5LSffNqo5O0grJ6Olnl";
+// Partners' calendars default to their emails
+const JAMES_CALENDAR_ID = "james@scopvc.com";
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Load the zeroclick project. Without a recording, LLM calls go to the mock provider, which
+ * describes every company as Acme Robotics unless a test registers another answer.
+ * @param {string|null} [recordingName] - Recording to replay LLM calls from (see replay-fetch.js).
+ * @param {object} [properties] - Script Properties.
+ * @returns {{services: object, project: object}} The services (see apps-script-services.js) and the project's globals.
+ */
+function loadZeroclick(recordingName, properties) {
+  const services = createAppsScriptServices({
+    recording: recordingName && loadRecording(recordingName),
+    properties: Object.assign(recordingName ? {} : { LLM_TASK_CONFIG: JSON.stringify({ "*": { provider: "mock" } }) }, properties)
+  });
+  services.drive.addFolder("Company Notes", "root", NOTES_FOLDER_ID);
+  const project = loadAppsScriptProject("zeroclick", services.globals);
+  project.setMockLLMResponse("company_details_from_domain",
+    { website: "https://www.acmerobotics.io", description: "NA", name: "Acme Robotics", location: "NA", yearFounded: "NA" });
+  return { services, project };
+}
+
+/**
+ * Get today's date at an hour, in the local time zone.
+ * @param {number} hour - Hour of the day.
+ * @returns {Date} The time.
+ */
+function todayAt(hour) {
+  const date = new Date();
+  date.setHours(hour, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Get the time some hours from now.
+ * @param {number} hours - Hours from now; negative for the past.
+ * @returns {Date} The time.
+ */
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * HOUR_MS);
+}
+
+/**
+ * Add an hour-long call between James and Dana of Acme Robotics to James's calendar.
+ * @param {object} services - The services from `loadZeroclick`.
+ * @param {string} title - Event title.
+ * @param {Date} start - Start time.
+ * @param {object} [extra] - Other event properties, e.g. `description` (see `calendar.addEvent`).
+ * @returns {object} The stored event entry.
+ */
+function addIntroCall(services, title, start, extra) {
+  return services.calendar.addEvent(Object.assign({
+    calendarId: JAMES_CALENDAR_ID, title, start, end: new Date(start.getTime() + HOUR_MS),
+    guests: ["james@scopvc.com", "dana@acmerobotics.io"]
+  }, extra));
+}
+
+module.exports = { loadZeroclick, todayAt, hoursFromNow, addIntroCall, NOTES_FOLDER_ID, JAMES_CALENDAR_ID, HOUR_MS };
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Unit tests for company-db/llm-provider.js: task configuration, the mock provider,
+ * and the request each provider sends, against a fake UrlFetchApp. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript } = require("./load-apps-script");
+
+const FILES = ["company-db/openai-client.js", "company-db/llm-provider.js"];
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    arr: { type: ["string", "null"] },
+    tags: { type: "array", items: { type: "string" } }
+  },
+  required: ["name", "arr", "tags"],
+  additionalProperties: false
+};
+
+// Loads the provider layer with Script Properties and a UrlFetchApp answering every request with `reply`,
+// or with the next of several replies when `reply` is an array
+function loadProviders(properties, reply) {
+  const requests = [];
+  const UrlFetchApp = {
+    fetch: (url, options) => {
+      requests.push({ url, headers: options.headers, body: JSON.parse(options.payload) });
+      const body = Array.isArray(reply) ? reply[requests.length - 1] : reply;
+      return { getResponseCode: () => 200, getContentText: () => JSON.stringify(body), getHeaders: () => ({}) };
+    }
+  };
+  const sandbox = loadAppsScript(FILES, {
+    OPENAI_API_KEY: "sk-test",
+    UrlFetchApp,
+    Utilities: { sleep: () => {} },
+    PropertiesService: { getScriptProperties: () => ({ getProperty: key => properties[key] || null }) }
+  });
+  return { sandbox, requests };
+}
+
+test("tasks use their defaults unless LLM_TASK_CONFIG overrides them", () => {
+  const { sandbox } = loadProviders({
+    LLM_TASK_CONFIG: JSON.stringify({ "*": { model: "gpt-5" }, classification: { provider: "anthropic", model: "claude-haiku-4-5" } })
+  });
+
+  assert.deepEqual({ ...sandbox.getLLMTaskConfig("extraction") }, { provider: "openai_responses", model: "gpt-5" });
+  assert.deepEqual({ ...sandbox.getLLMTaskConfig("classification") }, { provider: "anthropic", model: "claude-haiku-4-5" });
+  assert.throws(() => sandbox.getLLMTaskConfig("summarize"), /No LLM provider and model configured/);
+});
+
+test("the LinkedIn lookup keeps its gpt-4o default", () => {
+  const { sandbox } = loadProviders({});
+  assert.deepEqual({ ...sandbox.getLLMTaskConfig("linkedin_search") }, { provider: "openai_responses", model: "gpt-4o" });
+  assert.deepEqual({ ...sandbox.getLLMTaskConfig("web_search") }, { provider: "openai_responses", model: "gpt-4.1" });
+});
+
+test("an unknown provider is rejected", () => {
+  const { sandbox } = loadProviders({ LLM_TASK_CONFIG: JSON.stringify({ extraction: { provider: "palm" } }) });
+  assert.throws(() => sandbox.generateText("extraction", { prompt: "hi" }), /Unknown LLM provider "palm"/);
+});
+
+test("the mock provider answers from canned responses and records calls", () => {
+  const { sandbox, requests } = loadProviders({ LLM_TASK_CONFIG: JSON.stringify({ "*": { provider: "mock" } }) });
+
+  sandbox.setMockLLMResponse("company_details", { name: "Acme", arr: "$2M", tags: ["saas"] });
+  sandbox.setMockLLMResponse("classification", request => request.prompt.includes("Intro") ? "Yes" : "No");
+
+  assert.deepEqual({ ...sandbox.generateStructured("web_search", { prompt: "p", schema: SCHEMA, schemaName: "company_details" }) },
+    { name: "Acme", arr: "$2M", tags: ["saas"] });
+  assert.equal(sandbox.generateText("classification", { prompt: "Intro call" }), "Yes");
+  assert.equal(sandbox.generateText("classification", { prompt: "Board meeting" }), "No");
+
+  // Without a canned response, structured requests get the emptiest value the schema allows
+  const empty = sandbox.generateStructured("extraction", { prompt: "p", schema: SCHEMA, schemaName: "other" });
+  assert.equal(empty.name, "");
+  assert.equal(empty.arr, null);
+  assert.deepEqual([...empty.tags], []);
+
+  assert.equal(sandbox.MOCK_LLM_CALLS.length, 4);
+  assert.equal(sandbox.MOCK_LLM_CALLS[0].task, "web_search");
+  assert.equal(requests.length, 0);
+
+  sandbox.resetMockLLM();
+  assert.equal(sandbox.MOCK_LLM_CALLS.length, 0);
+  assert.equal(sandbox.generateText("classification", { prompt: "Intro call" }), "");
+});
+
+test("openai_responses sends instructions, web search and a strict schema", () => {
+  const { sandbox, requests } = loadProviders({}, {
+    output: [{ type: "web_search_call" }, { type: "message", content: [{ type: "output_text", text: "{\"name\":\"Acme\"}" }] }]
+  });
+
+  const result = sandbox.generateStructured("web_search", {
+    system: "Be brief.", prompt: "Find Acme", schema: SCHEMA, schemaName: "company_details", webSearch: true
+  });
+
+  assert.equal(result.name, "Acme");
+  assert.equal(requests[0].url, "https://api.openai.com/v1/responses");
+  assert.equal(requests[0].headers.Authorization, "Bearer sk-test");
+  assert.deepEqual(requests[0].body, {
+    model: "gpt-4.1",
+    input: "Find Acme",
+    instructions: "Be brief.",
+    tools: [{ type: "web_search_preview" }],
+    text: { format: { type: "json_schema", name: "company_details", strict: true, schema: SCHEMA } }
+  });
+});
+
+test("openai_chat sends system and user messages and refuses web search", () => {
+  const { sandbox, requests } = loadProviders({}, { choices: [{ message: { content: "Yes" } }] });
+
+  assert.equal(sandbox.generateText("classification", { system: "Triage.", prompt: "Event" }), "Yes");
+  assert.equal(requests[0].url, "https://api.openai.com/v1/chat/completions");
+  assert.deepEqual(requests[0].body, {
+    model: "gpt-4o",
+    messages: [{ role: "system", content: "Triage." }, { role: "user", content: "Event" }]
+  });
+
+  assert.throws(() => sandbox.generateText("classification", { prompt: "Event", webSearch: true }), /does not support web search/);
+});
+
+test("anthropic returns structured output through a forced tool call", () => {
+  const { sandbox, requests } = loadProviders({
+    ANTHROPIC_API_KEY: "ak-test",
+    LLM_TASK_CONFIG: JSON.stringify({ "*": { provider: "anthropic", model: "claude-sonnet-4-5" } })
+  }, {
+    content: [{ type: "text", text: "Here it is." }, { type: "tool_use", name: "company_details", input: { name: "Acme" } }],
+    usage: { input_tokens: 10, output_tokens: 5 }
+  });
+
+  assert.deepEqual({ ...sandbox.generateStructured("extraction", { prompt: "Doc", schema: SCHEMA, schemaName: "company_details" }) },
+    { name: "Acme" });
+  assert.equal(requests[0].url, "https://api.anthropic.com/v1/messages");
+  assert.equal(requests[0].headers["x-api-key"], "ak-test");
+  assert.equal(requests[0].headers["anthropic-version"], "2023-06-01");
+  assert.deepEqual(requests[0].body.tools, [{ name: "company_details", description: "Return the result.", input_schema: SCHEMA }]);
+  assert.deepEqual(requests[0].body.tool_choice, { type: "tool", name: "company_details" });
+  assert.equal(sandbox.OPENAI_USAGE.input_tokens, 10);
+
+  // With web search, the model may search before calling the output tool
+  sandbox.generateStructured("web_search", { prompt: "Find", schema: SCHEMA, schemaName: "company_details", webSearch: true });
+  assert.equal(requests[1].body.tools[0].type, "web_search_20250305");
+  assert.deepEqual(requests[1].body.tool_choice, { type: "any" });
+
+  assert.equal(sandbox.generateText("classification", { prompt: "Event" }), "Here it is.");
+  assert.equal(requests[2].body.tools, undefined);
+});
+
+test("anthropic continues paused searches and re-asks for the output tool when the model only searched", () => {
+  const search = [
+    { type: "server_tool_use", id: "srvtoolu_1", name: "web_search", input: { query: "Acme" } },
+    { type: "web_search_tool_result", tool_use_id: "srvtoolu_1", content: [] }
+  ];
+  const { sandbox, requests } = loadProviders({
+    ANTHROPIC_API_KEY: "ak-test",
+    LLM_TASK_CONFIG: JSON.stringify({ "*": { provider: "anthropic", model: "claude-sonnet-4-5" } })
+  }, [
+    { content: search, stop_reason: "pause_turn" },
+    { content: [{ type: "text", text: "Acme makes robots." }], stop_reason: "end_turn" },
+    { content: [{ type: "tool_use", name: "company_details", input: { name: "Acme" } }], stop_reason: "tool_use" }
+  ]);
+
+  const result = sandbox.generateStructured("web_search", { prompt: "Find", schema: SCHEMA, schemaName: "company_details", webSearch: true });
+
+  assert.equal(result.name, "Acme");
+  assert.equal(requests.length, 3);
+  // The paused turn is sent back as is to continue it
+  assert.deepEqual(requests[1].body.messages, [{ role: "user", content: "Find" }, { role: "assistant", content: search }]);
+  assert.deepEqual(requests[1].body.tool_choice, { type: "any" });
+  // The search-only answer is followed by a request that forces the output tool
+  assert.equal(requests[2].body.messages.length, 3);
+  assert.equal(requests[2].body.messages[1].content.length, 3);
+  assert.match(requests[2].body.messages[2].content, /company_details/);
+  assert.deepEqual(requests[2].body.tool_choice, { type: "tool", name: "company_details" });
+});
+
+test("anthropic requires an API key", () => {
+  const { sandbox } = loadProviders({ LLM_TASK_CONFIG: JSON.stringify({ "*": { provider: "anthropic", model: "claude-sonnet-4-5" } }) });
+  assert.throws(() => sandbox.generateText("classification", { prompt: "Event" }), /ANTHROPIC_API_KEY is not set/);
+});
+
+test("retries stop once their backoff would pass the retry deadline", () => {
+  let requests = 0;
+  const sandbox = loadAppsScript(FILES, {
+    OPENAI_API_KEY: "sk-test",
+    UrlFetchApp: {
+      fetch: () => {
+        requests++;
+        return { getResponseCode: () => 503, getContentText: () => "busy", getAllHeaders: () => ({ "Retry-After": "30" }) };
+      }
+    },
+    Utilities: { sleep: () => {} },
+    PropertiesService: { getScriptProperties: () => ({ getProperty: () => null }) }
+  });
+
+  assert.throws(() => sandbox.callOpenAI("responses", {}), /OpenAI API error: 503/);
+  assert.equal(requests, 5);
+
+  requests = 0;
+  sandbox.setRetryDeadline(Date.now() + 15 * 1000);
+  assert.throws(() => sandbox.callOpenAI("responses", {}), /OpenAI API error: 503/);
+  // The server asked for a 30s wait, which would end after the deadline
+  assert.equal(requests, 1);
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Loads Apps Script project files into a Node sandbox for unit tests.
+ * Apps Script files share one global scope and have no module system, so the files are
+ * concatenated and evaluated in a single vm context; top-level functions and constants
+ * are returned as properties of the sandbox.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const REPO_ROOT = path.join(__dirname, "..");
+
+/**
+ * Evaluate Apps Script files in a fresh sandbox.
+ * @param {string[]} files - Paths relative to the repo root, e.g. "company-db/normalize.js".
+ * @param {object} [globals] - Extra globals (service shims) to expose to the files.
+ * @returns {object} The sandbox, with every top-level declaration of the files exported on it.
+ */
+function loadAppsScript(files, globals) {
+  const sandbox = Object.assign({ Logger: { log: () => {} } }, globals);
+  vm.createContext(sandbox);
+
+  const source = files.map(file => fs.readFileSync(path.join(REPO_ROOT, file), "utf8")).join("\n;\n");
+  const names = declaredNames(source);
+  // `const` and `function` declarations do not become sandbox properties on their own
+  const exports = names.map(name => `this[${JSON.stringify(name)}] = ${name};`).join("\n");
+  vm.runInContext(`${source}\n;\n${exports}`, sandbox, { filename: files.join("+") });
+
+  return sandbox;
+}
+
+/**
+ * Evaluate every script file of an Apps Script project, as `clasp push` would upload them.
+ * @param {string} project - Project directory relative to the repo root, e.g. "company-db".
+ * @param {object} [globals] - Extra globals (service shims) to expose to the files.
+ * @returns {object} The sandbox, with every top-level declaration of the project exported on it.
+ */
+function loadAppsScriptProject(project, globals) {
+  const files = fs.readdirSync(path.join(REPO_ROOT, project))
+    .filter(file => file.endsWith(".js"))
+    .sort()
+    .map(file => `${project}/${file}`);
+  return loadAppsScript(files, globals);
+}
+
+/**
+ * List the top-level function and const/let declarations in a source file.
+ * @param {string} source - File contents.
+ * @returns {string[]} Declared names.
+ */
+function declaredNames(source) {
+  const pattern = /^(?:function\s+([A-Za-z_$][\w$]*)|(?:const|let|var)\s+([A-Za-z_$][\w$]*))/gm;
+  const names = [];
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    names.push(match[1] || match[2]);
+  }
+  return names;
+}
+
+module.exports = { loadAppsScript, loadAppsScriptProject };
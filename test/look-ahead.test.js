@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for zeroclick/look-ahead.js: preparing note docs for upcoming intro calls
+ * and linking them from the calendar events, with LLM calls answered by the mock provider.
+ * Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDate } = require("./harness/apps-script-services");
+const { loadZeroclick, hoursFromNow, addIntroCall, NOTES_FOLDER_ID } = require("./harness/zeroclick");
+
+test("upcoming intro calls get a note doc dated for the call and linked from the event", () => {
+  const { services, project } = loadZeroclick();
+  const tomorrow = addIntroCall(services, "Intro: Dana Whitfield", hoursFromNow(24), { description: "Zoom: https://zoom.us/j/123" });
+  const nextWeek = addIntroCall(services, "Intro: Sam Ortiz", hoursFromNow(24 * 7));
+
+  const prepared = project.prepareUpcomingIntroCalls();
+
+  const notes = services.drive.listFiles(NOTES_FOLDER_ID);
+  assert.equal(prepared.length, 1);
+  assert.equal(notes.length, 1);
+  assert.equal(notes[0].name, `Acme Robotics ${formatDate(tomorrow.start, "America/Los_Angeles", "M/d/yyyy")}`);
+  assert.equal(tomorrow.description, `Zoom: https://zoom.us/j/123\n\nIntro call notes: ${prepared[0].docUrl}`);
+  assert.equal(project.getNoteDocLink(tomorrow.description), prepared[0].docUrl);
+  assert.equal(nextWeek.description, "");
+});
+
+test("a second run skips calls whose notes are already linked", () => {
+  const { services, project } = loadZeroclick(null, { LOOKAHEAD_HOURS: "12" });
+  addIntroCall(services, "Intro: Dana Whitfield", hoursFromNow(2));
+  addIntroCall(services, "Intro: Sam Ortiz", hoursFromNow(24));
+
+  project.prepareUpcomingIntroCalls();
+  const callCount = project.MOCK_LLM_CALLS.length;
+  assert.equal(project.prepareUpcomingIntroCalls().length, 0);
+
+  assert.equal(services.drive.listFiles(NOTES_FOLDER_ID).length, 1);
+  assert.equal(project.MOCK_LLM_CALLS.length, callCount);
+});
+
+test("an event the model ruled out is not classified again until it is edited", () => {
+  const { services, project } = loadZeroclick();
+  project.setMockLLMResponse("classification", "No");
+  const coffee = addIntroCall(services, "Coffee with Dana", hoursFromNow(24));
+  const classifications = () => project.MOCK_LLM_CALLS.filter(call => call.task === "classification").length;
+
+  project.prepareUpcomingIntroCalls();
+  project.prepareUpcomingIntroCalls();
+  assert.equal(classifications(), 1);
+
+  coffee.title = "Coffee with Dana (moved)";
+  coffee.updated = new Date(coffee.updated.getTime() + 60 * 1000);
+  project.prepareUpcomingIntroCalls();
+  assert.equal(classifications(), 2);
+  assert.equal(services.drive.listFiles(NOTES_FOLDER_ID).length, 0);
+});
+
+test("a yes with punctuation or explanation counts as an intro call", () => {
+  const { services, project } = loadZeroclick();
+  project.setMockLLMResponse("classification", request => request.prompt.includes("Coffee") ? "Yes." : "Yes, it is an intro call.");
+  addIntroCall(services, "Coffee with Dana", hoursFromNow(2));
+  addIntroCall(services, "Catch up with Sam", hoursFromNow(3));
+
+  assert.equal(project.prepareUpcomingIntroCalls().length, 2);
+  assert.equal(services.drive.listFiles(NOTES_FOLDER_ID).length, 2);
+});
+
+test("installing the trigger replaces the previous one", () => {
+  const { services, project } = loadZeroclick(null, { LOOKAHEAD_TRIGGER_HOURS: "2" });
+
+  project.installLookAheadTrigger();
+  project.installLookAheadTrigger();
+
+  assert.equal(services.triggers.length, 1);
+  assert.equal(services.triggers[0].handler, "prepareUpcomingIntroCalls");
+  assert.equal(services.triggers[0].everyHours, 2);
+});
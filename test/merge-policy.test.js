@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Unit tests for company-db/merge-policy.js. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript } = require("./load-apps-script");
+
+function loadMergePolicy(mergeRulesProperty) {
+  const PropertiesService = {
+    getScriptProperties: () => ({ getProperty: key => key === "FIELD_MERGE_RULES" ? mergeRulesProperty || null : null })
+  };
+  return loadAppsScript(["company-db/field-registry.js", "company-db/merge-policy.js"], { PropertiesService });
+}
+
+const lib = loadMergePolicy();
+
+const existing = {
+  id: "domain:acme.ai", doc_id: "doc-a", as_of_date: "2024-01-10", date_created: "2024-01-10T12:00:00.000Z",
+  company_name: "Acme", arr_run_rate: 1200000, cash: 5000000, good: "Strong team", analyst_rating: "A"
+};
+const followUp = {
+  id: "domain:acme.ai", doc_id: "doc-b", as_of_date: "2024-03-02", date_created: "2024-03-02T09:00:00.000Z",
+  company_name: "Acme", arr_run_rate: 1800000, cash: null, good: "Fast growth", validation_warnings: null
+};
+
+test("newest non-null value wins for extracted fields", () => {
+  const merged = lib.mergeCompanyRecord(existing, followUp, []);
+  assert.equal(merged.arr_run_rate, 1800000);
+  assert.equal(merged.cash, 5000000);
+});
+
+test("system fields follow the latest parse, except date_created", () => {
+  const merged = lib.mergeCompanyRecord(existing, followUp, []);
+  assert.equal(merged.doc_id, "doc-b");
+  assert.equal(merged.as_of_date, "2024-03-02");
+  assert.equal(merged.date_created, "2024-01-10T12:00:00.000Z");
+});
+
+test("notes fields are appended once, labeled with the doc they came from", () => {
+  const merged = lib.mergeCompanyRecord(existing, followUp, []);
+  assert.equal(merged.good, "Strong team\n\n[2024-03-02 doc:doc-b] Fast growth");
+  assert.equal(lib.mergeCompanyRecord(merged, followUp, []).good, merged.good);
+});
+
+test("re-parsing a doc replaces its notes segment instead of appending reworded text", () => {
+  const first = lib.planRecordUpdate(null, Object.assign({}, existing, { good: "Strong team\n\nGreat references" })).record;
+  const merged = lib.mergeCompanyRecord(first, followUp, []);
+  const reparsed = lib.mergeCompanyRecord(merged, Object.assign({}, followUp, { good: "Growing fast" }), []);
+  const firstAgain = lib.mergeCompanyRecord(reparsed, Object.assign({}, existing, { good: "A strong team" }), []);
+
+  assert.equal(first.good, "[2024-01-10 doc:doc-a] Strong team\n\nGreat references");
+  assert.equal(reparsed.good, "[2024-01-10 doc:doc-a] Strong team\n\nGreat references\n\n[2024-03-02 doc:doc-b] Growing fast");
+  assert.equal(firstAgain.good, "[2024-01-10 doc:doc-a] A strong team\n\n[2024-03-02 doc:doc-b] Growing fast");
+});
+
+test("manual override cells and columns outside the record are kept", () => {
+  const merged = lib.mergeCompanyRecord(existing, followUp, ["arr_run_rate"]);
+  assert.equal(merged.arr_run_rate, 1200000);
+  assert.equal(merged.analyst_rating, "A");
+});
+
+test("field sources follow the value each merged field kept", () => {
+  const stored = Object.assign({}, existing, {
+    field_sources: JSON.stringify({ company_name: "Notes", arr_run_rate: "Notes", cash: "Model.xlsx", good: "Notes" })
+  });
+  const deck = Object.assign({}, followUp, {
+    field_sources: JSON.stringify({ company_name: "Deck.pdf", arr_run_rate: "Deck.pdf", good: "Deck.pdf" })
+  });
+
+  const merged = lib.mergeCompanyRecord(stored, deck, ["arr_run_rate"]);
+  assert.deepEqual(JSON.parse(merged.field_sources), {
+    company_name: "Deck.pdf", arr_run_rate: "Notes", cash: "Model.xlsx", good: "Notes; Deck.pdf"
+  });
+});
+
+test("FIELD_MERGE_RULES overrides the registry rules", () => {
+  const overridden = loadMergePolicy(JSON.stringify({ arr_run_rate: "keep_manual", good: "latest" }));
+  const merged = overridden.mergeCompanyRecord(existing, followUp, []);
+  assert.equal(merged.arr_run_rate, 1200000);
+  assert.equal(merged.good, "Fast growth");
+});
+
+test("getManualOverrideFields reads [manual] cell notes", () => {
+  const fields = lib.getManualOverrideFields(["id", "cash", "nrr"], ["", "[manual] from the Q2 deck", "checked"]);
+  assert.deepEqual(fields, ["cash"]);
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Unit tests for company-db/normalize.js. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript } = require("./load-apps-script");
+
+const lib = loadAppsScript(["company-db/field-registry.js", "company-db/normalize.js"]);
+
+const assertClose = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+
+test("parseAmount expands shorthand and strips currency", () => {
+  assert.equal(lib.parseAmount("400k"), 400000);
+  assert.equal(lib.parseAmount("$1.2M"), 1200000);
+  assert.equal(lib.parseAmount("5B"), 5000000000);
+  assert.equal(lib.parseAmount("USD 3 million"), 3000000);
+  assert.equal(lib.parseAmount("$1,250,000"), 1250000);
+  assert.equal(lib.parseAmount("€50k"), 50000);
+  assert.equal(lib.parseAmount("$2.5mm"), 2500000);
+  assert.equal(lib.parseAmount(1200000), 1200000);
+});
+
+test("parseAmount averages ranges and keeps signs", () => {
+  assert.equal(lib.parseAmount("$20k-30k"), 25000);
+  assert.equal(lib.parseAmount("20-30k"), 25000);
+  assert.equal(lib.parseAmount("$1M to $2M"), 1500000);
+  assert.equal(lib.parseAmount("-$50k"), -50000);
+  assert.equal(lib.parseAmount("($50k)"), -50000);
+});
+
+test("parseAmount returns null when there is no number", () => {
+  assert.equal(lib.parseAmount(null), null);
+  assert.equal(lib.parseAmount("NA"), null);
+  assert.equal(lib.parseAmount(""), null);
+});
+
+test("parseAmount does not read a second number as a range", () => {
+  assert.equal(lib.parseAmount("$5M in 2023"), 5000000);
+});
+
+test("parsePercent converts percentages to decimals", () => {
+  assertClose(lib.parsePercent("15%"), 0.15);
+  assertClose(lib.parsePercent("150%"), 1.5);
+  assertClose(lib.parsePercent("85 percent"), 0.85);
+  assertClose(lib.parsePercent("0.85"), 0.85);
+  assertClose(lib.parsePercent("85"), 0.85);
+  assertClose(lib.parsePercent("250 bps"), 0.025);
+  assertClose(lib.parsePercent("10-12%"), 0.11);
+  assert.equal(lib.parsePercent(null), null);
+});
+
+test("parseDuration converts to months", () => {
+  assert.equal(lib.parseDuration("18 months"), 18);
+  assert.equal(lib.parseDuration("18months"), 18);
+  assert.equal(lib.parseDuration("1.5 years"), 18);
+  assert.equal(lib.parseDuration("2 yrs"), 24);
+  assert.equal(lib.parseDuration("18"), 18);
+});
+
+test("parseMultiple reads multiples and ratios", () => {
+  assert.equal(lib.parseMultiple("3.5x"), 3.5);
+  assert.equal(lib.parseMultiple("3:1"), 3);
+  assert.equal(lib.parseMultiple("3.5"), 3.5);
+});
+
+test("parseYear finds a four-digit year", () => {
+  assert.equal(lib.parseYear("Founded in 2019"), 2019);
+  assert.equal(lib.parseYear("unknown"), null);
+});
+
+test("detectPeriod reads period names and abbreviations", () => {
+  assert.equal(lib.detectPeriod("monthly"), "monthly");
+  assert.equal(lib.detectPeriod("$300k/mo"), "monthly");
+  assert.equal(lib.detectPeriod("per quarter"), "quarterly");
+  assert.equal(lib.detectPeriod("15% annual"), "annual");
+  assert.equal(lib.detectPeriod("$300k"), null);
+});
+
+test("convertRatePeriod compounds churn rates", () => {
+  assertClose(lib.convertRatePeriod(0.02, "monthly", "annual"), 1 - Math.pow(0.98, 12));
+  assertClose(lib.convertRatePeriod(0.01, "monthly", "annual"), 0.113615, 1e-6);
+  assertClose(lib.convertRatePeriod(0.15, "annual", "annual"), 0.15);
+  assertClose(lib.convertRatePeriod(0.05, "quarterly", "annual"), 1 - Math.pow(0.95, 4));
+  assertClose(lib.convertRatePeriod(1 - Math.pow(0.98, 12), "annual", "monthly"), 0.02);
+});
+
+test("convertAmountPeriod converts flows linearly", () => {
+  assert.equal(lib.convertAmountPeriod(2400000, "annual", "monthly"), 200000);
+  assert.equal(lib.convertAmountPeriod(600000, "quarterly", "monthly"), 200000);
+  assert.equal(lib.convertAmountPeriod(100000, "monthly", "annual"), 1200000);
+});
+
+test("normalizeExtractedFields converts raw model output using the registry", () => {
+  const fields = lib.normalizeExtractedFields({
+    company_name: "Acme",
+    arr_run_rate: { raw: "$100k MRR", period: "monthly" },
+    monthly_burn: { raw: "$1.2M", period: "quarterly" },
+    logo_churn_annual: { raw: "2%", period: "monthly" },
+    gross_margin: "85%",
+    nrr: "115%",
+    runway: "18 months",
+    ltv_to_cac: "3.5x",
+    team_size: "about 40",
+    year_founded: "2019",
+    cash: null
+  });
+
+  assert.equal(fields.company_name, "Acme");
+  assert.equal(fields.arr_run_rate, 1200000);
+  assert.equal(fields.monthly_burn, 400000);
+  assertClose(fields.logo_churn_annual, 1 - Math.pow(0.98, 12));
+  assertClose(fields.gross_margin, 0.85);
+  assertClose(fields.nrr, 1.15);
+  assert.equal(fields.runway, 18);
+  assert.equal(fields.ltv_to_cac, 3.5);
+  assert.equal(fields.team_size, 40);
+  assert.equal(fields.year_founded, 2019);
+  assert.equal(fields.cash, null);
+});
+
+test("normalizeExtractedFields falls back to the period in the raw text, then the field's own", () => {
+  const fields = lib.normalizeExtractedFields({
+    monthly_burn: { raw: "$2.4M per year", period: null },
+    logo_churn_annual: { raw: "10%", period: null },
+    arr_run_rate: { raw: null, period: null }
+  });
+
+  assert.equal(fields.monthly_burn, 200000);
+  assertClose(fields.logo_churn_annual, 0.1);
+  assert.equal(fields.arr_run_rate, null);
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for zeroclick/note-registry.js: re-runs reuse a meeting's note doc, and
+ * rescheduled or deleted meetings update or replace it. LLM calls are answered by the mock provider.
+ * Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDate } = require("./harness/apps-script-services");
+const { loadZeroclick, todayAt, hoursFromNow, addIntroCall, NOTES_FOLDER_ID } = require("./harness/zeroclick");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("running the daily workflow twice keeps one doc per meeting", () => {
+  const { services, project } = loadZeroclick();
+  project.setMockLLMResponse("classification", "Yes");
+  addIntroCall(services, "James Freedman and Dana Whitfield", todayAt(10));
+
+  project.testGenerateCompanyInfoFromCalendar();
+  const callCount = project.MOCK_LLM_CALLS.length;
+  project.testGenerateCompanyInfoFromCalendar();
+
+  assert.equal(services.drive.listFiles(NOTES_FOLDER_ID).length, 1);
+  // The second run neither classified nor enriched the registered meeting again
+  assert.equal(project.MOCK_LLM_CALLS.length, callCount);
+});
+
+test("a rescheduled meeting's doc is re-dated instead of replaced", () => {
+  const { services, project } = loadZeroclick();
+  const call = addIntroCall(services, "Intro: Dana Whitfield", hoursFromNow(2));
+  const [first] = project.prepareUpcomingIntroCalls();
+  const noteDate = () => formatDate(call.start, "America/Los_Angeles", "M/d/yyyy");
+  const [doc] = services.drive.listFiles(NOTES_FOLDER_ID);
+  assert.ok(doc.paragraphs.includes(`Date: ${noteDate()}`));
+
+  // Someone added to the Date line before the meeting moved
+  doc.paragraphs = doc.paragraphs.map(text => text.startsWith("Date: ") ? `${text} (tentative)` : text);
+  call.start = new Date(call.start.getTime() + DAY_MS);
+  call.end = new Date(call.end.getTime() + DAY_MS);
+  const [second] = project.prepareUpcomingIntroCalls();
+
+  const notes = services.drive.listFiles(NOTES_FOLDER_ID);
+  assert.equal(second.docUrl, first.docUrl);
+  assert.equal(notes.length, 1);
+  assert.equal(notes[0].name, `Acme Robotics ${noteDate()}`);
+  assert.deepEqual(notes[0].paragraphs.filter(text => text.startsWith("Date:")), [`Date: ${noteDate()}`]);
+  assert.equal(project.getRegisteredNoteDoc(call.id).startTime, call.start.toISOString());
+});
+
+test("a meeting whose doc was deleted gets a new one, linked in place of the old one", () => {
+  const { services, project } = loadZeroclick();
+  const call = addIntroCall(services, "Intro: Dana Whitfield", hoursFromNow(2));
+  const [first] = project.prepareUpcomingIntroCalls();
+
+  services.globals.DriveApp.getFileById(project.getRegisteredNoteDoc(call.id).docId).setTrashed(true);
+  const [second] = project.prepareUpcomingIntroCalls();
+
+  assert.notEqual(second.docUrl, first.docUrl);
+  assert.equal(project.getRegisteredNoteDoc(call.id).docUrl, second.docUrl);
+  assert.equal(call.description, `Intro call notes: ${second.docUrl}`);
+});
+
+test("entries for meetings long past are pruned", () => {
+  const { services, project } = loadZeroclick();
+  const old = addIntroCall(services, "Intro: Dana Whitfield", hoursFromNow(-45 * 24));
+  const recent = addIntroCall(services, "Intro: Sam Ortiz", hoursFromNow(-2 * 24));
+  [old, recent].forEach(call => project.registerNoteDoc(
+    { title: call.title, eventId: call.id, startTime: call.start }, "https://docs.google.com/document/d/doc-1/edit", NOTES_FOLDER_ID));
+
+  assert.equal(project.pruneNoteDocRegistry(), 1);
+  assert.equal(project.getRegisteredNoteDoc(old.id), null);
+  assert.equal(project.getRegisteredNoteDoc(recent.id).docId, "doc-1");
+});
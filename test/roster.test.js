@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Tests for zeroclick/roster.js and the zeroclick code it drives: internal domains,
+ * counterpart names and the intro call rules. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript, loadAppsScriptProject } = require("./load-apps-script");
+const { createAppsScriptServices } = require("./harness/apps-script-services");
+
+const ROSTER = [
+  { name: "Priya Raman", email: "Priya@northwind.vc", aliases: ["PR"], role: "partner" },
+  { name: "Sam Ortiz", email: "sam@northwind.vc", role: "partner" },
+  { name: "Lee Chen", email: "lee@northwind.vc", role: "team" }
+];
+
+function loadRoster(roster) {
+  const properties = roster ? { TEAM_ROSTER: JSON.stringify(roster) } : {};
+  return loadAppsScript(["zeroclick/roster.js", "zeroclick/extract-info.js"], {
+    PropertiesService: { getScriptProperties: () => ({ getProperty: key => properties[key] || null }) }
+  });
+}
+
+test("the default roster covers the whole team", () => {
+  const roster = loadRoster();
+
+  assert.deepEqual([...roster.getRosterEmails("partner")], ["james@scopvc.com", "miket@scopvc.com"]);
+  assert.equal(roster.isInternalEmail("Cormac@ScopVC.com"), true);
+  assert.equal(roster.extractCounterpartName("Jon Kokot and James Freedman"), "Jon Kokot");
+  assert.equal(roster.extractCounterpartName("Jane Doe + Mike Tucker, Ivan Bercovich"), "Jane Doe");
+  // Kevin is on the roster by first name only, so a founder named Kevin keeps that name
+  assert.equal(roster.extractCounterpartName("Kevin Lee and James Freedman"), "Kevin Lee");
+});
+
+test("TEAM_ROSTER replaces the default team", () => {
+  const roster = loadRoster(ROSTER);
+
+  assert.equal(roster.findRosterMember("priya@northwind.vc").name, "Priya Raman");
+  assert.equal(roster.isInternalEmail("someone@northwind.vc"), true);
+  assert.equal(roster.isInternalEmail("james@scopvc.com"), false);
+  assert.equal(roster.extractCounterpartName("PR & Dana Whitfield"), "Dana Whitfield");
+  // Names are only stripped as whole words
+  assert.equal(roster.extractCounterpartName("Sam Ortizo and Sam Ortiz"), "Sam Ortizo");
+});
+
+test("TEAM_ROSTER entries need a name, an email and a known role", () => {
+  assert.throws(() => loadRoster([{ name: "Lee Chen", role: "team" }]).getTeamRoster(), /needs a name and an email/);
+  assert.throws(() => loadRoster([{ name: "Lee Chen", email: "lee@northwind.vc", role: "analyst" }]).getTeamRoster(),
+    /Invalid TEAM_ROSTER role "analyst"/);
+});
+
+test("intro call rules and the classifier prompt follow the roster", () => {
+  const services = createAppsScriptServices({ properties: { TEAM_ROSTER: JSON.stringify(ROSTER) } });
+  const project = loadAppsScriptProject("zeroclick", services.globals);
+  const start = new Date();
+  const end = new Date(start.getTime() + 3600000);
+  services.calendar.addEvent({ title: "Intro call", start, end, guests: ["sam@northwind.vc", "dana@acmerobotics.io"] });
+  services.calendar.addEvent({ title: "Pitch", start, end, guests: ["priya@northwind.vc", "lee@northwind.vc", "dana@acmerobotics.io"] });
+  services.calendar.addEvent({ title: "Sync", start, end, guests: ["priya@northwind.vc", "lee@northwind.vc"] });
+
+  const calendar = services.globals.CalendarApp.getDefaultCalendar();
+  const rules = calendar.getEvents(new Date(0), new Date(8.64e15))
+    .map(event => project.classifyIntroCall(event, {}).rule);
+
+  assert.deepEqual([...rules], ["intro_title", "team_pitch", "all_internal"]);
+  assert.match(project.buildIntroCallSystemPrompt(), /partners: Priya Raman \(priya@northwind\.vc\), Sam Ortiz \(sam@northwind\.vc\)\./);
+  assert.match(project.buildIntroCallSystemPrompt(), /all of our team \(Lee Chen \(lee@northwind\.vc\)\)/);
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Tests for company-db/source-text.js: reading decks, spreadsheets and uploaded files,
+ * and a batch run and an extraction mode comparison over a company folder holding more than note
+ * docs, with extraction answered by the mock LLM provider. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScriptProject } = require("./load-apps-script");
+const { createAppsScriptServices, MIME_TYPES } = require("./harness/apps-script-services");
+
+const SPREADSHEET_ID = "spreadsheet-test";
+const MASTER_FOLDER_ID = "folder-master";
+
+const DECK_SLIDES = [
+  { shapes: ["Acme Robotics", "Autonomous picking for 3PL warehouses"], notes: "Team of 42 across Pittsburgh and Austin" },
+  { shapes: ["Traction"], tables: [[["Metric", "Value"], ["ARR", "$3.6M"]]] }
+];
+
+function loadCompanyDb() {
+  const services = createAppsScriptServices({
+    properties: { SPREADSHEET_ID, MASTER_FOLDER_ID, EXTRACTION_MODE: "combined", LLM_TASK_CONFIG: JSON.stringify({ extraction: { provider: "mock" } }) }
+  });
+  return { services, project: loadAppsScriptProject("company-db", services.globals) };
+}
+
+test("reads decks slide by slide and spreadsheets sheet by sheet", () => {
+  const { services, project } = loadCompanyDb();
+  const deckId = services.drive.addFile("root", "Acme Deck", MIME_TYPES.GOOGLE_SLIDES, { slides: DECK_SLIDES });
+  const modelId = services.drive.addFile("root", "Acme Model", MIME_TYPES.GOOGLE_SHEETS);
+  services.globals.SpreadsheetApp.openById(modelId).insertSheet("Summary")
+    .getRange(1, 1, 3, 3).setValues([["Metric", "Value", ""], ["", "", ""], ["Cash", "$8.4M", ""]]);
+
+  assert.equal(project.readSourceFileText(services.globals.DriveApp.getFileById(deckId)),
+    "Slide 1\nAcme Robotics\nAutonomous picking for 3PL warehouses\nSpeaker notes: Team of 42 across Pittsburgh and Austin\n\n" +
+    "Slide 2\nTraction\nMetric\tValue\nARR\t$3.6M");
+  assert.equal(project.readSourceFileText(services.globals.DriveApp.getFileById(modelId)),
+    "Sheet: Summary\nMetric\tValue\nCash\t$8.4M");
+});
+
+test("reads uploaded files through a converted copy that is deleted afterwards", () => {
+  const { services, project } = loadCompanyDb();
+  const pdfId = services.drive.addFile("root", "Acme Deck.pdf", MIME_TYPES.PDF, { paragraphs: ["Acme Robotics", "Raising $15M"] });
+  const pptxId = services.drive.addFile("root", "Acme Deck.pptx", MIME_TYPES.MICROSOFT_POWERPOINT, { slides: DECK_SLIDES.slice(1) });
+  const itemCount = Object.keys(services.drive.items).length;
+
+  assert.equal(project.readSourceFileText(services.globals.DriveApp.getFileById(pdfId)), "Acme Robotics\nRaising $15M");
+  assert.equal(project.readSourceFileText(services.globals.DriveApp.getFileById(pptxId)), "Slide 1\nTraction\nMetric\tValue\nARR\t$3.6M");
+  assert.equal(Object.keys(services.drive.items).length, itemCount);
+
+  const imageId = services.drive.addFile("root", "logo.png", "image/png");
+  assert.equal(project.isSupportedSourceFile(services.globals.DriveApp.getFileById(imageId)), false);
+  assert.throws(() => project.readSourceFileText(services.globals.DriveApp.getFileById(imageId)), /Unsupported source file type image\/png/);
+});
+
+test("a batch run parses every readable file in a company folder and records each field's source file", () => {
+  const { services, project } = loadCompanyDb();
+  services.drive.addFolder("Master", "root", MASTER_FOLDER_ID);
+  const folderId = services.drive.addFolder("Acme Robotics", MASTER_FOLDER_ID);
+  services.drive.addDoc(folderId, "Acme Robotics 3/14/2025", "Acme Robotics (acmerobotics.io)\nLocation: Pittsburgh, PA\nCash: $8.4M");
+  services.drive.addFile(folderId, "Acme Deck.pdf", MIME_TYPES.PDF, { paragraphs: ["Acme Robotics", "acmerobotics.io", "Team: 42"] });
+  services.drive.addFile(folderId, "Acme Model.xlsx", MIME_TYPES.MICROSOFT_EXCEL, {
+    sheets: { Summary: [["Company", "Acme Robotics"], ["Website", "acmerobotics.io"], ["Cash", "$9M"]] }
+  });
+  services.drive.addFile(folderId, "logo.png", "image/png");
+
+  // Each source's fields, told apart by a line only that source's text contains
+  const sources = [
+    { marker: "Location:", fields: { location: "Pittsburgh, PA", cash: "$8.4M" } },
+    { marker: "Team: 42", fields: { team_size: "42" } },
+    { marker: "Sheet: Summary", fields: { cash: "$9M" } }
+  ];
+  project.setMockLLMResponse("extraction", request => {
+    const source = sources.find(entry => request.prompt.indexOf(entry.marker) !== -1);
+    return Object.assign(project.buildEmptyValue(request.schema),
+      { company_name: "Acme Robotics", url: "acmerobotics.io" }, source.fields);
+  });
+
+  project.processAllCompaniesInMasterFolder();
+
+  const companies = services.spreadsheets.readRecords(SPREADSHEET_ID, "Companies");
+  assert.equal(companies.length, 1);
+  assert.equal(companies[0].cash, 9000000);
+  assert.equal(companies[0].team_size, 42);
+  assert.equal(companies[0].location, "Pittsburgh, PA");
+  assert.deepEqual(JSON.parse(companies[0].field_sources), {
+    company_name: "Acme Model.xlsx",
+    cash: "Acme Model.xlsx",
+    team_size: "Acme Deck.pdf",
+    location: "Acme Robotics 3/14/2025",
+    url: "Acme Model.xlsx"
+  });
+  assert.match(companies[0].doc_url, /^https:\/\/drive\.google\.com\/file\/d\/.+\/view$/);
+
+  const runs = services.spreadsheets.readRecords(SPREADSHEET_ID, "Runs");
+  assert.equal(runs[0].processed, 3);
+  assert.equal(project.MOCK_LLM_CALLS.length, 3);
+  // The converted copies are gone
+  assert.ok(Object.values(services.drive.items).every(item => item.name.indexOf("[parser temp]") !== 0));
+});
+
+test("the extraction mode comparison samples the same files a batch run parses", () => {
+  const { services, project } = loadCompanyDb();
+  services.drive.addFolder("Master", "root", MASTER_FOLDER_ID);
+  const folderId = services.drive.addFolder("Acme Robotics", MASTER_FOLDER_ID);
+  services.drive.addDoc(folderId, "Acme Robotics 3/14/2025", "Acme Robotics (acmerobotics.io)\nCash: $8.4M");
+  services.drive.addFile(folderId, "logo.png", "image/png");
+  services.drive.addFile(folderId, "Acme Deck.pdf", MIME_TYPES.PDF, { paragraphs: ["Acme Robotics", "Team: 42"] });
+  project.setMockLLMResponse("extraction", request =>
+    Object.assign(project.buildEmptyValue(request.schema), { company_name: "Acme Robotics" }));
+
+  project.compareExtractionModesOnSampleDocs();
+
+  const rows = services.spreadsheets.readRecords(SPREADSHEET_ID, "Mode Comparison");
+  assert.deepEqual(rows.map(row => row.doc_name), ["Acme Robotics 3/14/2025", "Acme Deck.pdf"]);
+});
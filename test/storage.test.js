@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Unit tests for the Drive and HTTP backends in company-db/storage.js,
+ * against in-memory fakes of DriveApp and UrlFetchApp. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAppsScript } = require("./load-apps-script");
+
+const FILES = [
+  "company-db/field-registry.js", "company-db/merge-policy.js", "company-db/snapshots.js", "company-db/storage.js",
+  "company-db/openai-client.js"
+];
+
+function scriptProperties(values) {
+  return { getScriptProperties: () => ({ getProperty: key => values[key] || null }) };
+}
+
+// A Drive folder holding files by name
+function fakeDrive() {
+  const files = {};
+  const iterator = name => {
+    const found = name in files ? [name] : [];
+    return {
+      hasNext: () => found.length > 0,
+      next: () => {
+        const fileName = found.shift();
+        return {
+          getBlob: () => ({ getDataAsString: () => files[fileName] }),
+          setContent: content => files[fileName] = content
+        };
+      }
+    };
+  };
+  const folder = {
+    getName: () => "store",
+    getFilesByName: iterator,
+    createFile: (name, content) => files[name] = content
+  };
+  return { files, DriveApp: { getFolderById: () => folder } };
+}
+
+// A REST API keeping records and snapshots in memory; it answers the first `unavailable` requests with a 503
+function fakeApi(unavailable) {
+  const records = {};
+  const snapshots = {};
+  const requests = [];
+  const respond = (code, body) => ({
+    getResponseCode: () => code,
+    getContentText: () => body === undefined ? "" : JSON.stringify(body),
+    getAllHeaders: () => ({})
+  });
+
+  const UrlFetchApp = {
+    fetch: (url, options) => {
+      requests.push(`${options.method} ${url}`);
+      if (requests.length <= (unavailable || 0)) {
+        return respond(503, { error: "unavailable" });
+      }
+      const path = decodeURIComponent(url.replace("https://api.example.com", ""));
+      const body = options.payload ? JSON.parse(options.payload) : undefined;
+      let match;
+      if ((match = path.match(/^\/companies\/([^/]+)\/snapshots\/(.+)$/))) {
+        snapshots[match[1]] = Object.assign(snapshots[match[1]] || {}, { [match[2]]: body });
+        return respond(200, body);
+      }
+      if ((match = path.match(/^\/companies\/([^/]+)\/snapshots$/))) {
+        return respond(200, Object.values(snapshots[match[1]] || {}));
+      }
+      if ((match = path.match(/^\/companies\/([^/]+)$/))) {
+        if (options.method === "put") {
+          records[match[1]] = body;
+          return respond(200, body);
+        }
+        return records[match[1]] ? respond(200, records[match[1]]) : respond(404, { error: "not found" });
+      }
+      return respond(200, Object.values(records));
+    }
+  };
+  return { records, requests, UrlFetchApp };
+}
+
+const january = { id: "domain:acme.ai", doc_id: "doc-a", as_of_date: "2024-01-10", company_name: "Acme", arr_run_rate: 1000000, cash: 4000000 };
+const march = { id: "domain:acme.ai", doc_id: "doc-b", as_of_date: "2024-03-02", company_name: "Acme", arr_run_rate: 1500000, cash: null };
+
+test("getCompanyStore rejects unknown backends", () => {
+  const lib = loadAppsScript(FILES, { PropertiesService: scriptProperties({ STORAGE_BACKEND: "ftp" }) });
+  assert.throws(() => lib.getCompanyStore(), /Unknown STORAGE_BACKEND "ftp"/);
+});
+
+test("Drive backend merges records and keeps one snapshot per doc", () => {
+  const drive = fakeDrive();
+  const lib = loadAppsScript(FILES, {
+    PropertiesService: scriptProperties({ STORAGE_BACKEND: "drive", STORAGE_DRIVE_FOLDER_ID: "folder" }),
+    DriveApp: drive.DriveApp
+  });
+  const store = lib.getCompanyStore();
+
+  assert.deepEqual({ ...store.upsertRecords([january]) }, { appended: 1, updated: 0, kept: 0 });
+  assert.deepEqual({ ...store.upsertRecords([march, january]) }, { appended: 0, updated: 1, kept: 1 });
+
+  const record = store.getRecord("domain:acme.ai");
+  assert.equal(record.arr_run_rate, 1500000);
+  assert.equal(record.cash, 4000000);
+  assert.equal(store.listRecords().length, 1);
+  assert.deepEqual([...store.getHistory("domain:acme.ai").map(snapshot => snapshot.as_of_date)], ["2024-01-10", "2024-03-02"]);
+  assert.equal(drive.files["snapshots.ndjson"].trim().split("\n").length, 2);
+});
+
+test("a deck dated like the notes gets its own snapshot instead of overwriting the notes snapshot", () => {
+  const drive = fakeDrive();
+  const lib = loadAppsScript(FILES, {
+    PropertiesService: scriptProperties({ STORAGE_BACKEND: "drive", STORAGE_DRIVE_FOLDER_ID: "folder" }),
+    DriveApp: drive.DriveApp
+  });
+  const store = lib.getCompanyStore();
+  const deck = Object.assign({}, january, { doc_id: "deck-a", arr_run_rate: 1100000 });
+
+  store.upsertRecords([january, deck]);
+  store.upsertRecords([Object.assign({}, deck, { arr_run_rate: 1200000 })]);
+
+  const history = store.getHistory("domain:acme.ai");
+  assert.deepEqual([...history.map(snapshot => `${snapshot.doc_id} ${snapshot.arr_run_rate}`)], ["doc-a 1000000", "deck-a 1200000"]);
+});
+
+test("HTTP backend merges client-side and stores snapshots by doc", () => {
+  const api = fakeApi();
+  const lib = loadAppsScript(FILES, {
+    PropertiesService: scriptProperties({ STORAGE_BACKEND: "http", STORAGE_HTTP_URL: "https://api.example.com/" }),
+    UrlFetchApp: api.UrlFetchApp
+  });
+  const store = lib.getCompanyStore();
+
+  store.upsertRecords([march]);
+  store.upsertRecords([january, Object.assign({}, january, { doc_id: "deck-a" })]);
+
+  assert.equal(store.getRecord("domain:acme.ai").arr_run_rate, 1500000);
+  assert.equal(store.getRecord("domain:unknown.com"), null);
+  assert.deepEqual([...store.getHistory("domain:acme.ai").map(snapshot => snapshot.as_of_date)], ["2024-01-10", "2024-01-10", "2024-03-02"]);
+  assert.ok(!api.requests.some(request => request.endsWith("//companies")), "base URL trailing slash is trimmed");
+});
+
+test("HTTP backend retries transient failures and gives up on other errors", () => {
+  const api = fakeApi(2);
+  const lib = loadAppsScript(FILES, {
+    PropertiesService: scriptProperties({ STORAGE_BACKEND: "http", STORAGE_HTTP_URL: "https://api.example.com" }),
+    UrlFetchApp: api.UrlFetchApp,
+    Utilities: { sleep: () => {} }
+  });
+
+  lib.getCompanyStore().upsertRecords([january]);
+  assert.equal(api.records["domain:acme.ai"].arr_run_rate, 1000000);
+  assert.equal(api.requests.length, 5);
+
+  const broken = loadAppsScript(FILES, {
+    PropertiesService: scriptProperties({ STORAGE_BACKEND: "http", STORAGE_HTTP_URL: "https://api.example.com" }),
+    UrlFetchApp: { fetch: () => ({ getResponseCode: () => 400, getContentText: () => "bad record", getAllHeaders: () => ({}) }) },
+    Utilities: { sleep: () => {} }
+  });
+  assert.throws(() => broken.getCompanyStore().upsertRecords([january]), /failed with status 400: bad record/);
+});
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Offline end-to-end test of zeroclick's calendar-to-note-doc workflow
+ * (`testGenerateCompanyInfoFromCalendar`) against in-memory Apps Script services, with LLM calls
+ * replayed from test/fixtures/recordings/zeroclick-intro-call.json. Run with `node --test test/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadZeroclick, todayAt, JAMES_CALENDAR_ID, NOTES_FOLDER_ID } = require("./harness/zeroclick");
+
+test("today's intro call gets a pre-filled note doc and the team pitch is ignored", () => {
+  const { services, project } = loadZeroclick("zeroclick-intro-call");
+  services.calendar.addEvent({
+    calendarId: JAMES_CALENDAR_ID, title: "James Freedman and Dana Whitfield", start: todayAt(10), end: todayAt(11),
+    guests: ["james@scopvc.com", "dana@acmerobotics.io"]
+  });
+  services.calendar.addEvent({
+    calendarId: JAMES_CALENDAR_ID, title: "Birch Health team pitch", start: todayAt(14), end: todayAt(15),
+    guests: ["james@scopvc.com", "kevin@scopvc.com", "cormac@scopvc.com", "ivan@scopvc.com", "priya@birchhealth.com"]
+  });
+
+  project.testGenerateCompanyInfoFromCalendar();
+  services.http.save();
+
+  const notes = services.drive.listFiles(NOTES_FOLDER_ID);
+  assert.equal(notes.length, 1);
+  assert.match(notes[0].name, /^Acme Robotics \d{1,2}\/\d{1,2}\/\d{4}$/);
+
+  const text = services.drive.getDocText(notes[0].id);
+  assert.match(text, /Company Name: Acme Robotics/);
+  assert.match(text, /Members: James <> Dana Whitfield/);
+  assert.match(text, /URL: https:\/\/www\.acmerobotics\.io/);
+  assert.match(text, /Linkedin: https:\/\/www\.linkedin\.com\/company\/acme-robotics/);
+  assert.match(text, /Year founded: 2019/);
+
+  // Only the intro call needed the classifier model (the team pitch is ruled out locally) and was enriched
+  const calls = services.http.requests.map(request => request.url.split("/v1/")[1]);
+  assert.deepEqual(calls, ["chat/completions", "responses", "responses"]);
+  assert.match(services.http.requests[1].payload.input, /acmerobotics\.io/);
+});
+
+test("obvious events are decided by rule without calling the classifier model", () => {
+  const { services, project } = loadZeroclick("zeroclick-intro-call");
+  const founder = ["james@scopvc.com", "dana@acmerobotics.io"];
+  services.calendar.addEvent({ calendarId: JAMES_CALENDAR_ID, title: "Focus time", start: todayAt(8), end: todayAt(9) });
+  services.calendar.addEvent({ calendarId: JAMES_CALENDAR_ID, title: "Partner sync", start: todayAt(9), end: todayAt(10), guests: ["james@scopvc.com", "miket@scopvc.com"] });
+  services.calendar.addEvent({ calendarId: JAMES_CALENDAR_ID, title: "Offsite", start: todayAt(0), end: todayAt(23), guests: founder, allDay: true });
+  services.calendar.addEvent({ calendarId: JAMES_CALENDAR_ID, title: "Weekly check-in", start: todayAt(11), end: todayAt(12), guests: founder, recurring: true });
+  services.calendar.addEvent({ calendarId: JAMES_CALENDAR_ID, title: "Coffee", start: todayAt(12), end: todayAt(13), guests: founder, guestStatuses: { "james@scopvc.com": "NO" } });
+  services.calendar.addEvent({ calendarId: JAMES_CALENDAR_ID, title: "Intro: Acme Robotics", start: todayAt(15), end: todayAt(16), guests: founder });
+
+  const introCalls = project.processTodayCalendarEvents();
+
+  assert.equal(services.http.requests.length, 0);
+  assert.deepEqual([...introCalls.map(summary => `${summary.title} ${summary.classification.decidedBy} ${summary.classification.rule}`)],
+    ["Intro: Acme Robotics rule intro_title"]);
+});
+
+test("an invite sent by the founder counts the founder as an external guest", () => {
+  const { services, project } = loadZeroclick();
+  project.setMockLLMResponse("classification", "Yes");
+  const invite = { calendarId: JAMES_CALENDAR_ID, owner: "dana@acmerobotics.io", guests: ["james@scopvc.com"] };
+  services.calendar.addEvent(Object.assign({ title: "Intro: Acme Robotics", start: todayAt(10), end: todayAt(11) }, invite));
+  services.calendar.addEvent(Object.assign({ title: "Dana / James", start: todayAt(14), end: todayAt(15) }, invite));
+
+  const introCalls = project.processTodayCalendarEvents();
+
+  assert.deepEqual([...introCalls.map(summary => `${summary.title} ${summary.classification.decidedBy}`)],
+    ["Intro: Acme Robotics rule", "Dana / James model"]);
+  assert.equal(introCalls[0].attendees, "james@scopvc.com, dana@acmerobotics.io");
+});
+
+test("a call is classified by the response of the partner whose calendar it is on", () => {
+  const roster = [
+    { name: "James Freedman", email: "james@scopvc.com", role: "partner" },
+    { name: "Mike Tucker", email: "miket@scopvc.com", role: "partner", calendarId: "mike-calendar" }
+  ];
+  const { services, project } = loadZeroclick(null, { TEAM_ROSTER: JSON.stringify(roster) });
+  // Mike declined; the script's account (myStatus) did not
+  const shared = {
+    id: "event-shared", title: "Intro: Acme Robotics", start: todayAt(10), end: todayAt(11),
+    guests: ["james@scopvc.com", "miket@scopvc.com", "dana@acmerobotics.io"], guestStatuses: { "miket@scopvc.com": "NO" }
+  };
+  services.calendar.addEvent(Object.assign({ calendarId: JAMES_CALENDAR_ID }, shared));
+  services.calendar.addEvent(Object.assign({ calendarId: "mike-calendar" }, shared));
+  services.calendar.addEvent({
+    calendarId: "mike-calendar", title: "Intro: Birch Health", start: todayAt(14), end: todayAt(15),
+    guests: ["miket@scopvc.com", "priya@birchhealth.com"], guestStatuses: { "miket@scopvc.com": "NO" }
+  });
+
+  const introCalls = project.processTodayCalendarEvents();
+
+  assert.deepEqual([...introCalls.map(summary => `${summary.title}: ${summary.partners.map(partner => partner.name).join(", ")}`)],
+    ["Intro: Acme Robotics: James Freedman"]);
+});
+
+test("a day without intro calls creates no docs", () => {
+  const { services, project } = loadZeroclick("zeroclick-intro-call");
+
+  project.testGenerateCompanyInfoFromCalendar();
+
+  assert.equal(services.drive.listFiles(NOTES_FOLDER_ID).length, 0);
+  assert.equal(services.http.requests.length, 0);
+});
+
+test("each partner's intro calls are filed in their own folder with them in the Members line", () => {
+  const roster = [
+    { name: "James Freedman", email: "james@scopvc.com", role: "partner", notesFolderId: NOTES_FOLDER_ID },
+    { name: "Mike Tucker", email: "miket@scopvc.com", role: "partner", calendarId: "mike-calendar", notesFolderId: "folder-mike" },
+    { name: "Kevin", email: "kevin@scopvc.com", role: "team" }
+  ];
+  const { services, project } = loadZeroclick(null, { TEAM_ROSTER: JSON.stringify(roster) });
+  services.drive.addFolder("Mike's Notes", "root", "folder-mike");
+  project.setMockLLMResponse("company_details_from_domain", request => {
+    const name = /acmerobotics/.test(request.prompt) ? "Acme Robotics" : "Birch Health";
+    return { website: "NA", description: "NA", name, location: "NA", yearFounded: "NA" };
+  });
+  project.setMockLLMResponse("classification", "Yes");
+
+  const shared = { title: "James Freedman, Mike Tucker and Dana Whitfield", start: todayAt(10), end: todayAt(11), guests: ["james@scopvc.com", "miket@scopvc.com", "dana@acmerobotics.io"] };
+  services.calendar.addEvent(Object.assign({ calendarId: JAMES_CALENDAR_ID, id: "event-shared" }, shared));
+  services.calendar.addEvent(Object.assign({ calendarId: "mike-calendar", id: "event-shared" }, shared));
+  services.calendar.addEvent({
+    calendarId: "mike-calendar", title: "Priya Shah and Mike Tucker", start: todayAt(14), end: todayAt(15),
+    guests: ["miket@scopvc.com", "priya@birchhealth.com"]
+  });
+
+  project.testGenerateCompanyInfoFromCalendar();
+
+  const jamesNotes = services.drive.listFiles(NOTES_FOLDER_ID);
+  const mikeNotes = services.drive.listFiles("folder-mike");
+  assert.deepEqual(jamesNotes.map(note => note.name.split(" ").slice(0, 2).join(" ")), ["Acme Robotics"]);
+  assert.deepEqual(mikeNotes.map(note => note.name.split(" ").slice(0, 2).join(" ")), ["Birch Health"]);
+  assert.match(services.drive.getDocText(jamesNotes[0].id), /^Members: James, Mike <> Dana Whitfield$/m);
+  assert.match(services.drive.getDocText(mikeNotes[0].id), /^Members: Mike <> Priya Shah$/m);
+  // The shared call was classified once, on James's calendar
+  assert.equal(project.MOCK_LLM_CALLS.filter(call => call.task === "classification").length, 2);
+});
@@ -3,21 +3,28 @@
  * with pre-filled company information, which serves as a note-taking template.
  */
 
+// The ID of the Google Drive folder for note docs of partners without their own `notesFolderId` (see roster.js).
+// To find the folder ID, open the folder in your browser; the ID is the last part of the URL.
+const DEFAULT_NOTES_FOLDER_ID = "1YPrT-_fLgPk4V5LSffNqo5O0grJ6Olnl";
+
 /**
- * Creates a Google Doc with details about a company and saves it to a specified Drive folder.
+ * Creates a Google Doc with details about a company and saves it to the notes folder of the
+ * first partner on the call.
  *
  * @param {object} companyInfo - An object containing the company's details, such as name, website, etc.
+ * @param {object[]} [partners] - Roster members taking the call (see roster.js); the first partner on the roster by default.
+ * @param {Date} [meetingDate] - When the call takes place, for the doc's title and Date line; today by default.
  * @returns {string} The URL of the newly created Google Doc.
  */
-function createCompanyNoteDoc(companyInfo) {
+function createCompanyNoteDoc(companyInfo, partners, meetingDate) {
   // --- Configuration ---
-  // The ID of the Google Drive folder where the new document will be saved.
-  // To find the folder ID, open the folder in your browser; the ID is the last part of the URL.
-  const folderId = "1YPrT-_fLgPk4V5LSffNqo5O0grJ6Olnl";
-  const folder = DriveApp.getFolderById(folderId);
+  if (!partners || partners.length === 0) {
+    partners = getRosterPartners().slice(0, 1);
+  }
+  const folder = DriveApp.getFolderById(getNotesFolderId(partners));
 
   // --- Document Creation ---
-  const rawdate = new Date();
+  const rawdate = meetingDate || new Date();
   const date = Utilities.formatDate(rawdate, Session.getScriptTimeZone(), "M/d/yyyy");
 
   const docTitle = `${companyInfo.name} ${date}`;
@@ -29,8 +36,8 @@ function createCompanyNoteDoc(companyInfo) {
   // representing a line with a label and a pre-filled value from companyInfo.
   const fields = [
     ["Company Name:", companyInfo.name || ""],
-    ["Date:", new Date().toLocaleDateString()],
-    ["Members:", `James <> ${companyInfo.counterpartName || ""}`],
+    ["Date:", date],
+    ["Members:", `${partners.map(getRosterShortName).join(", ")} <> ${companyInfo.counterpartName || ""}`],
     ["URL:", companyInfo.website || ""],
     ["", ""],
     ["Link to deck:", ""],
@@ -106,3 +113,13 @@ function createCompanyNoteDoc(companyInfo) {
   Logger.log(`Created doc in folder: ${docTitle}`);
   return doc.getUrl();
 }
+
+/**
+ * Gets the folder a call's note doc is filed in: the notes folder of the first partner on the call.
+ * @param {object[]} [partners] - Roster members taking the call; the first partner on the roster by default.
+ * @returns {string} The folder ID.
+ */
+function getNotesFolderId(partners) {
+  const partner = partners && partners.length > 0 ? partners[0] : getRosterPartners()[0];
+  return (partner && partner.notesFolderId) || DEFAULT_NOTES_FOLDER_ID;
+}
@@ -3,6 +3,9 @@
  * First, it gets company details from a domain, then it finds the LinkedIn URL.
  *
  * Note: This script requires the `OPENAI_API_KEY` to be set as a script property.
+ * The lookups use the models configured for the "web_search" and "linkedin_search" tasks
+ * (see llm-provider.js); calls go through the shared client (openai-client.js), which retries
+ * transient failures.
  */
 
 /**
@@ -14,11 +17,11 @@
  * @returns {object} An object containing the company's website, LinkedIn URL, name, description, location, and year founded.
  */
 function generateCompanyInfo(summary) {
-  // Extract external email domains from the list of attendees.
+  // Extract external email domains from the list of attendees (see roster.js for who is internal).
   const externalEmails = summary.attendees
     .split(',')
     .map(e => e.trim())
-    .filter(email => !email.toLowerCase().endsWith('@scopvc.com'));
+    .filter(email => email && !isInternalEmail(email));
 
   // Determine the primary domain from the list of unique domains.
   const domains = [...new Set(externalEmails.map(e => e.split('@')[1]))];
@@ -60,43 +63,26 @@ function generateCompanyInfo(summary) {
  * @returns {object} The company details.
  */
 function getCompanyDetailsFromDomain(domain) {
-  const payload = {
-    model: "gpt-4.1",
-    tools: [{ type: "web_search_preview" }],
-    input: `From the domain "${domain}", find the company's official website, a one-sentence description, its name, headquarters location, and the year it was founded. You may need to visit the company website to find all details. If any field isn't available, return 'NA' for it.`,
-    text: {
-      format: {
-        type: "json_schema",
-        name: "company_details_from_domain",
-        strict: true,
-        schema: {
-          type: "object",
-          properties: {
-            website: { type: "string", description: "The official website of the company." },
-            description: { type: "string", description: "A one-sentence description of the company." },
-            name: { type: "string", description: "The name of the company." },
-            location: { type: "string", description: "The headquarters location of the company." },
-            yearFounded: { type: "string", description: "The year the company was founded." }
-          },
-          required: ["website", "description", "name", "location", "yearFounded"],
-          additionalProperties: false
-        }
-      }
+  const request = {
+    webSearch: true,
+    prompt: `From the domain "${domain}", find the company's official website, a one-sentence description, its name, headquarters location, and the year it was founded. You may need to visit the company website to find all details. If any field isn't available, return 'NA' for it.`,
+    schemaName: "company_details_from_domain",
+    schema: {
+      type: "object",
+      properties: {
+        website: { type: "string", description: "The official website of the company." },
+        description: { type: "string", description: "A one-sentence description of the company." },
+        name: { type: "string", description: "The name of the company." },
+        location: { type: "string", description: "The headquarters location of the company." },
+        yearFounded: { type: "string", description: "The year the company was founded." }
+      },
+      required: ["website", "description", "name", "location", "yearFounded"],
+      additionalProperties: false
     }
   };
 
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: { Authorization: `Bearer ${OPENAI_API_KEY}` },
-    payload: JSON.stringify(payload)
-  };
-
   try {
-    const response = UrlFetchApp.fetch("https://api.openai.com/v1/responses", options);
-    const result = JSON.parse(response.getContentText());
-    const message = result.output.find(item => item.type === "message");
-    return JSON.parse(message.content[0].text);
+    return generateStructured("web_search", request);
   } catch (e) {
     Logger.log(`Error getting company details: ${e}`);
     return { website: "NA", description: "NA", name: "NA", location: "NA", yearFounded: "NA" };
@@ -113,39 +99,22 @@ function findLinkedInUrl(name, description) {
   if (!name || name === "NA") {
     return "NA";
   }
-  const payload = {
-    model: "gpt-4o",
-    tools: [{ type: "web_search_preview" }],
-    input: `Find the official LinkedIn company page for a company named "${name}" with the description "${description}". Return only the URL. If you are not able to find the company, return "NA".`,
-    text: {
-      format: {
-        type: "json_schema",
-        name: "linkedin_finder",
-        strict: true,
-        schema: {
-          type: "object",
-          properties: {
-            linkedinUrl: { type: "string", description: "The official LinkedIn company page URL." }
-          },
-          required: ["linkedinUrl"],
-          additionalProperties: false
-        }
-      }
+  const request = {
+    webSearch: true,
+    prompt: `Find the official LinkedIn company page for a company named "${name}" with the description "${description}". Return only the URL. If you are not able to find the company, return "NA".`,
+    schemaName: "linkedin_finder",
+    schema: {
+      type: "object",
+      properties: {
+        linkedinUrl: { type: "string", description: "The official LinkedIn company page URL." }
+      },
+      required: ["linkedinUrl"],
+      additionalProperties: false
     }
   };
 
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: { Authorization: `Bearer ${OPENAI_API_KEY}` },
-    payload: JSON.stringify(payload)
-  };
-
   try {
-    const response = UrlFetchApp.fetch("https://api.openai.com/v1/responses", options);
-    const result = JSON.parse(response.getContentText());
-    const message = result.output.find(item => item.type === "message");
-    const parsed = JSON.parse(message.content[0].text);
+    const parsed = generateStructured("linkedin_search", request);
     return parsed.linkedinUrl || "NA";
   } catch (e) {
     Logger.log(`Error finding LinkedIn URL: ${e}`);
@@ -154,18 +123,19 @@ function findLinkedInUrl(name, description) {
 }
 
 /**
- * Extracts the counterpart's name from a meeting title by removing internal participants.
+ * Extracts the counterpart's name from a meeting title by removing internal participants
+ * (the names and aliases on the team roster).
  *
  * @param {string} title The meeting title (e.g., "Jon Kokot and James Freedman").
  * @returns {string} The cleaned-up name of the external participant.
  */
 function extractCounterpartName(title) {
-  const internalNames = ["James Freedman", "Mike Tucker, Ivan Bercovich"];
   let counterpartName = title;
 
-  // Remove internal names from the title string.
-  internalNames.forEach(name => {
-    counterpartName = counterpartName.replace(new RegExp(name, 'gi'), '');
+  // Remove internal names from the title string, as whole words only.
+  getRosterNames().forEach(name => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    counterpartName = counterpartName.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), '');
   });
 
   // Remove common connectors and clean up the string.
@@ -173,9 +143,10 @@ function extractCounterpartName(title) {
   counterpartName = counterpartName.replace(/[+&]/g, ' ');
   counterpartName = counterpartName.trim().replace(/\s+/g, ' ');
 
-  // If multiple names remain (e.g., separated by a comma), take the first one.
+  // If multiple names remain (e.g., separated by a comma), take the first one. Skip the empty
+  // pieces left where internal names were removed ("James Freedman, Mike Tucker and Dana").
   if (counterpartName.includes(',')) {
-    counterpartName = counterpartName.split(',')[0].trim();
+    counterpartName = counterpartName.split(',').map(name => name.trim()).filter(name => name)[0] || '';
   }
 
   return counterpartName;
@@ -1,68 +1,301 @@
 /**
- * @fileoverview This script scans Google Calendar events for the current day,
- * identifies "introductory calls" with founders using an OpenAI classifier,
- * and returns a list of summaries for those calls.
+ * @fileoverview This script scans each partner's Google Calendar events for the current day,
+ * identifies "introductory calls" with founders, and returns a list of summaries for those calls.
+ *
+ * Obvious cases (declined, all-day, recurring, internal-only and team pitch events, and
+ * events titled as intro calls) are decided locally by the rules in INTRO_CALL_RULES. Events that
+ * already have a note doc in the registry (see note-registry.js) were classified on an earlier run
+ * and stay intro calls; only the remaining, ambiguous events are sent to an LLM classifier. The
+ * model's "no" answers are remembered until the event is edited (see INTRO_CALL_DECISION_PREFIX), so
+ * the hourly look-ahead does not ask about the same event again. Each summary records which path
+ * decided it in its `classification`.
  *
  * Note: This script requires the `OPENAI_API_KEY` to be set as a script property.
+ * The classifier uses the model configured for the "classification" task (see llm-provider.js);
+ * calls go through the shared client (openai-client.js), which retries transient failures.
+ */
+
+// === CONFIGURATION ===
+// Which path classified an event
+const CLASSIFIED_BY = {
+  RULE: "rule",
+  REGISTRY: "registry",
+  CACHE: "cache",
+  MODEL: "model"
+};
+
+// Script Property prefix of the model's remembered "no" answers: "INTRO_CALL_DECISION:<calendar ID>:<event ID>"
+const INTRO_CALL_DECISION_PREFIX = "INTRO_CALL_DECISION:";
+
+/**
+ * Local classification rules, checked in order; the first one that matches decides.
+ * Each rule gets the event's facts (see `getEventFacts`) and sets `isIntroCall` when it matches.
+ * Who is a partner or on the team comes from the team roster (see roster.js).
  */
+const INTRO_CALL_RULES = [
+  { name: "declined", isIntroCall: false, reason: "Invite was declined", matches: facts => facts.declined },
+  { name: "all_day", isIntroCall: false, reason: "All-day event", matches: facts => facts.allDay },
+  { name: "recurring", isIntroCall: false, reason: "Recurring event", matches: facts => facts.recurring },
+  { name: "no_guests", isIntroCall: false, reason: "No guests", matches: facts => facts.guests.length === 0 },
+  { name: "all_internal", isIntroCall: false, reason: "No external guests", matches: facts => facts.external.length === 0 },
+  {
+    name: "team_pitch", isIntroCall: false, reason: "The whole team is invited",
+    matches: facts => facts.teamEmails.length > 0 && facts.teamEmails.every(email => facts.internal.indexOf(email) !== -1)
+  },
+  {
+    name: "intro_title", isIntroCall: true, reason: "Titled as an intro call with partners only",
+    matches: facts => /\bintro\b/i.test(facts.title) &&
+      facts.internal.every(email => facts.partnerEmails.indexOf(email) !== -1)
+  }
+];
+
+// === MAIN ENTRY POINT ===
 
 /**
- * Scans today's calendar events and returns a list of summaries for events
- * identified as "intro calls."
+ * Scans today's events on every partner's calendar and returns a list of summaries for events
+ * identified as "intro calls" (see `findIntroCalls`).
  *
  * @returns {Array<object>} A list of summary objects for each intro call found.
- *                          Each object contains the event's title, time, description, and attendees.
  */
 function processTodayCalendarEvents() {
-  const introCallSummaries = [];
-  const calendar = CalendarApp.getDefaultCalendar();
-
   // Set the time range to scan for events (all of today).
   const now = new Date();
   const start = new Date(now.setHours(0, 0, 0, 0));
   const end = new Date(now.setHours(23, 59, 59, 999));
 
-  Logger.log(`Scanning calendar events between ${start} and ${end}...`);
+  return findIntroCalls(start, end);
+}
 
-  const events = calendar.getEvents(start, end);
-  Logger.log(`Found ${events.length} event(s).`);
+/**
+ * Scans the events in a time window on every partner's calendar (see roster.js) and returns a
+ * list of summaries for events identified as "intro calls." Each partner's events are classified
+ * from that partner's perspective. A call on several partners' calendars is returned once, with
+ * all of them in its `partners` list, in roster order.
+ *
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @param {object} [options] - Scan options.
+ * @param {boolean} [options.skipPrepared] - Skip events whose note doc is prepared and up to date
+ *        (see `isNoteDocPrepared`), without classifying them.
+ * @returns {Array<object>} A list of summary objects for each intro call found.
+ *                          Each object contains the event's title, time, description, and attendees,
+ *                          its `eventId` and `startTime`, the `partners` (roster members) taking the call,
+ *                          and the `classification` that marked it (see `classifyIntroCall`).
+ */
+function findIntroCalls(start, end, options) {
+  const introCallSummaries = [];
+  const introCallsByEventId = {};
 
-  // Iterate through each event to classify it.
-  events.forEach(event => {
-    const title = event.getTitle();
-    const description = event.getDescription();
-    const attendees = event.getGuestList().map(g => g.getEmail()).join(', ');
-    const time = event.getStartTime().toLocaleString();
+  const decidedBy = { [CLASSIFIED_BY.RULE]: 0, [CLASSIFIED_BY.REGISTRY]: 0, [CLASSIFIED_BY.CACHE]: 0, [CLASSIFIED_BY.MODEL]: 0 };
+  getRosterPartners().forEach(partner => {
+    const calendar = CalendarApp.getCalendarById(partner.calendarId);
+    if (!calendar) {
+      Logger.log(`Skipping ${partner.name}: no access to calendar ${partner.calendarId}.`);
+      return;
+    }
 
-    const summary = {
-      title,
-      time,
-      description,
-      attendees
-    };
+    Logger.log(`Scanning ${partner.name}'s calendar events between ${start} and ${end}...`);
 
-    Logger.log(`\nChecking event:\n${summary.title}\n${summary.time}\n${summary.description}\n${summary.attendees}`);
+    const events = calendar.getEvents(start, end);
+    Logger.log(`Found ${events.length} event(s).`);
 
-    // Use OpenAI to determine if the event is an intro call.
-    const isIntroCall = OpenAIClassifyIntroCall(summary);
+    // Iterate through each event to classify it.
+    events.forEach(event => {
+      if (options && options.skipPrepared && isNoteDocPrepared(event)) {
+        Logger.log(`Skipping event that already has a note doc: ${event.getTitle()}`);
+        return;
+      }
 
-    if (isIntroCall) {
-      Logger.log("✅ Marked as intro call.");
-      introCallSummaries.push(summary);
-    } else {
-      Logger.log("❌ Not an intro call.");
-    }
+      // Another partner's calendar already marked it: join the call unless a rule rules it out for this partner
+      const known = introCallsByEventId[event.getId()];
+      if (known) {
+        const rule = findIntroCallRule(getEventFacts(event, partner));
+        if (!rule || rule.isIntroCall) {
+          Logger.log(`${partner.name} is also on intro call: ${known.title}`);
+          known.partners.push(partner);
+        }
+        return;
+      }
+
+      const title = event.getTitle();
+      const description = event.getDescription();
+      // Include the organizer: founders often send the invite themselves
+      const attendees = event.getGuestList(true).map(g => g.getEmail()).join(', ');
+      const time = event.getStartTime().toLocaleString();
+
+      const summary = {
+        title,
+        time,
+        description,
+        attendees,
+        eventId: event.getId(),
+        startTime: event.getStartTime(),
+        partners: [partner]
+      };
+
+      Logger.log(`\nChecking event:\n${summary.title}\n${summary.time}\n${summary.description}\n${summary.attendees}`);
+
+      // Decide obvious cases locally; only ambiguous events go to the classifier model.
+      summary.classification = classifyIntroCall(event, summary);
+      decidedBy[summary.classification.decidedBy]++;
+      Logger.log(`Decided by ${summary.classification.decidedBy}` +
+        `${summary.classification.rule ? ` (${summary.classification.rule})` : ""}: ${summary.classification.reason}`);
+
+      if (summary.classification.isIntroCall) {
+        Logger.log("✅ Marked as intro call.");
+        introCallSummaries.push(summary);
+        introCallsByEventId[event.getId()] = summary;
+      } else {
+        Logger.log("❌ Not an intro call.");
+      }
+    });
   });
 
+  Logger.log(`\nClassified ${decidedBy[CLASSIFIED_BY.RULE]} event(s) by rule, ${decidedBy[CLASSIFIED_BY.REGISTRY]} by the note doc registry, ` +
+    `${decidedBy[CLASSIFIED_BY.CACHE]} by an earlier model answer and ${decidedBy[CLASSIFIED_BY.MODEL]} by the model.`);
   Logger.log(`\nReturning ${introCallSummaries.length} intro call(s).`);
   return introCallSummaries;
 }
 
+// === CLASSIFICATION ===
+
 /**
- * Calls OpenAI to classify if a calendar event is an introductory call with a founder.
+ * Decides whether an event is an intro call: by the first matching rule in INTRO_CALL_RULES,
+ * as an intro call if it already has a registered note doc, as not one if the model said so
+ * before and the event has not been edited since, or by the classifier model otherwise.
+ *
+ * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The calendar event, from the calendar of the partner it is classified for.
+ * @param {object} summary - The event's summary (title, time, description, attendees, partners); its first
+ *        partner is the one whose calendar the event is from.
+ * @returns {{isIntroCall: boolean, decidedBy: string, rule: (string|null), reason: string}}
+ *          The decision, the path that made it (a `CLASSIFIED_BY` value), and the matching rule's name and reason.
+ */
+function classifyIntroCall(event, summary) {
+  const rule = findIntroCallRule(getEventFacts(event, summary.partners && summary.partners[0]));
+
+  if (rule) {
+    return { isIntroCall: rule.isIntroCall, decidedBy: CLASSIFIED_BY.RULE, rule: rule.name, reason: rule.reason };
+  }
+  if (getRegisteredNoteDoc(event.getId())) {
+    return { isIntroCall: true, decidedBy: CLASSIFIED_BY.REGISTRY, rule: null, reason: "A note doc is already registered for this event" };
+  }
+
+  const partner = summary.partners && summary.partners[0];
+  if (partner && isRememberedNotIntroCall(event, partner)) {
+    return { isIntroCall: false, decidedBy: CLASSIFIED_BY.CACHE, rule: null, reason: "The classifier model said no and the event is unchanged since" };
+  }
+
+  const answer = OpenAIClassifyIntroCall(summary);
+  if (partner && answer === false) {
+    rememberNotIntroCall(event, partner);
+  }
+  return {
+    isIntroCall: answer === true,
+    decidedBy: CLASSIFIED_BY.MODEL,
+    rule: null,
+    reason: "No rule matched; asked the classifier model"
+  };
+}
+
+/**
+ * Checks whether the classifier model already said an event on a partner's calendar is not an
+ * intro call, and the event has not been edited since.
+ * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The calendar event.
+ * @param {object} partner - The roster member whose calendar the event is from.
+ * @returns {boolean} True if the earlier "no" still stands.
+ */
+function isRememberedNotIntroCall(event, partner) {
+  const value = PropertiesService.getScriptProperties()
+    .getProperty(`${INTRO_CALL_DECISION_PREFIX}${partner.calendarId}:${event.getId()}`);
+  return Boolean(value) && JSON.parse(value).updated === event.getLastUpdated().toISOString();
+}
+
+/**
+ * Remembers the classifier model's "no" for an event on a partner's calendar, until the event is edited.
+ * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The calendar event.
+ * @param {object} partner - The roster member whose calendar the event is from.
+ */
+function rememberNotIntroCall(event, partner) {
+  PropertiesService.getScriptProperties().setProperty(
+    `${INTRO_CALL_DECISION_PREFIX}${partner.calendarId}:${event.getId()}`,
+    JSON.stringify({ updated: event.getLastUpdated().toISOString(), endTime: event.getEndTime().toISOString() }));
+}
+
+/**
+ * Forgets the remembered "no" answers of events that are over.
+ * @returns {number} The number of answers forgotten.
+ */
+function pruneIntroCallDecisions() {
+  const properties = PropertiesService.getScriptProperties();
+  const now = Date.now();
+
+  const expired = Object.keys(properties.getProperties())
+    .filter(key => key.indexOf(INTRO_CALL_DECISION_PREFIX) === 0)
+    .filter(key => new Date(JSON.parse(properties.getProperty(key)).endTime).getTime() < now);
+  expired.forEach(key => properties.deleteProperty(key));
+  return expired.length;
+}
+
+/**
+ * Finds the first rule in INTRO_CALL_RULES that decides an event.
+ * @param {object} facts - The event's facts (see `getEventFacts`).
+ * @returns {object|undefined} The rule, or undefined if the event is ambiguous.
+ */
+function findIntroCallRule(facts) {
+  return INTRO_CALL_RULES.find(candidate => candidate.matches(facts));
+}
+
+/**
+ * Collects what the classification rules look at: the event's kind, the partner's response, its guests
+ * (including the organizer) split into our side and outside attendees, and the roster's partner
+ * and team emails.
+ *
+ * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The calendar event.
+ * @param {object} [partner] - The roster member whose calendar the event is from; the script's account by default.
+ * @returns {{title: string, declined: boolean, allDay: boolean, recurring: boolean, guests: string[],
+ *           internal: string[], external: string[], partnerEmails: string[], teamEmails: string[]}}
+ *          The event's facts; emails are lowercased.
+ */
+function getEventFacts(event, partner) {
+  // The owner is not a guest of their own event; include them so a founder's invite counts as external
+  const guests = event.getGuestList(true).map(guest => guest.getEmail().trim().toLowerCase());
+
+  return {
+    title: event.getTitle() || "",
+    declined: getPartnerGuestStatus(event, partner) === CalendarApp.GuestStatus.NO,
+    allDay: event.isAllDayEvent(),
+    recurring: event.isRecurringEvent(),
+    guests: guests,
+    internal: guests.filter(isInternalEmail),
+    external: guests.filter(email => !isInternalEmail(email)),
+    partnerEmails: getRosterEmails(ROSTER_ROLE.PARTNER),
+    teamEmails: getRosterEmails(ROSTER_ROLE.TEAM)
+  };
+}
+
+/**
+ * Gets a partner's response to an event. `getMyStatus` is the script account's response, so other
+ * partners' responses are read from the guest list. A partner who is not a guest owns the event,
+ * which counts as accepted.
+ *
+ * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The calendar event.
+ * @param {object} [partner] - The roster member; the script's account by default.
+ * @returns {GoogleAppsScript.Calendar.GuestStatus} The partner's response.
+ */
+function getPartnerGuestStatus(event, partner) {
+  if (!partner) {
+    return event.getMyStatus();
+  }
+  const guest = event.getGuestByEmail(partner.email);
+  return guest ? guest.getGuestStatus() : CalendarApp.GuestStatus.OWNER;
+}
+
+/**
+ * Calls the classification model to decide if a calendar event is an introductory call with a founder.
  *
  * @param {object} summary - An object containing the event's title, time, description, and attendees.
- * @returns {boolean} True if the event is classified as an intro call, otherwise false.
+ * @returns {boolean|null} True if the event is classified as an intro call, false if not, and null
+ *          if the model could not be asked (treated as "no", but not remembered).
  */
 function OpenAIClassifyIntroCall(summary) {
   const formattedSummary = `
@@ -70,43 +303,41 @@ function OpenAIClassifyIntroCall(summary) {
   Time: ${summary.time}
   Description: ${summary.description}
   Attendees: ${summary.attendees}
+  Calendar of: ${summary.partners ? summary.partners.map(partner => `${partner.name} (${partner.email})`).join(", ") : "unknown"}
   `.trim();
 
-  const payload = {
-    model: "gpt-4o",
-    messages: [
-      {
-        role: "system",
-        content: "You are helping triage calendar invites for a venture capitalist by determining whether or not a given calendar invite is an introductory call. Some features of an intro call are - Description: Event Name: Intro Call, or the only two or three members are my email (james@scopvc.com), possibly mike's email (miket@scopvc.com), and a founder, with an email not from a VC firm, but from a company. Team pitches that include all of our team (kevin@scopvc.com, cormac@scopvc.com, ivan@scopvc.com), and a founder are NOT intro calls. Intro calls are where it's either just me (james@scopvc.com), or me and miket@scopvc.com, with one or more participants from another company. Respond only with 'Yes' if it is an intro call or 'No' if it's not."
-      },
-      {
-        role: "user",
-        content: `Is the following event an intro call with a startup founder?\n\n${formattedSummary}`
-      }
-    ]
-  };
-
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`
-    },
-    payload: JSON.stringify(payload)
+  const request = {
+    system: buildIntroCallSystemPrompt(),
+    prompt: `Is the following event an intro call with a startup founder?\n\n${formattedSummary}`
   };
 
   try {
-    const response = UrlFetchApp.fetch("https://api.openai.com/v1/chat/completions", options);
-    const responseText = response.getContentText();
-    Logger.log(`Raw GPT response: ${responseText}`);
+    const response = generateText("classification", request);
+    Logger.log(`Raw model response: ${response}`);
 
-    const result = JSON.parse(responseText);
-    const answer = result.choices[0].message.content.trim().toLowerCase();
-
-    return answer === 'yes';
+    // Accept "Yes.", "yes, it is" and the like
+    return /^yes\b/i.test(response.trim());
   } catch (e) {
-    Logger.log(`Error calling GPT: ${e}`);
-    return false; // fallback to safe default
+    Logger.log(`Error calling classification model: ${e}`);
+    return null; // fallback to safe default
   }
 }
 
+/**
+ * Builds the classifier's instructions from the team roster: partners take intro calls, and
+ * meetings the whole team joins are team pitches.
+ *
+ * @returns {string} The system prompt.
+ */
+function buildIntroCallSystemPrompt() {
+  const describe = role => getTeamRoster()
+    .filter(member => member.role === role)
+    .map(member => `${member.name} (${member.email})`)
+    .join(", ");
+
+  return "You are helping triage calendar invites for a venture capital firm by determining whether or not a given calendar invite is an introductory call. " +
+    `Intro calls are taken by our partners: ${describe(ROSTER_ROLE.PARTNER)}. ` +
+    "Some features of an intro call are - Description: Event Name: Intro Call, or the only members are one or two of our partners and a founder, with an email not from a VC firm, but from a company. " +
+    `Team pitches that include all of our team (${describe(ROSTER_ROLE.TEAM)}) and a founder are NOT intro calls. ` +
+    "Respond only with 'Yes' if it is an intro call or 'No' if it's not.";
+}
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Prepares intro call notes ahead of time. A time-driven trigger scans the partners'
+ * calendars for the coming hours, creates the note doc for each intro call it finds, and adds the
+ * doc's link to the calendar event's description, so the notes are one click away during the call.
+ * Calls whose note doc is registered and up to date are skipped (see note-registry.js); a
+ * rescheduled call's doc is re-dated, and a call whose doc was deleted gets a new one. Events the
+ * classifier model ruled out are not sent to it again until they are edited (see find-intro-calls.js).
+ *
+ * Run `installLookAheadTrigger` once to start. Script Properties:
+ * - LOOKAHEAD_HOURS: how far ahead to scan (default 48)
+ * - LOOKAHEAD_TRIGGER_HOURS: how often the trigger runs, in hours (default 1)
+ */
+
+// === CONFIGURATION ===
+const LOOKAHEAD_HANDLER = "prepareUpcomingIntroCalls";
+const DEFAULT_LOOKAHEAD_HOURS = 48;
+const DEFAULT_LOOKAHEAD_TRIGGER_HOURS = 1;
+
+// Label of the line added to event descriptions; it also marks events whose notes are prepared
+const NOTE_DOC_LINK_LABEL = "Intro call notes:";
+
+// === ENTRY POINTS ===
+
+/**
+ * Trigger handler: prepares note docs for the intro calls in the look-ahead window and links
+ * them from the calendar events.
+ *
+ * @returns {Array<{title: string, docUrl: string}>} The calls prepared in this run.
+ */
+function prepareUpcomingIntroCalls() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) {
+    Logger.log("Another look-ahead run is still in progress; skipping this one.");
+    return [];
+  }
+
+  try {
+    pruneNoteDocRegistry();
+    pruneIntroCallDecisions();
+
+    const start = new Date();
+    const end = new Date(start.getTime() + getLookAheadHours() * 60 * 60 * 1000);
+    const introCalls = findIntroCalls(start, end, { skipPrepared: true });
+    Logger.log(`Found ${introCalls.length} intro call(s) to prepare before ${end}.`);
+
+    const prepared = [];
+    introCalls.forEach(summary => {
+      try {
+        const docUrl = prepareIntroCallNoteDoc(summary);
+        attachNoteDocLink(summary, docUrl);
+        prepared.push({ title: summary.title, docUrl: docUrl });
+      } catch (e) {
+        Logger.log(`Error preparing notes for "${summary.title}": ${e.toString()}`);
+      }
+    });
+    return prepared;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Installs the time-driven trigger for `prepareUpcomingIntroCalls`, replacing any existing one.
+ */
+function installLookAheadTrigger() {
+  deleteLookAheadTriggers();
+  const everyHours = Number(PropertiesService.getScriptProperties().getProperty("LOOKAHEAD_TRIGGER_HOURS")) || DEFAULT_LOOKAHEAD_TRIGGER_HOURS;
+  ScriptApp.newTrigger(LOOKAHEAD_HANDLER)
+    .timeBased()
+    .everyHours(everyHours)
+    .create();
+  Logger.log(`Installed look-ahead trigger: every ${everyHours} hour(s), scanning ${getLookAheadHours()} hours ahead.`);
+}
+
+/**
+ * Removes the look-ahead trigger.
+ */
+function deleteLookAheadTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === LOOKAHEAD_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+// === EVENT LINKS ===
+
+/**
+ * Adds the note doc's link to the event's description on every partner calendar it was found on,
+ * replacing a link to a doc that has since been recreated.
+ * @param {object} summary - The intro call summary (see `findIntroCalls`).
+ * @param {string} docUrl - The note doc's URL.
+ */
+function attachNoteDocLink(summary, docUrl) {
+  summary.partners.forEach(partner => {
+    const calendar = CalendarApp.getCalendarById(partner.calendarId);
+    const event = calendar && calendar.getEventById(summary.eventId);
+    if (!event) {
+      Logger.log(`Could not find "${summary.title}" on ${partner.name}'s calendar to link its notes.`);
+      return;
+    }
+
+    const description = event.getDescription() || "";
+    const linked = getNoteDocLink(description);
+    if (!linked) {
+      event.setDescription(`${description}${description ? "\n\n" : ""}${NOTE_DOC_LINK_LABEL} ${docUrl}`);
+    } else if (linked !== docUrl) {
+      event.setDescription(description.replace(`${NOTE_DOC_LINK_LABEL} ${linked}`, `${NOTE_DOC_LINK_LABEL} ${docUrl}`));
+    }
+  });
+}
+
+/**
+ * Reads the note doc link from an event description.
+ * @param {string} description - The event description.
+ * @returns {string|null} The linked URL, or null if the description has none.
+ */
+function getNoteDocLink(description) {
+  const index = (description || "").indexOf(NOTE_DOC_LINK_LABEL);
+  if (index === -1) {
+    return null;
+  }
+  const match = description.slice(index + NOTE_DOC_LINK_LABEL.length).match(/\S+/);
+  return match ? match[0] : null;
+}
+
+// === CONFIGURATION HELPERS ===
+
+/**
+ * Reads how many hours ahead to scan from the LOOKAHEAD_HOURS Script Property.
+ * @returns {number} The window length in hours.
+ */
+function getLookAheadHours() {
+  return Number(PropertiesService.getScriptProperties().getProperty("LOOKAHEAD_HOURS")) || DEFAULT_LOOKAHEAD_HOURS;
+}
@@ -1,15 +1,20 @@
 /**
  * @fileoverview This script serves as the main entry point for testing the company info generation process.
- * It fetches today's calendar events, processes them to find introduction calls,
+ * It fetches today's events from every partner's calendar, processes them to find introduction calls,
  * generates enriched company information for each call, and creates a document with that info.
+ * Each doc is registered against its calendar event (see note-registry.js), so running it again
+ * reuses the existing docs instead of creating duplicates.
  */
 
 /**
  * A test function to orchestrate the entire workflow from calendar to document creation.
- * It fetches intro calls from the calendar for the current day, generates company info
+ * It fetches intro calls from the partners' calendars for the current day, generates company info
  * for each, and then creates a separate note document for each company.
  */
 function testGenerateCompanyInfoFromCalendar() {
+  pruneNoteDocRegistry();
+  pruneIntroCallDecisions();
+
   // Fetches and processes calendar events for today to find intro calls.
   // This function is expected to be defined in another script file (e.g., find-intro-calls.js).
   const introCalls = processTodayCalendarEvents();
@@ -24,16 +29,40 @@ function testGenerateCompanyInfoFromCalendar() {
   // Process each intro call to generate company info and create a document.
   introCalls.forEach((summary, index) => {
     Logger.log(`\n--- Processing Call #${index + 1} ---`);
-    Logger.log(`Summary: ${JSON.stringify(summary, null, 2)}`);
+    prepareIntroCallNoteDoc(summary);
+  });
+}
 
-    // Generate enriched company information based on the call summary.
-    const companyInfo = generateCompanyInfo(summary);
+/**
+ * Generates company info for one intro call and creates its note document, unless the call's
+ * event already has a doc in the registry: that doc is kept, and re-dated or moved if the meeting
+ * changed since (see `syncRegisteredNoteDoc`). Also used by the look-ahead trigger (see look-ahead.js).
+ *
+ * @param {object} summary - An intro call summary from `findIntroCalls`.
+ * @returns {string} The URL of the note document.
+ */
+function prepareIntroCallNoteDoc(summary) {
+  Logger.log(`Summary: ${JSON.stringify(summary, null, 2)}`);
 
-    Logger.log(`\nEnriched Company Info: ${JSON.stringify(companyInfo, null, 2)}`);
+  const folderId = getNotesFolderId(summary.partners);
+  const registered = getRegisteredNoteDoc(summary.eventId);
+  if (registered && isRegisteredNoteDocAvailable(registered)) {
+    Logger.log(`"${summary.title}" already has a note doc: ${registered.docUrl}`);
+    return syncRegisteredNoteDoc(registered, summary, folderId);
+  }
+  if (registered) {
+    Logger.log(`The registered note doc for "${summary.title}" is gone; creating a new one.`);
+  }
 
-    // Create a Google Doc with the company's information.
-    // This function is expected to be defined in another script file (e.g., create-doc.js).
-    createCompanyNoteDoc(companyInfo);
-  });
-}
+  // Generate enriched company information based on the call summary.
+  const companyInfo = generateCompanyInfo(summary);
 
+  Logger.log(`\nEnriched Company Info: ${JSON.stringify(companyInfo, null, 2)}`);
+
+  // Create a Google Doc with the company's information, dated with the day of the call.
+  // This function is expected to be defined in another script file (e.g., create-doc.js).
+  // It is filed in the notes folder of the first partner on the call.
+  const docUrl = createCompanyNoteDoc(companyInfo, summary.partners, summary.startTime);
+  registerNoteDoc(summary, docUrl, folderId);
+  return docUrl;
+}
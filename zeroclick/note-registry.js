@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Meeting-to-doc registry: remembers which note doc was created for which calendar
+ * event, so re-runs reuse a meeting's doc instead of creating a second one, and a rescheduled
+ * meeting's doc is re-dated rather than replaced.
+ *
+ * Entries are stored in Script Properties, one per event under "NOTE_DOC:<event ID>", and are
+ * pruned NOTE_DOC_REGISTRY_RETENTION_DAYS after their meeting (see `pruneNoteDocRegistry`).
+ */
+
+// === CONFIGURATION ===
+const NOTE_DOC_REGISTRY_PREFIX = "NOTE_DOC:";
+const NOTE_DOC_REGISTRY_RETENTION_DAYS = 30;
+// Matches the "M/d/yyyy" date at the end of a note doc's title (see createCompanyNoteDoc)
+const NOTE_DOC_TITLE_DATE_PATTERN = /\d{1,2}\/\d{1,2}\/\d{4}$/;
+// Matches a note doc's whole Date line, whatever it was edited to (a `Body.replaceText` pattern)
+const NOTE_DOC_DATE_LINE_PATTERN = "^Date: .*$";
+
+// === REGISTRY ===
+
+/**
+ * Looks up the note doc registered for a calendar event.
+ * @param {string} eventId - The calendar event ID.
+ * @returns {{eventId: string, docId: string, docUrl: string, folderId: string, startTime: string,
+ *           createdAt: string}|null} The entry, or null if the event has none.
+ */
+function getRegisteredNoteDoc(eventId) {
+  const value = PropertiesService.getScriptProperties().getProperty(NOTE_DOC_REGISTRY_PREFIX + eventId);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Registers the note doc just created for an intro call.
+ * @param {object} summary - The intro call summary (see `findIntroCalls`).
+ * @param {string} docUrl - The note doc's URL.
+ * @param {string} folderId - The notes folder the doc was filed in.
+ */
+function registerNoteDoc(summary, docUrl, folderId) {
+  const match = docUrl.match(/\/d\/([a-zA-Z0-9_-]+)/);
+  if (!match) {
+    throw new Error(`Cannot register note doc for "${summary.title}": no doc ID in ${docUrl}`);
+  }
+  saveNoteDocEntry({
+    eventId: summary.eventId,
+    docId: match[1],
+    docUrl: docUrl,
+    folderId: folderId,
+    startTime: (summary.startTime || new Date()).toISOString(),
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Writes a registry entry, replacing the event's previous one.
+ * @param {object} entry - The entry; see `getRegisteredNoteDoc`.
+ */
+function saveNoteDocEntry(entry) {
+  PropertiesService.getScriptProperties().setProperty(NOTE_DOC_REGISTRY_PREFIX + entry.eventId, JSON.stringify(entry));
+}
+
+/**
+ * Removes the entries of meetings that took place more than NOTE_DOC_REGISTRY_RETENTION_DAYS ago.
+ * @returns {number} The number of entries removed.
+ */
+function pruneNoteDocRegistry() {
+  const properties = PropertiesService.getScriptProperties();
+  const cutoff = Date.now() - NOTE_DOC_REGISTRY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  const expired = Object.keys(properties.getProperties())
+    .filter(key => key.indexOf(NOTE_DOC_REGISTRY_PREFIX) === 0)
+    .filter(key => new Date(JSON.parse(properties.getProperty(key)).startTime).getTime() < cutoff);
+  expired.forEach(key => properties.deleteProperty(key));
+
+  if (expired.length > 0) {
+    Logger.log(`Pruned ${expired.length} note doc registry entr${expired.length === 1 ? "y" : "ies"}.`);
+  }
+  return expired.length;
+}
+
+// === EXISTING DOCS ===
+
+/**
+ * Checks that a registered doc still exists and is not in the trash.
+ * @param {object} entry - The registry entry.
+ * @returns {boolean} True if the doc can be reused.
+ */
+function isRegisteredNoteDocAvailable(entry) {
+  try {
+    return !DriveApp.getFileById(entry.docId).isTrashed();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether an event's notes are prepared and up to date: its registered doc is available
+ * and was dated for the event's current start time. Events linked to a note doc before the
+ * registry existed count as prepared.
+ *
+ * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The calendar event.
+ * @returns {boolean} True if there is nothing to prepare for the event.
+ */
+function isNoteDocPrepared(event) {
+  const entry = getRegisteredNoteDoc(event.getId());
+  if (!entry) {
+    return Boolean(getNoteDocLink(event.getDescription()));
+  }
+  return entry.startTime === event.getStartTime().toISOString() && isRegisteredNoteDocAvailable(entry);
+}
+
+/**
+ * Brings a registered doc in line with its meeting: a rescheduled meeting's doc gets the new date
+ * in its title and Date line, and a doc outside the folder it belongs in is moved there.
+ *
+ * @param {object} entry - The registry entry.
+ * @param {object} summary - The intro call summary (see `findIntroCalls`).
+ * @param {string} folderId - The notes folder the doc belongs in.
+ * @returns {string} The doc's URL.
+ */
+function syncRegisteredNoteDoc(entry, summary, folderId) {
+  const file = DriveApp.getFileById(entry.docId);
+  const previousStart = new Date(entry.startTime);
+  const formatNoteDate = date => Utilities.formatDate(date, Session.getScriptTimeZone(), "M/d/yyyy");
+
+  if (summary.startTime && formatNoteDate(previousStart) !== formatNoteDate(summary.startTime)) {
+    const newDate = formatNoteDate(summary.startTime);
+    const newTitle = file.getName().replace(NOTE_DOC_TITLE_DATE_PATTERN, newDate);
+    Logger.log(`Meeting was rescheduled; renaming "${file.getName()}" to "${newTitle}".`);
+    file.setName(newTitle);
+
+    DocumentApp.openById(entry.docId).getBody().replaceText(NOTE_DOC_DATE_LINE_PATTERN, `Date: ${newDate}`);
+  }
+
+  if (entry.folderId !== folderId) {
+    Logger.log(`Moving "${file.getName()}" to notes folder ${folderId}.`);
+    file.moveTo(DriveApp.getFolderById(folderId));
+  }
+
+  saveNoteDocEntry(Object.assign({}, entry, {
+    folderId: folderId,
+    startTime: summary.startTime ? summary.startTime.toISOString() : entry.startTime
+  }));
+  return entry.docUrl;
+}
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Shared HTTP client for OpenAI API calls.
+ * Wraps UrlFetchApp with retries (exponential backoff that honors Retry-After), per-minute
+ * request and token budgets, and classification of failures into retryable and fatal errors.
+ * Other LLM APIs (see llm-provider.js) go through the same retry, budget and usage tracking
+ * via `postJSONWithRetry`.
+ *
+ * This file is shared by the company-db and zeroclick projects; keep both copies identical.
+ * It expects `OPENAI_API_KEY` to be defined by the project (from Script Properties).
+ */
+
+// === CONFIGURATION ===
+const OPENAI_BASE_URL = "https://api.openai.com/v1/";
+
+const OPENAI_RETRY_CONFIG = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000
+};
+
+// Defaults for the per-minute budgets; override with the OPENAI_REQUESTS_PER_MINUTE and
+// OPENAI_TOKENS_PER_MINUTE Script Properties to match the account's rate limits
+const OPENAI_DEFAULT_REQUESTS_PER_MINUTE = 60;
+const OPENAI_DEFAULT_TOKENS_PER_MINUTE = 200000;
+
+// Status codes worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUS_CODES = [408, 409, 429, 500, 502, 503, 504];
+
+// Running totals of OpenAI usage in this execution
+const OPENAI_USAGE = { requests: 0, input_tokens: 0, output_tokens: 0 };
+
+// Requests and tokens spent in the current one-minute window of this execution
+const openAIRateWindow = { startMs: 0, requests: 0, tokens: 0 };
+
+// Time after which no retry backoff may still be running (see `setRetryDeadline`)
+const openAIRetryDeadline = { ms: null };
+
+// === MAIN ENTRY POINT ===
+
+/**
+ * POST a JSON payload to an OpenAI endpoint, retrying transient failures.
+ *
+ * @param {string} endpoint - Path under the API base URL, e.g. "responses" or "chat/completions".
+ * @param {object} payload - Request body.
+ * @returns {object} Parsed JSON response body.
+ * @throws {Error} With `statusCode` and `retryable` properties once retries are exhausted
+ *                 or on a fatal (non-retryable) error.
+ */
+function callOpenAI(endpoint, payload) {
+  return postJSONWithRetry(OPENAI_BASE_URL + endpoint, { Authorization: `Bearer ${OPENAI_API_KEY}` }, payload, "OpenAI");
+}
+
+/**
+ * POST a JSON payload to an LLM API, retrying transient failures.
+ * Requests count against the same per-minute budgets and usage totals as OpenAI calls.
+ *
+ * @param {string} url - Full endpoint URL.
+ * @param {object} headers - Request headers, e.g. authentication.
+ * @param {object} payload - Request body.
+ * @param {string} serviceName - Name used in logs and error messages, e.g. "OpenAI".
+ * @returns {object} Parsed JSON response body.
+ * @throws {Error} With `statusCode` and `retryable` properties once retries are exhausted
+ *                 or on a fatal (non-retryable) error.
+ */
+function postJSONWithRetry(url, headers, payload, serviceName) {
+  const body = JSON.stringify(payload);
+  const estimatedTokens = estimateTokens(body);
+  const options = {
+    method: "post",
+    contentType: "application/json",
+    headers: headers,
+    payload: body,
+    muteHttpExceptions: true
+  };
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= OPENAI_RETRY_CONFIG.maxAttempts; attempt++) {
+    waitForRateBudget(estimatedTokens);
+
+    let response;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      // Network failures and fetch timeouts never produced a status code
+      lastError = createOpenAIError(`${serviceName} request failed: ${e.toString()}`, null, true);
+    }
+
+    if (response) {
+      const statusCode = response.getResponseCode();
+      const responseText = response.getContentText();
+
+      if (statusCode >= 200 && statusCode < 300) {
+        const result = JSON.parse(responseText);
+        trackOpenAIUsage(result.usage, estimatedTokens);
+        return result;
+      }
+
+      Logger.log(`API Error ${statusCode}: ${responseText}`);
+      lastError = createOpenAIError(`${serviceName} API error: ${statusCode}`, statusCode, isRetryableStatus(statusCode));
+
+      if (!lastError.retryable) {
+        throw lastError;
+      }
+    }
+
+    if (attempt < OPENAI_RETRY_CONFIG.maxAttempts) {
+      const delayMs = getRetryDelayMs(response, attempt);
+      if (isPastRetryDeadline(delayMs)) {
+        Logger.log(`Not retrying ${serviceName} request to ${url}: waiting ${delayMs}ms would pass the retry deadline.`);
+        break;
+      }
+      Logger.log(`Retrying ${serviceName} request to ${url} in ${delayMs}ms (attempt ${attempt + 1} of ${OPENAI_RETRY_CONFIG.maxAttempts})...`);
+      Utilities.sleep(delayMs);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Extract the output text of a responses API result.
+ * @param {object} result - Parsed responses API body.
+ * @returns {string} Text of the first message content item.
+ */
+function getResponseOutputText(result) {
+  const message = (result.output || []).find(item => item.type === "message");
+
+  if (!message || !message.content || !message.content[0]) {
+    throw new Error("Invalid API response structure");
+  }
+
+  return message.content[0].text;
+}
+
+// === ERROR CLASSIFICATION ===
+
+/**
+ * Check whether an HTTP status code is a transient failure worth retrying.
+ * @param {number} statusCode - HTTP status code.
+ * @returns {boolean} True if the request may succeed on retry.
+ */
+function isRetryableStatus(statusCode) {
+  return RETRYABLE_STATUS_CODES.indexOf(statusCode) !== -1;
+}
+
+/**
+ * Create an error carrying its HTTP status and retry classification.
+ * @param {string} message - Error message.
+ * @param {number|null} statusCode - HTTP status code, or null for network failures.
+ * @param {boolean} retryable - Whether the failure is transient.
+ * @returns {Error} The error.
+ */
+function createOpenAIError(message, statusCode, retryable) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryable = retryable;
+  return error;
+}
+
+// === BACKOFF ===
+
+/**
+ * Work out how long to wait before retrying.
+ * Uses the server's Retry-After (or retry-after-ms) header when present,
+ * otherwise exponential backoff with jitter.
+ *
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse|undefined} response - The failed response, if any.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @returns {number} Delay in milliseconds.
+ */
+function getRetryDelayMs(response, attempt) {
+  const retryAfterMs = response ? parseRetryAfterMs(response.getAllHeaders()) : null;
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, OPENAI_RETRY_CONFIG.maxDelayMs);
+  }
+
+  const exponentialMs = OPENAI_RETRY_CONFIG.baseDelayMs * Math.pow(2, attempt - 1);
+  const jitterMs = Math.random() * OPENAI_RETRY_CONFIG.baseDelayMs;
+  return Math.min(exponentialMs + jitterMs, OPENAI_RETRY_CONFIG.maxDelayMs);
+}
+
+/**
+ * Stop retries from waiting past a deadline, e.g. the end of an execution's time budget.
+ * A retry whose backoff would end after it is not made, and the last error is thrown instead.
+ * @param {number|null} deadlineMs - The deadline (epoch ms), or null for none.
+ */
+function setRetryDeadline(deadlineMs) {
+  openAIRetryDeadline.ms = deadlineMs;
+}
+
+/**
+ * Check whether a retry backoff would end after the retry deadline.
+ * @param {number} delayMs - The backoff delay in milliseconds.
+ * @returns {boolean} True if the retry should not be made.
+ */
+function isPastRetryDeadline(delayMs) {
+  return openAIRetryDeadline.ms !== null && Date.now() + delayMs > openAIRetryDeadline.ms;
+}
+
+/**
+ * Read the retry delay requested by the server.
+ * @param {object} headers - Response headers.
+ * @returns {number|null} Delay in milliseconds, or null if the server did not ask for one.
+ */
+function parseRetryAfterMs(headers) {
+  const lookup = {};
+  Object.keys(headers || {}).forEach(name => lookup[name.toLowerCase()] = headers[name]);
+
+  const retryAfterMs = parseFloat(lookup["retry-after-ms"]);
+  if (!isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = lookup["retry-after"];
+  if (retryAfter === undefined) {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = new Date(retryAfter).getTime();
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// === RATE LIMITING ===
+
+/**
+ * Block until the current minute has room for another request of the given size.
+ * @param {number} estimatedTokens - Estimated tokens the request will use.
+ */
+function waitForRateBudget(estimatedTokens) {
+  const properties = PropertiesService.getScriptProperties();
+  const requestsPerMinute = Number(properties.getProperty("OPENAI_REQUESTS_PER_MINUTE")) || OPENAI_DEFAULT_REQUESTS_PER_MINUTE;
+  const tokensPerMinute = Number(properties.getProperty("OPENAI_TOKENS_PER_MINUTE")) || OPENAI_DEFAULT_TOKENS_PER_MINUTE;
+
+  const now = Date.now();
+  if (now - openAIRateWindow.startMs >= 60 * 1000) {
+    resetRateWindow(now);
+  }
+
+  const overRequests = openAIRateWindow.requests + 1 > requestsPerMinute;
+  // A single request larger than the whole budget is let through once the window is empty
+  const overTokens = openAIRateWindow.tokens > 0 && openAIRateWindow.tokens + estimatedTokens > tokensPerMinute;
+
+  if (overRequests || overTokens) {
+    const waitMs = openAIRateWindow.startMs + 60 * 1000 - now;
+    Logger.log(`OpenAI per-minute budget reached; waiting ${waitMs}ms.`);
+    Utilities.sleep(Math.max(0, waitMs));
+    resetRateWindow(Date.now());
+  }
+
+  openAIRateWindow.requests++;
+  openAIRateWindow.tokens += estimatedTokens;
+}
+
+/**
+ * Start a new one-minute rate window.
+ * @param {number} startMs - Window start (epoch ms).
+ */
+function resetRateWindow(startMs) {
+  openAIRateWindow.startMs = startMs;
+  openAIRateWindow.requests = 0;
+  openAIRateWindow.tokens = 0;
+}
+
+/**
+ * Roughly estimate the tokens a request will use (about 4 characters per token).
+ * @param {string} body - Serialized request body.
+ * @returns {number} Estimated token count.
+ */
+function estimateTokens(body) {
+  return Math.ceil(body.length / 4);
+}
+
+// === USAGE TRACKING ===
+
+/**
+ * Add a response's token usage to the running totals, and correct the rate window's
+ * estimate with the actual count. Handles responses, chat completions and Anthropic messages usage blocks.
+ *
+ * @param {object} usage - `usage` block from an API result.
+ * @param {number} estimatedTokens - The estimate charged to the rate window for this request.
+ */
+function trackOpenAIUsage(usage, estimatedTokens) {
+  const inputTokens = (usage && (usage.input_tokens || usage.prompt_tokens)) || 0;
+  const outputTokens = (usage && (usage.output_tokens || usage.completion_tokens)) || 0;
+
+  OPENAI_USAGE.requests++;
+  OPENAI_USAGE.input_tokens += inputTokens;
+  OPENAI_USAGE.output_tokens += outputTokens;
+
+  if (inputTokens + outputTokens > 0) {
+    openAIRateWindow.tokens += inputTokens + outputTokens - estimatedTokens;
+  }
+}
+
+/**
+ * Compute the usage spent between two snapshots of the running totals.
+ * @param {object} before - Earlier copy of `OPENAI_USAGE`.
+ * @param {object} after - Later copy of `OPENAI_USAGE`.
+ * @returns {object} Requests and tokens spent in between.
+ */
+function diffOpenAIUsage(before, after) {
+  return {
+    requests: after.requests - before.requests,
+    input_tokens: after.input_tokens - before.input_tokens,
+    output_tokens: after.output_tokens - before.output_tokens
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview The team roster: who is on our side of a meeting.
+ * It drives which attendee domains count as internal, which names are stripped from meeting
+ * titles to find the founder's name, and the intro call classifier's rules and prompt.
+ *
+ * Override the default roster with the TEAM_ROSTER Script Property, a JSON array of members:
+ * [{"name": "James Freedman", "email": "james@scopvc.com", "aliases": ["Jim"], "role": "partner"}, ...]
+ * Roles are ROSTER_ROLE values: partners take intro calls; when every team member joins, a
+ * meeting is a team pitch.
+ *
+ * Each partner's calendar is scanned for intro calls (see processTodayCalendarEvents). A partner's
+ * `calendarId` defaults to their email, and their note docs go to their `notesFolderId`, or to
+ * DEFAULT_NOTES_FOLDER_ID (see create-doc.js) if they have none. The script's account needs
+ * access to every partner's calendar and folder.
+ */
+
+// === CONFIGURATION ===
+const ROSTER_ROLE = {
+  PARTNER: "partner",
+  TEAM: "team"
+};
+
+const DEFAULT_TEAM_ROSTER = [
+  { name: "James Freedman", email: "james@scopvc.com", aliases: [], role: ROSTER_ROLE.PARTNER, notesFolderId: "1YPrT-_fLgPk4V5LSffNqo5O0grJ6Olnl" },
+  { name: "Mike Tucker", email: "miket@scopvc.com", aliases: [], role: ROSTER_ROLE.PARTNER },
+  { name: "Kevin", email: "kevin@scopvc.com", aliases: [], role: ROSTER_ROLE.TEAM },
+  { name: "Cormac", email: "cormac@scopvc.com", aliases: [], role: ROSTER_ROLE.TEAM },
+  { name: "Ivan Bercovich", email: "ivan@scopvc.com", aliases: [], role: ROSTER_ROLE.TEAM }
+];
+
+// === ROSTER ===
+
+/**
+ * Reads the team roster from the TEAM_ROSTER Script Property, or the default roster.
+ * Emails are lowercased, missing aliases default to none and calendar IDs to the member's email.
+ *
+ * @returns {Array<{name: string, email: string, aliases: string[], role: string, calendarId: string,
+ *           notesFolderId: (string|null)}>} The team members.
+ */
+function getTeamRoster() {
+  const property = PropertiesService.getScriptProperties().getProperty("TEAM_ROSTER");
+  const members = property ? JSON.parse(property) : DEFAULT_TEAM_ROSTER;
+
+  return members.map(member => {
+    if (!member.name || !member.email) {
+      throw new Error(`Invalid TEAM_ROSTER entry ${JSON.stringify(member)}: every member needs a name and an email.`);
+    }
+    if (Object.values(ROSTER_ROLE).indexOf(member.role) === -1) {
+      throw new Error(`Invalid TEAM_ROSTER role "${member.role}" for ${member.name}. Use one of: ${Object.values(ROSTER_ROLE).join(", ")}`);
+    }
+    return {
+      name: member.name,
+      email: member.email.trim().toLowerCase(),
+      aliases: member.aliases || [],
+      role: member.role,
+      calendarId: member.calendarId || member.email.trim().toLowerCase(),
+      notesFolderId: member.notesFolderId || null
+    };
+  });
+}
+
+/**
+ * Gets the roster emails of the members with a role.
+ * @param {string} role - A `ROSTER_ROLE` value.
+ * @returns {string[]} Lowercased emails.
+ */
+function getRosterEmails(role) {
+  return getTeamRoster().filter(member => member.role === role).map(member => member.email);
+}
+
+/**
+ * Gets the partners, whose calendars are scanned for intro calls.
+ * @returns {object[]} The roster members with the partner role, in roster order.
+ */
+function getRosterPartners() {
+  return getTeamRoster().filter(member => member.role === ROSTER_ROLE.PARTNER);
+}
+
+/**
+ * Gets the name a member goes by in note docs: their first name.
+ * @param {object} member - A roster member.
+ * @returns {string} The short name.
+ */
+function getRosterShortName(member) {
+  return member.name.trim().split(/\s+/)[0];
+}
+
+/**
+ * Finds the roster member with an email.
+ * @param {string} email - An attendee email.
+ * @returns {object|null} The member, or null if the email is not on the roster.
+ */
+function findRosterMember(email) {
+  const normalized = String(email).trim().toLowerCase();
+  return getTeamRoster().find(member => member.email === normalized) || null;
+}
+
+/**
+ * Checks whether an email belongs to our firm: its domain is the domain of a roster member's email.
+ * Colleagues who are not on the roster still count as internal.
+ * @param {string} email - An attendee email.
+ * @returns {boolean} True for internal emails.
+ */
+function isInternalEmail(email) {
+  const domains = getTeamRoster().map(member => member.email.split("@")[1]);
+  return domains.indexOf(String(email).trim().toLowerCase().split("@")[1]) !== -1;
+}
+
+/**
+ * Gets the names to strip from meeting titles: members' full names and their aliases, longest
+ * first, so a full name is matched before an alias it contains. A roster name that is a bare
+ * first name (e.g. "Kevin") is left out, since a founder may share it; list it as an alias to
+ * strip it anyway.
+ * @returns {string[]} Names and aliases.
+ */
+function getRosterNames() {
+  const names = [];
+  getTeamRoster().forEach(member => {
+    if (/\s/.test(member.name.trim())) {
+      names.push(member.name);
+    }
+    names.push(...member.aliases);
+  });
+  return names.sort((a, b) => b.length - a.length);
+}